@@ -0,0 +1,151 @@
+/**
+ * Каталоги цветов бисера производителей
+ * Каталоги хранятся локальными JSON файлами (BEAD_CATALOG_FILES) и работают без сети.
+ * Цвет бисеринки сопоставляется с ближайшим по CIEDE2000 бисером каталога,
+ * выбор можно ограничить одним каталогом и покрытием
+ */
+class BeadCatalogLibrary {
+    constructor() {
+        this.catalogs = [];
+        // Результаты сопоставления по исходному цвету для фильтра matchCacheFilter.
+        // Хранятся только для текущего фильтра и сбрасываются вместе с цветами схемы (clearMatchCache)
+        this.matchCache = new Map();
+        this.matchCacheFilter = null;
+    }
+
+    /**
+     * Загружает каталоги из JSON файлов (недоступные каталоги пропускаются)
+     * @returns {Promise<Array<Object>>} загруженные каталоги
+     */
+    async load() {
+        const catalogs = await Promise.all(BEAD_CATALOG_FILES.map(async file => {
+            try {
+                const response = await fetch(file);
+                if (!response.ok) {
+                    throw new Error(`HTTP ${response.status}`);
+                }
+                return this.parseCatalog(await response.json());
+            } catch (error) {
+                console.warn(`Не удалось загрузить каталог бисера ${file}:`, error);
+                return null;
+            }
+        }));
+        this.catalogs = catalogs.filter(Boolean);
+        this.clearMatchCache();
+        return this.catalogs;
+    }
+
+    /**
+     * Сбрасывает результаты сопоставления цветов (при смене исходных цветов схемы)
+     */
+    clearMatchCache() {
+        this.matchCache.clear();
+    }
+
+    /**
+     * Проверяет данные каталога и дополняет цвета значениями CIELAB
+     * @param {Object} data - данные JSON файла { id, name, manufacturer, colors }
+     * @returns {Object|null} каталог или null, если в нём нет ни одного корректного цвета
+     */
+    parseCatalog(data) {
+        if (!data || typeof data.id !== 'string' || !Array.isArray(data.colors)) {
+            return null;
+        }
+        const name = typeof data.name === 'string' ? data.name : data.id;
+        const colors = data.colors
+            .map(entry => {
+                const hex = ColorUtils.normalize(entry && entry.hex);
+                if (!hex || typeof entry.code !== 'string') {
+                    return null;
+                }
+                return {
+                    code: entry.code,
+                    name: typeof entry.name === 'string' ? entry.name : '',
+                    finish: Validator.validateBeadFinish(entry.finish),
+                    hex,
+                    lab: ColorUtils.rgbToLab(ColorUtils.hexToRgb(hex)),
+                    catalogId: data.id,
+                    catalogName: name
+                };
+            })
+            .filter(Boolean);
+        return colors.length > 0 ? { id: data.id, name, colors } : null;
+    }
+
+    /**
+     * Возвращает загруженные каталоги
+     * @returns {Array<{id: string, name: string, colors: Array<Object>}>}
+     */
+    getCatalogs() {
+        return this.catalogs;
+    }
+
+    /**
+     * Возвращает цвета каталога, подходящие под фильтр
+     * @param {Object} filter - фильтр
+     * @param {string} filter.catalogId - id каталога или 'all'
+     * @param {string} filter.finish - покрытие или 'all'
+     * @returns {Array<Object>} цвета каталога
+     */
+    getColors(filter) {
+        return this.catalogs
+            .filter(catalog => filter.catalogId === 'all' || catalog.id === filter.catalogId)
+            .flatMap(catalog => catalog.colors)
+            .filter(entry => filter.finish === 'all' || entry.finish === filter.finish);
+    }
+
+    /**
+     * Находит ближайший по CIEDE2000 бисер каталога
+     * @param {string} color - цвет '#rrggbb'
+     * @param {Object} filter - фильтр { catalogId, finish }
+     * @returns {Object|null} цвет каталога или null, если под фильтр ничего не подходит
+     */
+    match(color, filter) {
+        const filterKey = `${filter.catalogId}|${filter.finish}`;
+        if (filterKey !== this.matchCacheFilter) {
+            this.clearMatchCache();
+            this.matchCacheFilter = filterKey;
+        }
+        if (this.matchCache.has(color)) {
+            return this.matchCache.get(color);
+        }
+
+        const lab = ColorUtils.rgbToLab(ColorUtils.hexToRgb(color));
+        let best = null;
+        let bestDistance = Infinity;
+        this.getColors(filter).forEach(entry => {
+            const distance = ColorUtils.deltaE2000(lab, entry.lab);
+            if (distance < bestDistance) {
+                best = entry;
+                bestDistance = distance;
+            }
+        });
+        this.matchCache.set(color, best);
+        return best;
+    }
+
+    /**
+     * Заменяет цвета бисеринок цветами ближайшего бисера каталога
+     * @param {Map<string, string|null>} pattern - цвета бисеринок
+     * @param {Object} filter - фильтр { catalogId, finish }
+     * @returns {Map<string, string|null>} цвета бисера каталога (без изменений, если под фильтр ничего не подходит)
+     */
+    matchPattern(pattern, filter) {
+        const result = new Map();
+        pattern.forEach((color, key) => {
+            const entry = color ? this.match(color, filter) : null;
+            result.set(key, entry ? entry.hex : color);
+        });
+        return result;
+    }
+
+    /**
+     * Находит бисер каталога по его цвету (обратное к matchPattern)
+     * @param {string} color - цвет '#rrggbb' бисеринки после сопоставления
+     * @param {Object} filter - фильтр { catalogId, finish }
+     * @returns {Object|null} цвет каталога или null
+     */
+    findByColor(color, filter) {
+        return this.getColors(filter).find(entry => entry.hex === color) || null;
+    }
+}
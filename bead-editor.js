@@ -0,0 +1,190 @@
+/**
+ * Инструменты правки схемы: выделение, копирование и вставка блоков бисеринок,
+ * отражение и поворот выделения, заливка области одного цвета
+ *
+ * Операции не меняют схему сами, а возвращают новые цвета бисеринок, которые
+ * приложение записывает в ручные правки. Положение бисеринок и соседство берутся
+ * из геометрии сетки, поэтому инструменты одинаково работают для всех типов сеток
+ */
+class BeadEditor {
+    /**
+     * Выделяет бисеринки, центры которых попадают в прямоугольник
+     * @param {GridGeometry} geometry - геометрия сетки
+     * @param {{x: number, y: number}} start - угол прямоугольника на canvas
+     * @param {{x: number, y: number}} end - противоположный угол
+     * @returns {Set<string>} ключи выделенных бисеринок
+     */
+    static selectRect(geometry, start, end) {
+        const minX = Math.min(start.x, end.x);
+        const maxX = Math.max(start.x, end.x);
+        const minY = Math.min(start.y, end.y);
+        const maxY = Math.max(start.y, end.y);
+
+        const selection = new Set();
+        geometry.getBeads().forEach(({ row, col }) => {
+            const center = geometry.getBeadCenter(row, col);
+            if (center.x >= minX && center.x <= maxX && center.y >= minY && center.y <= maxY) {
+                selection.add(GridGeometry.key(row, col));
+            }
+        });
+        return selection;
+    }
+
+    /**
+     * Выделяет бисеринки, центры которых попадают внутрь контура лассо
+     * @param {GridGeometry} geometry - геометрия сетки
+     * @param {Array<{x: number, y: number}>} points - точки контура на canvas
+     * @returns {Set<string>} ключи выделенных бисеринок
+     */
+    static selectLasso(geometry, points) {
+        const selection = new Set();
+        if (points.length < 3) return selection;
+
+        geometry.getBeads().forEach(({ row, col }) => {
+            if (GeometryUtils.isPointInPolygon(geometry.getBeadCenter(row, col), points)) {
+                selection.add(GridGeometry.key(row, col));
+            }
+        });
+        return selection;
+    }
+
+    /**
+     * Копирует цвета выделенных бисеринок (пустые бисеринки копируются как пустые)
+     * @param {Map<string, string|null>} pattern - цвета бисеринок
+     * @param {Set<string>} selection - ключи выделенных бисеринок
+     * @returns {Array<{row: number, col: number, color: string|null}>} блок бисеринок
+     */
+    static copy(pattern, selection) {
+        return [...selection].map(key => ({
+            ...GridGeometry.parseKey(key),
+            color: pattern.get(key) || null
+        }));
+    }
+
+    /**
+     * Вставляет блок бисеринок так, чтобы его левый верхний угол оказался у целевой бисеринки.
+     * Сдвиг округляется до периода сетки, чтобы смещения столбцов peyote и строк brick
+     * у вставленного блока совпадали с исходными и рисунок не разъезжался
+     * @param {Array<{row: number, col: number, color: string|null}>} block - блок из copy
+     * @param {GridGeometry} geometry - геометрия сетки
+     * @param {{row: number, col: number}} target - бисеринка для левого верхнего угла блока
+     * @returns {Map<string, string|null>} новые цвета бисеринок (бисеринки за пределами сетки пропускаются)
+     */
+    static paste(block, geometry, target) {
+        const changes = new Map();
+        if (block.length === 0) return changes;
+
+        const anchorRow = Math.min(...block.map(bead => bead.row));
+        const anchorCol = Math.min(...block.map(bead => bead.col));
+        const period = geometry.getTranslationPeriod();
+        const snap = (delta, step) => Math.round(delta / step) * step;
+        const deltaRow = snap(target.row - anchorRow, period.rows);
+        const deltaCol = snap(target.col - anchorCol, period.cols);
+
+        block.forEach(({ row, col, color }) => {
+            const newRow = row + deltaRow;
+            const newCol = geometry.normalizeCol(col + deltaCol);
+            if (geometry.hasBead(newRow, newCol)) {
+                changes.set(GridGeometry.key(newRow, newCol), color);
+            }
+        });
+        return changes;
+    }
+
+    /**
+     * Отражает или поворачивает выделение вокруг центра его габаритов.
+     * Преобразование выполняется в единицах ячейки, поэтому при неквадратных бисеринках
+     * ряд из N бисеринок после поворота становится столбцом из N бисеринок.
+     * Весь блок затем сдвигается так, чтобы первая бисеринка встала точно в центр
+     * бисеринки сетки, и остальные бисеринки ищутся относительно неё - без округления
+     * каждой бисеринки к ближайшей по отдельности
+     * @param {Map<string, string|null>} pattern - цвета бисеринок
+     * @param {GridGeometry} geometry - геометрия сетки
+     * @param {Set<string>} selection - ключи выделенных бисеринок
+     * @param {string} mode - 'mirror-x' (слева направо), 'mirror-y' (сверху вниз) или 'rotate' (на 90° по часовой)
+     * @returns {{changes: Map<string, string|null>, selection: Set<string>, error: string|null}} новые цвета
+     *     и выделение после преобразования или текст ошибки, если бисеринки выходят за пределы сетки или
+     *     попадают на одно место (тогда схема не меняется)
+     */
+    static transform(pattern, geometry, selection, mode) {
+        const sources = [...selection].map(key => {
+            const { row, col } = GridGeometry.parseKey(key);
+            return { key, color: pattern.get(key) || null, center: geometry.getBeadCenter(row, col) };
+        });
+        const changes = new Map();
+        const newSelection = new Set();
+        if (sources.length === 0) return { changes, selection: newSelection, error: null };
+
+        const xs = sources.map(source => source.center.x);
+        const ys = sources.map(source => source.center.y);
+        const centerX = (Math.min(...xs) + Math.max(...xs)) / 2;
+        const centerY = (Math.min(...ys) + Math.max(...ys)) / 2;
+
+        const points = sources.map(({ center }) => {
+            const u = (center.x - centerX) / geometry.cellWidth;
+            const v = (center.y - centerY) / geometry.cellHeight;
+            let [newU, newV] = [u, v];
+            if (mode === 'mirror-x') {
+                newU = -u;
+            } else if (mode === 'mirror-y') {
+                newV = -v;
+            } else if (mode === 'rotate') {
+                [newU, newV] = [-v, u];
+            }
+            return { x: centerX + newU * geometry.cellWidth, y: centerY + newV * geometry.cellHeight };
+        });
+
+        const refuse = error => ({ changes: new Map(), selection: new Set(), error });
+        const outsideError = 'Выделение после преобразования выходит за пределы сетки';
+
+        const findTarget = (x, y) => geometry.hitTest(x, y) || geometry.findNearestBead(x, y);
+        const anchor = findTarget(points[0].x, points[0].y);
+        if (!anchor) return refuse(outsideError);
+        const anchorCenter = geometry.getBeadCenter(anchor.row, anchor.col);
+        const shiftX = anchorCenter.x - points[0].x;
+        const shiftY = anchorCenter.y - points[0].y;
+
+        const targets = [];
+        for (const point of points) {
+            const target = findTarget(point.x + shiftX, point.y + shiftY);
+            if (!target) return refuse(outsideError);
+
+            const key = GridGeometry.key(target.row, target.col);
+            if (newSelection.has(key)) {
+                return refuse('Бисеринки после преобразования накладываются друг на друга: в этой сетке выделение так не преобразуется');
+            }
+            newSelection.add(key);
+            targets.push(key);
+        }
+
+        // Исходные бисеринки очищаются, затем заполняются бисеринки на новых местах
+        sources.forEach(source => changes.set(source.key, null));
+        sources.forEach((source, i) => changes.set(targets[i], source.color));
+        return { changes, selection: newSelection, error: null };
+    }
+
+    /**
+     * Находит связную область бисеринок того же цвета, что и начальная (соседство - по сетке)
+     * @param {Map<string, string|null>} pattern - цвета бисеринок
+     * @param {GridGeometry} geometry - геометрия сетки
+     * @param {{row: number, col: number}} start - начальная бисеринка
+     * @returns {Array<{row: number, col: number}>} бисеринки области (пустые бисеринки образуют свою область)
+     */
+    static floodFill(pattern, geometry, start) {
+        const startColor = pattern.get(GridGeometry.key(start.row, start.col)) || null;
+        const visited = new Set([GridGeometry.key(start.row, start.col)]);
+        // Обход в ширину: массив области одновременно служит очередью
+        const region = [start];
+        for (let i = 0; i < region.length; i++) {
+            const bead = region[i];
+            geometry.getNeighbors(bead.row, bead.col).forEach(neighbor => {
+                const key = GridGeometry.key(neighbor.row, neighbor.col);
+                if (!visited.has(key) && (pattern.get(key) || null) === startColor) {
+                    visited.add(key);
+                    region.push(neighbor);
+                }
+            });
+        }
+        return region;
+    }
+}
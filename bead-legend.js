@@ -0,0 +1,130 @@
+/**
+ * Легенда цветов схемы и список покупок
+ *
+ * Для каждого цвета бисеринок (цвета рисунка вместе с ручными правками) считаются
+ * количество и доля бисеринок, вес в граммах и количество упаковок по данным профиля бисера.
+ * Символы назначаются по убыванию количества бисеринок
+ */
+class BeadLegend {
+    /**
+     * Составляет легенду по цветам бисеринок
+     * @param {Map<string, string|null>} pattern - цвета бисеринок
+     * @param {Object} options - параметры расчёта
+     * @param {number} options.beadsPerGram - бисеринок в грамме
+     * @param {number} options.packGrams - вес упаковки в граммах
+     * @param {boolean} options.addSpare - добавить к количеству для покупки запас LEGEND_SPARE_RATIO
+     * @param {Function} [options.getCatalogEntry] - возвращает бисер каталога для цвета или null
+     * @returns {{items: Array<{color: string, symbol: string, count: number, percent: number,
+     *     beads: number, grams: number, packs: number, catalogEntry: Object|null}>,
+     *     total: {count: number, beads: number, grams: number, packs: number}}}
+     *     items.beads - количество для покупки (с запасом), grams и packs считаются по нему
+     */
+    static build(pattern, options) {
+        const counts = new Map();
+        pattern.forEach(color => {
+            if (color) {
+                counts.set(color, (counts.get(color) || 0) + 1);
+            }
+        });
+
+        let totalCount = 0;
+        counts.forEach(count => {
+            totalCount += count;
+        });
+
+        const items = [...counts]
+            .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+            .map(([color, count], index) => {
+                const beads = options.addSpare ? Math.ceil(count * (1 + LEGEND_SPARE_RATIO)) : count;
+                const grams = beads / options.beadsPerGram;
+                return {
+                    color,
+                    symbol: this.getSymbol(index),
+                    count,
+                    percent: count / totalCount * 100,
+                    beads,
+                    grams,
+                    // Упаковки покупаются для каждого цвета отдельно
+                    packs: Math.ceil(grams / options.packGrams),
+                    catalogEntry: options.getCatalogEntry ? options.getCatalogEntry(color) : null
+                };
+            });
+
+        const total = { count: totalCount, beads: 0, grams: 0, packs: 0 };
+        items.forEach(item => {
+            total.beads += item.beads;
+            total.grams += item.grams;
+            total.packs += item.packs;
+        });
+        return { items, total };
+    }
+
+    /**
+     * Возвращает символ цвета по его номеру в легенде
+     * @param {number} index - номер цвета (с нуля)
+     * @returns {string} символ из LEGEND_SYMBOLS, после них - номер
+     */
+    static getSymbol(index) {
+        return index < LEGEND_SYMBOLS.length
+            ? LEGEND_SYMBOLS[index]
+            : String(index - LEGEND_SYMBOLS.length + 1);
+    }
+
+    /**
+     * Возвращает название цвета: код и название бисера каталога или цвет '#rrggbb'
+     * @param {Object} item - цвет легенды
+     * @returns {string}
+     */
+    static getColorName(item) {
+        const entry = item.catalogEntry;
+        return entry ? `${entry.code} ${entry.name} (${entry.catalogName})` : item.color;
+    }
+
+    /**
+     * Форматирует вес в граммах с одним знаком после запятой
+     * @param {number} grams - вес
+     * @returns {string}
+     */
+    static formatGrams(grams) {
+        return grams.toLocaleString('ru-RU', { minimumFractionDigits: 1, maximumFractionDigits: 1 });
+    }
+
+    /**
+     * Составляет список покупок в виде текста
+     * @param {Object} legend - легенда из build
+     * @param {Object} info - сведения для заголовка
+     * @param {string} info.title - название схемы
+     * @param {string} info.beadName - название бисера (профиль или размер ячейки)
+     * @param {{beadsPerGram: number, packGrams: number, isEstimated: boolean}} info.weight - данные для расчёта веса
+     * @param {boolean} info.addSpare - добавлен ли запас
+     * @returns {string} текст списка
+     */
+    static toShoppingList(legend, info) {
+        const { weight } = info;
+        const lines = [
+            `Список покупок: ${info.title}`,
+            `Бисер: ${info.beadName}`,
+            `Бисеринок в грамме: ≈${Math.round(weight.beadsPerGram)}${weight.isEstimated ? ' (оценка по размеру)' : ''}, упаковка ${weight.packGrams} г`
+        ];
+        if (info.addSpare) {
+            lines.push(`Запас: +${Math.round(LEGEND_SPARE_RATIO * 100)}%`);
+        }
+        lines.push('');
+
+        legend.items.forEach(item => {
+            lines.push([
+                item.symbol,
+                this.getColorName(item),
+                `${item.beads.toLocaleString('ru-RU')} шт.`,
+                `${this.formatGrams(item.grams)} г`,
+                `${item.packs} уп.`
+            ].join('\t'));
+        });
+
+        const { total } = legend;
+        lines.push('');
+        lines.push(`Итого: ${legend.items.length} цв., ${total.beads.toLocaleString('ru-RU')} шт., ` +
+            `${this.formatGrams(total.grams)} г, ${total.packs} уп.`);
+        return lines.join('\n') + '\n';
+    }
+}
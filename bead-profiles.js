@@ -0,0 +1,169 @@
+/**
+ * Библиотека профилей бисера
+ * Встроенные профили (BEAD_PROFILES) дополняются профилями пользователя из localStorage.
+ * Профиль пользователя с названием встроенного заменяет его, а удаление возвращает встроенный
+ */
+class BeadProfileLibrary {
+    constructor() {
+        this.customProfiles = this.loadCustomProfiles();
+    }
+
+    /**
+     * Загружает профили пользователя из localStorage
+     * @returns {Array<Object>} валидные профили пользователя
+     */
+    loadCustomProfiles() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(BEAD_PROFILES_STORAGE_KEY) || '[]');
+            return Array.isArray(stored)
+                ? stored.map(profile => Validator.validateBeadProfile(profile)).filter(Boolean)
+                : [];
+        } catch (error) {
+            console.warn('Не удалось загрузить профили бисера:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Сохраняет профили пользователя в localStorage
+     */
+    saveCustomProfiles() {
+        try {
+            localStorage.setItem(BEAD_PROFILES_STORAGE_KEY, JSON.stringify(this.customProfiles));
+        } catch (error) {
+            console.warn('Не удалось сохранить профили бисера:', error);
+        }
+    }
+
+    /**
+     * Возвращает все профили: встроенные (с учётом изменённых) и профили пользователя
+     * @returns {Array<{name: string, diameterMM: number, lengthMM: number, shape: string, isBuiltIn: boolean, isCustom: boolean}>}
+     */
+    getAll() {
+        const builtIn = BEAD_PROFILES.map(profile => {
+            const custom = this.customProfiles.find(p => p.name === profile.name);
+            return { ...(custom || profile), isBuiltIn: true, isCustom: Boolean(custom) };
+        });
+        const ownProfiles = this.customProfiles
+            .filter(profile => !this.isBuiltIn(profile.name))
+            .map(profile => ({ ...profile, isBuiltIn: false, isCustom: true }));
+        return [...builtIn, ...ownProfiles];
+    }
+
+    /**
+     * Находит профиль по названию
+     * @param {string} name - название профиля
+     * @returns {Object|null} профиль или null
+     */
+    get(name) {
+        return this.getAll().find(profile => profile.name === name) || null;
+    }
+
+    /**
+     * Проверяет, есть ли встроенный профиль с таким названием
+     * @param {string} name - название профиля
+     * @returns {boolean}
+     */
+    isBuiltIn(name) {
+        return BEAD_PROFILES.some(profile => profile.name === name);
+    }
+
+    /**
+     * Добавляет профиль пользователя или заменяет существующий с тем же названием
+     * @param {Object} profile - профиль { name, diameterMM, lengthMM, shape }
+     * @returns {Object} сохранённый профиль
+     */
+    save(profile) {
+        const validated = Validator.validateBeadProfile(profile);
+        if (!validated) {
+            throw new Error('Укажите название профиля');
+        }
+        this.customProfiles = this.customProfiles.filter(p => p.name !== validated.name);
+        this.customProfiles.push(validated);
+        this.saveCustomProfiles();
+        return this.get(validated.name);
+    }
+
+    /**
+     * Удаляет профиль пользователя (для изменённого встроенного возвращает исходные размеры)
+     * @param {string} name - название профиля
+     * @returns {boolean} true если профиль был удалён
+     */
+    remove(name) {
+        const count = this.customProfiles.length;
+        this.customProfiles = this.customProfiles.filter(p => p.name !== name);
+        if (this.customProfiles.length === count) {
+            return false;
+        }
+        this.saveCustomProfiles();
+        return true;
+    }
+
+    /**
+     * Проверяет, проходит ли нить через бисеринку вертикально в данном типе сетки
+     * @param {string} gridType - тип сетки
+     * @returns {boolean}
+     */
+    static isVerticalHole(gridType) {
+        return VERTICAL_HOLE_GRID_TYPES.includes(gridType);
+    }
+
+    /**
+     * Размер ячейки сетки для профиля: вдоль отверстия бисеринка занимает свою длину,
+     * поперёк - диаметр
+     * @param {Object} profile - профиль бисера
+     * @param {string} gridType - тип сетки
+     * @returns {{widthMM: number, heightMM: number}}
+     */
+    static getCellSize(profile, gridType) {
+        return this.isVerticalHole(gridType)
+            ? { widthMM: profile.diameterMM, heightMM: profile.lengthMM }
+            : { widthMM: profile.lengthMM, heightMM: profile.diameterMM };
+    }
+
+    /**
+     * Создаёт профиль по размеру ячейки сетки (обратное к getCellSize)
+     * @param {string} name - название профиля
+     * @param {string} shape - форма бисеринки
+     * @param {number} widthMM - ширина ячейки в мм
+     * @param {number} heightMM - высота ячейки в мм
+     * @param {string} gridType - тип сетки
+     * @returns {{name: string, diameterMM: number, lengthMM: number, shape: string}}
+     */
+    static fromCellSize(name, shape, widthMM, heightMM, gridType) {
+        return this.isVerticalHole(gridType)
+            ? { name, shape, diameterMM: widthMM, lengthMM: heightMM }
+            : { name, shape, diameterMM: heightMM, lengthMM: widthMM };
+    }
+
+    /**
+     * Данные для расчёта веса бисера: по данным производителя, а если их нет -
+     * оценка по размерам бисеринки (см. estimateBeadsPerGram)
+     * @param {Object} profile - профиль бисера
+     * @returns {{beadsPerGram: number, packGrams: number, isEstimated: boolean}}
+     */
+    static getWeightData(profile) {
+        const isEstimated = !profile.beadsPerGram;
+        return {
+            beadsPerGram: isEstimated ? this.estimateBeadsPerGram(profile) : profile.beadsPerGram,
+            packGrams: profile.packGrams || DEFAULT_PACK_GRAMS,
+            isEstimated
+        };
+    }
+
+    /**
+     * Оценивает количество бисеринок в грамме по объёму стекла: бисеринка считается
+     * цилиндром с отверстием, круглый бисер занимает часть объёма цилиндра
+     * @param {Object} profile - профиль бисера
+     * @returns {number} бисеринок в грамме
+     */
+    static estimateBeadsPerGram(profile) {
+        const outer = profile.diameterMM ** 2;
+        const hole = (profile.diameterMM * BEAD_HOLE_RATIO) ** 2;
+        const shapeRatio = profile.shape === 'round' ? ROUND_BEAD_VOLUME_RATIO : 1;
+        const volumeMM3 = Math.PI / 4 * (outer - hole) * profile.lengthMM * shapeRatio;
+        // 1 см³ = 1000 мм³
+        const gramsPerBead = volumeMM3 / 1000 * GLASS_DENSITY_G_PER_CM3;
+        return 1 / gramsPerBead;
+    }
+}
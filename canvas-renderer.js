@@ -16,85 +16,92 @@ class CanvasRenderer {
      * @param {number} renderData.canvasHeight - высота canvas
      * @param {number} renderData.workspaceWidthMM - ширина рабочей области в мм
      * @param {number} renderData.workspaceHeightMM - высота рабочей области в мм
-     * @param {number} renderData.pixelWidthMM - ширина пикселя в мм
-     * @param {number} renderData.pixelHeightMM - высота пикселя в мм
-     * @param {Function} renderData.originalDrawing - функция проверки заполнения пикселя
-     * @param {Array} renderData.contour - массив точек контура
+     * @param {GridGeometry} renderData.geometry - геометрия сетки (положение бисеринок и состав рядов)
+     * @param {Map<string, string|null>} renderData.pattern - цвета бисеринок ('#rrggbb' или null для пустой) по ключу GridGeometry.key(row, col)
+     * @param {Array} renderData.contour - массив точек контура или массив контуров (у DXF - внешние границы и отверстия)
      * @param {boolean} renderData.hasLoadedFile - загружен ли файл
      * @param {number|null} renderData.fileWidthMM - ширина файла в мм
      * @param {number|null} renderData.fileHeightMM - высота файла в мм
-     * @param {string} renderData.gridType - тип сетки ('square', 'peyote', 'brick')
-     * @param {number} renderData.gridOffsetX - смещение сетки по X в мм
-     * @param {number} renderData.gridOffsetY - смещение сетки по Y в мм
-     * @param {number|null} renderData.hoveredRow - номер выделенного ряда (для peyote - столбец, для brick - строка)
+     * @param {string} renderData.gridType - тип сетки ('square', 'peyote', 'tubular', 'brick', 'herringbone', 'raw', 'radial')
+     * @param {string|null} renderData.beadShape - форма бисеринки из профиля бисера ('cylinder', 'round', 'bugle') или null для формы по типу сетки
+     * @param {number|null} renderData.hoveredRow - номер выделенного ряда (для peyote - столбец стежков, для tubular - раунд, для brick и square - строка, для herringbone - пара столбцов, для raw - ряд звеньев, для radial - кольцо)
+     * @param {Object|null} renderData.hoveredBead - выделенная бисеринка { row, col }
+     * @param {Set<string>|null} renderData.selection - ключи выделенных инструментом бисеринок
+     * @param {Object|null} renderData.selectionPath - рамка или лассо в процессе выделения { shape: 'rect'|'lasso', points }
      */
     render(renderData) {
         const {
             canvasWidth,
             canvasHeight,
-            workspaceWidthMM,
-            workspaceHeightMM,
-            pixelWidthMM,
-            pixelHeightMM,
-            originalDrawing,
-            contour,
-            hasLoadedFile,
-            fileWidthMM,
-            fileHeightMM,
+            geometry,
+            pattern,
             gridType = 'square',
-            gridOffsetX = 0,
-            gridOffsetY = 0,
-            hoveredRow = null,
-            hoveredBead = null,
-            fillThreshold = 0.75
+            beadShape = null
         } = renderData;
         
         // Очистка
         this.ctx.fillStyle = '#0a0e17';
         this.ctx.fillRect(0, 0, canvasWidth, canvasHeight);
         
-        // Вычисляем количество пикселей и их размеры в экранных координатах
-        const gridWidth = Math.max(1, Math.floor(workspaceWidthMM / pixelWidthMM));
-        const gridHeight = Math.max(1, Math.floor(workspaceHeightMM / pixelHeightMM));
+        // Отрисовка бисеринок и рисунка
+        this.renderPixelGrid({
+            geometry,
+            pattern,
+            gridType,
+            beadShape,
+            canvasWidth,
+            canvasHeight
+        });
         
-        const pixelWidthPx = canvasWidth / gridWidth;
-        const pixelHeightPx = canvasHeight / gridHeight;
+        // Сетка без подсветки запоминается, чтобы наведение и выделение перерисовывали только подсветку
+        const { canvas } = this.ctx;
+        this.gridImage = this.ctx.getImageData(0, 0, canvas.width, canvas.height);
         
-        // Отрисовка пиксельной сетки и рисунка
-        this.renderPixelGrid({
-            gridWidth,
-            gridHeight,
-            pixelWidthPx,
-            pixelHeightPx,
+        this.renderOverlays(renderData);
+    }
+    
+    /**
+     * Перерисовывает подсветку, выделение и контур поверх сетки последней отрисовки
+     * (бисеринки при этом не перерисовываются)
+     * @param {Object} renderData - данные для отрисовки (см. render)
+     */
+    renderHighlights(renderData) {
+        if (!this.gridImage) {
+            this.render(renderData);
+            return;
+        }
+        
+        this.ctx.putImageData(this.gridImage, 0, 0);
+        this.renderOverlays(renderData);
+    }
+    
+    /**
+     * Отрисовывает подсветку ряда и бисеринки, выделение и контур
+     * @param {Object} renderData - данные для отрисовки (см. render)
+     */
+    renderOverlays(renderData) {
+        const {
             canvasWidth,
             canvasHeight,
             workspaceWidthMM,
             workspaceHeightMM,
-            originalDrawing,
+            geometry,
+            contour,
             hasLoadedFile,
             fileWidthMM,
             fileHeightMM,
-            gridType,
-            gridOffsetX,
-            gridOffsetY,
-            hoveredRow,
-            fillThreshold
-        });
+            gridType = 'square',
+            beadShape = null,
+            hoveredRow = null,
+            hoveredBead = null,
+            selection = null,
+            selectionPath = null
+        } = renderData;
         
-        // Выделение ряда при наведении
-        if (hoveredRow !== null && (gridType === 'peyote' || gridType === 'brick')) {
+        // Выделение ряда при наведении (в радиальной сетке - целого кольца)
+        if (hoveredRow !== null && hoveredRow < geometry.getRowCount() && GRID_TYPES.includes(gridType)) {
             this.highlightRow({
-                gridWidth,
-                gridHeight,
-                pixelWidthPx,
-                pixelHeightPx,
-                canvasWidth,
-                canvasHeight,
-                workspaceWidthMM,
-                workspaceHeightMM,
-                gridType,
-                gridOffsetX,
-                gridOffsetY,
+                geometry,
                 hoveredRow
             });
         }
@@ -102,19 +109,21 @@ class CanvasRenderer {
         // Выделение конкретной бисеринки при наведении
         if (hoveredBead !== null) {
             this.highlightBead({
-                pixelWidthPx,
-                pixelHeightPx,
-                canvasWidth,
-                canvasHeight,
-                workspaceWidthMM,
-                workspaceHeightMM,
-                gridType,
-                gridOffsetX,
-                gridOffsetY,
+                geometry,
+                beadShape,
                 hoveredBead
             });
         }
         
+        // Выделение бисеринок и рамка/лассо, которые сейчас рисуются
+        if ((selection && selection.size > 0) || selectionPath) {
+            this.renderSelection({
+                geometry,
+                selection,
+                selectionPath
+            });
+        }
+        
         // Отрисовка контура
         this.renderContour({
             canvasWidth,
@@ -129,176 +138,310 @@ class CanvasRenderer {
     }
     
     /**
-     * Отрисовывает пиксельную сетку
+     * Отрисовывает бисеринки сетки и обозначения, специфичные для типа сетки
      * @param {Object} params - параметры отрисовки
      */
     renderPixelGrid(params) {
         const {
-            gridWidth,
-            gridHeight,
-            pixelWidthPx,
-            pixelHeightPx,
-            canvasWidth,
-            canvasHeight,
-            workspaceWidthMM,
-            workspaceHeightMM,
-            originalDrawing,
-            hasLoadedFile,
-            fileWidthMM,
-            fileHeightMM,
+            geometry,
+            pattern,
             gridType = 'square',
-            gridOffsetX = 0,
-            gridOffsetY = 0,
-            fillThreshold = 0.75
+            beadShape = null,
+            canvasWidth,
+            canvasHeight
         } = params;
         
         const ctx = this.ctx;
+        const shape = beadShape || geometry.beadShape;
         
-        // Преобразуем смещение из мм в пиксели экрана
-        const gridOffsetPxX = (gridOffsetX / workspaceWidthMM) * canvasWidth;
-        const gridOffsetPxY = (gridOffsetY / workspaceHeightMM) * canvasHeight;
+        geometry.getBeads().forEach(({ row, col }) => {
+            const bead = geometry.getBead(row, col);
+            const color = pattern.get(GridGeometry.key(row, col)) || null;
+            
+            // Отрисовка бисеринки
+            this.drawBead(ctx, bead, shape, color);
+            
+            // Бисеринка на шве трубки видна частично с обоих краёв
+            if (geometry.wrapsX && bead.x + bead.width / 2 > canvasWidth) {
+                this.drawBead(ctx, { ...bead, x: bead.x - canvasWidth }, shape, color);
+            }
+        });
         
-        // Вычисляем масштаб для преобразования координат файла в координаты рабочей области
-        let scaleX = 1.0;
-        let scaleY = 1.0;
-        let offsetX = 0.0;
-        let offsetY = 0.0;
+        // Для трубчатого peyote отмечаем шов и step-up
+        if (gridType === 'tubular') {
+            this.drawTubularSeam({
+                geometry,
+                canvasHeight
+            });
+        }
         
-        if (hasLoadedFile && fileWidthMM && fileHeightMM) {
-            // Масштаб: размер файла относительно рабочей области
-            scaleX = fileWidthMM / workspaceWidthMM;
-            scaleY = fileHeightMM / workspaceHeightMM;
-            // Центрируем файл в рабочей области
-            offsetX = (1.0 - scaleX) / 2.0;
-            offsetY = (1.0 - scaleY) / 2.0;
+        // Для N-drop peyote обводим бисеринки одного стежка
+        if (gridType === 'peyote' && geometry.drops > 1) {
+            this.drawPeyoteStitchGroups({
+                geometry,
+                canvasWidth,
+                canvasHeight
+            });
         }
         
-        // Смещение для разных типов сеток
-        const getOffset = (row, col) => {
-            switch (gridType) {
-                case 'peyote':
-                    // Peyote: нечётные столбцы смещаются на половину высоты вниз
-                    return {
-                        x: 0,
-                        y: (col % 2 === 1) ? pixelHeightPx / 2 : 0
-                    };
-                case 'brick':
-                    // Brick: нечётные ряды смещаются на половину ширины вправо
-                    return {
-                        x: (row % 2 === 1) ? pixelWidthPx / 2 : 0,
-                        y: 0
-                    };
-                default:
-                    return { x: 0, y: 0 };
+        // Для peyote нумеруем ряды так, как их плетёт мастер
+        if (gridType === 'peyote') {
+            this.drawPeyoteRowNumbers({
+                geometry,
+                canvasWidth,
+                canvasHeight
+            });
+        }
+    }
+    
+    /**
+     * Нумерует ряды peyote так, как их плетёт мастер: первые два ряда набираются вместе ("1-2"),
+     * далее каждый ряд - полшага по высоте, направление чередуется. Номер ставится у первой
+     * бисеринки ряда. При нечётном счёте ряды 3, 5, 7... заканчиваются разворотом на стороне
+     * начала - эти места отмечены стрелкой
+     * @param {Object} params - параметры отрисовки
+     */
+    drawPeyoteRowNumbers(params) {
+        const {
+            geometry,
+            canvasWidth,
+            canvasHeight
+        } = params;
+        
+        const ctx = this.ctx;
+        const { labels, turnarounds } = geometry.getStitchRowMarkers();
+        
+        // Слишком мелкие номера не читаются - подписываем только каждый пятый ряд
+        const fontSize = Math.max(7, Math.min(11, geometry.cellHeight * 0.45));
+        const labelEvery = geometry.cellHeight / 2 >= fontSize ? 1 : 5;
+        
+        ctx.save();
+        ctx.font = `${fontSize}px sans-serif`;
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        
+        ctx.fillStyle = 'rgba(255, 255, 255, 0.85)';
+        labels.forEach(label => {
+            if (label.y < 0 || label.y >= canvasHeight || label.x >= canvasWidth) return;
+            
+            if (label.text === '1-2' || label.rowNumber % labelEvery === 0) {
+                ctx.fillText(label.text, label.x, label.y);
             }
-        };
+        });
         
-        for (let row = 0; row < gridHeight; row++) {
-            for (let col = 0; col < gridWidth; col++) {
-                const offset = getOffset(row, col);
-                
-                // Экранные координаты с учётом смещения сетки и типа сетки
-                const x = col * pixelWidthPx + offset.x + gridOffsetPxX;
-                const y = row * pixelHeightPx + offset.y + gridOffsetPxY;
-                
-                // Пропускаем бисеринки, которые полностью выходят за границы
-                if (x >= canvasWidth || y >= canvasHeight) {
-                    continue;
-                }
-                
-                // Вычисляем площадь пересечения бисеринки с фигурой
-                // Создаем сетку точек внутри бисеринки для подсчета процента заполнения
-                const sampleGridSize = SAMPLE_GRID_SIZE;
-                let filledPoints = 0;
-                let totalPoints = 0;
-                
-                for (let sy = 0; sy < sampleGridSize; sy++) {
-                    for (let sx = 0; sx < sampleGridSize; sx++) {
-                        // Координаты точки внутри бисеринки (от 0.05 до 0.95, чтобы не попадать на границы)
-                        const sampleOffsetX = 0.05 + (sx / (sampleGridSize - 1)) * 0.9;
-                        const sampleOffsetY = 0.05 + (sy / (sampleGridSize - 1)) * 0.9;
-                        
-                        // Нормализованные координаты точки относительно рабочей области
-                        const workspaceX = (x + pixelWidthPx * sampleOffsetX) / canvasWidth;
-                        const workspaceY = (y + pixelHeightPx * sampleOffsetY) / canvasHeight;
-                        
-                        // Преобразуем координаты рабочей области в координаты файла
-                        let fileX = workspaceX;
-                        let fileY = workspaceY;
-                        
-                        if (hasLoadedFile && fileWidthMM && fileHeightMM) {
-                            // Преобразуем координаты рабочей области в координаты файла
-                            // ИСПРАВЛЕНО: используем offsetX/offsetY (смещение файла), а не sampleOffsetX/Y
-                            fileX = (workspaceX - offsetX) / scaleX;
-                            fileY = (workspaceY - offsetY) / scaleY;
-                            
-                            // НЕ пропускаем точки вне файла - originalDrawing сам обработает масштабирование
-                            // При масштабировании > 1 координаты могут выходить за [0, 1], но originalDrawing
-                            // правильно преобразует их обратно к исходному масштабу
-                        }
-                        
-                        totalPoints++;
-                        
-                        // Проверяем, заполнена ли точка (используем координаты файла)
-                        // originalDrawing сам обработает масштабирование и вернет false для точек вне исходной формы
-                        const isFilled = originalDrawing(fileX, fileY);
-                        if (isFilled) {
-                            filledPoints++;
-                        }
-                    }
-                }
-                
-                // Вычисляем процент заполнения
-                const fillPercentage = totalPoints > 0 ? filledPoints / totalPoints : 0;
-                
-                // Бисеринка считается заполненной, если процент заполнения >= порога
-                // Для порога 0 требуется fillPercentage > 0 (хотя бы частичное заполнение)
-                // Для других порогов используем точное сравнение
-                const isFilled = fillThreshold === 0 
-                    ? fillPercentage > 0 
-                    : fillPercentage >= fillThreshold;
-                
-                // Если все точки вне файла, рисуем только границу
-                if (totalPoints === 0) {
-                    ctx.strokeStyle = 'rgba(0, 255, 157, 0.15)';
-                    ctx.lineWidth = 0.5;
-                    this.drawBead(ctx, x, y, pixelWidthPx, pixelHeightPx, gridType, false);
-                    continue;
-                }
+        // Разворот в нечётном счёте: стрелка за краем последней бисеринки ряда
+        ctx.fillStyle = 'rgba(255, 200, 100, 0.95)';
+        turnarounds.forEach(turn => {
+            if (turn.y < 0 || turn.y >= canvasHeight) return;
+            
+            const arrowX = turn.side === 'right' ? turn.x + fontSize / 2 : turn.x - fontSize / 2;
+            ctx.fillText('↻', arrowX, turn.y);
+        });
+        
+        ctx.restore();
+    }
+    
+    /**
+     * Отмечает шов трубчатого peyote. При чётной окружности каждый раунд заканчивается
+     * step-up через первую бисеринку раунда - она помечается треугольником.
+     * При нечётной окружности раунды идут спиралью и step-up не нужен
+     * @param {Object} params - параметры отрисовки
+     */
+    drawTubularSeam(params) {
+        const {
+            geometry,
+            canvasHeight
+        } = params;
+        
+        const ctx = this.ctx;
+        const seamX = geometry.getSeamX();
+        
+        ctx.save();
+        
+        // Линия шва
+        ctx.strokeStyle = 'rgba(255, 200, 100, 0.7)';
+        ctx.lineWidth = 1.5;
+        ctx.setLineDash([6, 4]);
+        ctx.beginPath();
+        ctx.moveTo(seamX, 0);
+        ctx.lineTo(seamX, canvasHeight);
+        ctx.stroke();
+        ctx.setLineDash([]);
+        
+        ctx.fillStyle = 'rgba(255, 200, 100, 0.9)';
+        ctx.font = '10px sans-serif';
+        ctx.fillText(geometry.isEvenCount ? 'step-up' : 'спираль', seamX + 4, 12);
+        
+        // Первая бисеринка каждого раунда (пусто при нечётной окружности)
+        const markerSize = Math.min(geometry.cellWidth, geometry.cellHeight) * 0.3;
+        geometry.getStepUpBeads().forEach(({ row, col }) => {
+            const cell = geometry.getCell(row, col);
+            if (cell.y >= canvasHeight) return;
+            
+            ctx.beginPath();
+            ctx.moveTo(cell.x + 1, cell.y + 1);
+            ctx.lineTo(cell.x + 1 + markerSize, cell.y + 1);
+            ctx.lineTo(cell.x + 1, cell.y + 1 + markerSize);
+            ctx.closePath();
+            ctx.fill();
+        });
+        
+        ctx.restore();
+    }
+    
+    /**
+     * Отрисовывает трубчатый peyote сбоку: схема проецируется на цилиндр,
+     * видны только бисеринки на обращённой к зрителю половине трубки
+     * @param {CanvasRenderingContext2D} ctx - контекст canvas предпросмотра
+     * @param {Object} params - параметры отрисовки
+     * @param {number} params.width - ширина canvas предпросмотра
+     * @param {number} params.height - высота canvas предпросмотра
+     * @param {TubularGeometry} params.geometry - геометрия трубки: бисеринки по окружности (gridWidth),
+     *     вдоль трубки (gridHeight) и смещение столбцов (getCellOffset)
+     * @param {number} params.beadAspect - отношение высоты бисеринки к ширине
+     * @param {number} params.rotationDeg - поворот трубки вокруг оси в градусах
+     * @param {Function} params.getBeadColor - функция (row, col) => цвет '#rrggbb' или null для пустой бисеринки
+     */
+    renderCylinderPreview(ctx, params) {
+        const {
+            width,
+            height,
+            geometry,
+            beadAspect,
+            rotationDeg,
+            getBeadColor
+        } = params;
+        const { gridWidth, gridHeight } = geometry;
+        
+        ctx.fillStyle = '#0a0e17';
+        ctx.fillRect(0, 0, width, height);
+        
+        // Размеры трубки в ширинах бисеринки
+        const radius = gridWidth / (2 * Math.PI);
+        const tubeLength = (gridHeight + 0.5) * beadAspect;
+        
+        const margin = 10;
+        const scale = Math.min((width - margin * 2) / (radius * 2), (height - margin * 2) / tubeLength);
+        const centerX = width / 2;
+        const top = (height - tubeLength * scale) / 2;
+        const radiusPx = radius * scale;
+        const beadHeightPx = beadAspect * scale;
+        const rotation = rotationDeg * Math.PI / 180;
+        
+        // Силуэт трубки
+        ctx.strokeStyle = 'rgba(0, 212, 255, 0.3)';
+        ctx.lineWidth = 1;
+        ctx.strokeRect(centerX - radiusPx, top, radiusPx * 2, tubeLength * scale);
+        
+        for (let col = 0; col < gridWidth; col++) {
+            const theta = 2 * Math.PI * (col + 0.5) / gridWidth + rotation;
+            const depth = Math.cos(theta);
+            if (depth <= 0) continue;
+            
+            // Ширина бисеринки сжимается к краям трубки
+            const beadWidthPx = scale * depth;
+            const beadX = centerX + radiusPx * Math.sin(theta) - beadWidthPx / 2;
+            
+            ctx.globalAlpha = 0.3 + 0.7 * depth;
+            for (let row = 0; row < gridHeight; row++) {
+                const beadY = top + (row + geometry.getCellOffset(row, col).y) * beadHeightPx;
+                ctx.fillStyle = getBeadColor(row, col) || 'rgba(255, 255, 255, 0.06)';
                 
-                // Отрисовка бисеринки
-                this.drawBead(ctx, x, y, pixelWidthPx, pixelHeightPx, gridType, isFilled);
+                const drawWidth = Math.max(0.5, beadWidthPx - 1);
+                const drawHeight = Math.max(0.5, beadHeightPx - 1);
+                this.roundRect(ctx, beadX + 0.5, beadY + 0.5, drawWidth, drawHeight, Math.min(drawWidth, drawHeight) / 4);
+                ctx.fill();
             }
         }
+        ctx.globalAlpha = 1;
+        
+        // Шов проходит по левому краю столбца 0
+        const seamDepth = Math.cos(rotation);
+        if (seamDepth > 0) {
+            const seamX = centerX + radiusPx * Math.sin(rotation);
+            ctx.strokeStyle = 'rgba(255, 200, 100, 0.7)';
+            ctx.setLineDash([4, 3]);
+            ctx.beginPath();
+            ctx.moveTo(seamX, top);
+            ctx.lineTo(seamX, top + tubeLength * scale);
+            ctx.stroke();
+            ctx.setLineDash([]);
+        }
     }
     
     /**
-     * Отрисовывает одну бисеринку
-     * @param {CanvasRenderingContext2D} ctx - контекст canvas
-     * @param {number} x - координата X
-     * @param {number} y - координата Y
-     * @param {number} width - ширина
-     * @param {number} height - высота
-     * @param {string} gridType - тип сетки
-     * @param {boolean} isFilled - заполнена ли бисеринка
+     * Обводит группы бисеринок, которые набираются одним стежком в N-drop peyote
+     * @param {Object} params - параметры отрисовки
      */
-    drawBead(ctx, x, y, width, height, gridType, isFilled) {
-        const padding = 1; // Отступ между бисеринками
-        const drawX = x + padding / 2;
-        const drawY = y + padding / 2;
-        const drawWidth = width - padding;
-        const drawHeight = height - padding;
-        
-        if (isFilled) {
-            ctx.fillStyle = 'rgba(0, 255, 157, 0.8)';
+    drawPeyoteStitchGroups(params) {
+        const {
+            geometry,
+            canvasWidth,
+            canvasHeight
+        } = params;
+        
+        const ctx = this.ctx;
+        const cornerRadius = Math.min(geometry.cellWidth, geometry.cellHeight) * 0.25;
+        
+        ctx.save();
+        ctx.strokeStyle = 'rgba(0, 212, 255, 0.35)';
+        ctx.lineWidth = 1;
+        
+        geometry.getStitches().forEach(stitch => {
+            if (stitch.x >= canvasWidth || stitch.y >= canvasHeight) return;
             
-            // Для peyote и brick рисуем скруглённые бисеринки
-            if (gridType === 'peyote' || gridType === 'brick') {
-                const radius = Math.min(drawWidth, drawHeight) / 4;
+            ctx.beginPath();
+            ctx.roundRect(stitch.x + 0.5, stitch.y + 0.5, stitch.width - 1, stitch.height - 1, cornerRadius);
+            ctx.stroke();
+        });
+        
+        ctx.restore();
+    }
+    
+    /**
+     * Отрисовывает одну бисеринку в её собственной системе координат:
+     * центр, размеры и наклон берутся из геометрии сетки
+     * @param {CanvasRenderingContext2D} ctx - контекст canvas
+     * @param {{x: number, y: number, width: number, height: number, angle: number}} bead - бисеринка (см. GridGeometry.getBead)
+     * @param {string} shape - форма бисеринки ('rect', 'rounded', 'capsule' или форма из профиля: 'cylinder', 'round', 'bugle')
+     * @param {string|null} color - цвет бисеринки '#rrggbb' или null для пустой
+     */
+    drawBead(ctx, bead, shape, color) {
+        ctx.save();
+        ctx.translate(bead.x, bead.y);
+        if (bead.angle !== 0) {
+            ctx.rotate(bead.angle);
+        }
+        
+        // Отступ между бисеринками (капсулы RAW лежат на рёбрах звеньев и не соприкасаются)
+        const padding = shape === 'capsule' ? 0 : 1;
+        const drawWidth = bead.width - padding;
+        const drawHeight = bead.height - padding;
+        const drawX = -drawWidth / 2;
+        const drawY = -drawHeight / 2;
+        
+        if (shape === 'rect') {
+            if (color) {
+                ctx.fillStyle = color;
+                ctx.fillRect(drawX, drawY, drawWidth, drawHeight);
+            }
+        } else {
+            if (shape === 'round') {
+                // Круглый рокайль сбоку выглядит овалом
+                ctx.beginPath();
+                ctx.ellipse(0, 0, Math.max(0, drawWidth / 2), Math.max(0, drawHeight / 2), 0, 0, Math.PI * 2);
+            } else {
+                // Цилиндрический бисер и стеклярус - трубки с почти прямыми краями
+                const isTube = shape === 'cylinder' || shape === 'bugle';
+                const radius = shape === 'capsule'
+                    ? Math.min(drawWidth, drawHeight) / 2
+                    : Math.min(drawWidth, drawHeight) / (isTube ? 8 : 4);
                 this.roundRect(ctx, drawX, drawY, drawWidth, drawHeight, radius);
+            }
+            
+            if (color) {
+                ctx.fillStyle = color;
                 ctx.fill();
-            } else {
-                ctx.fillRect(drawX, drawY, drawWidth, drawHeight);
             }
         }
         
@@ -306,13 +449,29 @@ class CanvasRenderer {
         ctx.strokeStyle = 'rgba(0, 255, 157, 0.15)';
         ctx.lineWidth = 0.5;
         
-        if (gridType === 'peyote' || gridType === 'brick') {
-            const radius = Math.min(drawWidth, drawHeight) / 4;
-            this.roundRect(ctx, drawX, drawY, drawWidth, drawHeight, radius);
-            ctx.stroke();
-        } else {
+        if (shape === 'rect') {
             ctx.strokeRect(drawX, drawY, drawWidth, drawHeight);
+        } else {
+            ctx.stroke();
         }
+        
+        // У стекляруса отмечаем канал вдоль длинной стороны
+        if (shape === 'bugle') {
+            const inset = Math.min(drawWidth, drawHeight) / 4;
+            ctx.beginPath();
+            if (drawWidth >= drawHeight) {
+                ctx.moveTo(drawX + inset, 0);
+                ctx.lineTo(drawX + drawWidth - inset, 0);
+            } else {
+                ctx.moveTo(0, drawY + inset);
+                ctx.lineTo(0, drawY + drawHeight - inset);
+            }
+            ctx.strokeStyle = color ? 'rgba(10, 14, 23, 0.35)' : 'rgba(0, 255, 157, 0.15)';
+            ctx.lineWidth = 1;
+            ctx.stroke();
+        }
+        
+        ctx.restore();
     }
     
     /**
@@ -339,28 +498,17 @@ class CanvasRenderer {
     }
     
     /**
-     * Выделяет ряд при наведении мыши
+     * Выделяет ряд при наведении мыши (область ряда описывает геометрия сетки)
      * @param {Object} params - параметры отрисовки
      */
     highlightRow(params) {
         const {
-            gridWidth,
-            gridHeight,
-            pixelWidthPx,
-            pixelHeightPx,
-            canvasWidth,
-            canvasHeight,
-            workspaceWidthMM,
-            workspaceHeightMM,
-            gridType,
-            gridOffsetX,
-            gridOffsetY,
+            geometry,
             hoveredRow
         } = params;
         
         const ctx = this.ctx;
-        const gridOffsetPxX = (gridOffsetX / workspaceWidthMM) * canvasWidth;
-        const gridOffsetPxY = (gridOffsetY / workspaceHeightMM) * canvasHeight;
+        const highlight = geometry.getRowHighlight(hoveredRow);
         
         ctx.save();
         ctx.globalAlpha = 0.3;
@@ -368,33 +516,20 @@ class CanvasRenderer {
         ctx.strokeStyle = 'rgba(0, 212, 255, 0.6)';
         ctx.lineWidth = 2;
         
-        if (gridType === 'peyote') {
-            // Выделяем столбец (вертикальный ряд)
-            // В peyote: нечётные столбцы смещаются вниз на половину высоты
-            const col = hoveredRow;
-            const offsetPxY = (col % 2 === 1) ? pixelHeightPx / 2 : 0;
-            const startX = col * pixelWidthPx + gridOffsetPxX;
-            
-            // Вычисляем область выделения для всего столбца
-            const startY = gridOffsetPxY + offsetPxY;
-            const endY = gridHeight * pixelHeightPx + gridOffsetPxY + offsetPxY;
-            
-            ctx.fillRect(startX, startY, pixelWidthPx, endY - startY);
-            ctx.strokeRect(startX, startY, pixelWidthPx, endY - startY);
-            
-        } else if (gridType === 'brick') {
-            // Выделяем строку (горизонтальный ряд)
-            // В brick: нечётные строки смещаются вправо на половину ширины
-            const row = hoveredRow;
-            const offsetPxX = (row % 2 === 1) ? pixelWidthPx / 2 : 0;
-            const startY = row * pixelHeightPx + gridOffsetPxY;
-            
-            // Вычисляем область выделения для всей строки
-            const startX = gridOffsetPxX + offsetPxX;
-            const endX = gridWidth * pixelWidthPx + gridOffsetPxX + offsetPxX;
-            
-            ctx.fillRect(startX, startY, endX - startX, pixelHeightPx);
-            ctx.strokeRect(startX, startY, endX - startX, pixelHeightPx);
+        if (highlight.ring) {
+            // Кольцо между внутренней и внешней окружностями
+            const { x, y, innerRadius, outerRadius } = highlight.ring;
+            ctx.beginPath();
+            ctx.arc(x, y, outerRadius, 0, Math.PI * 2);
+            ctx.moveTo(x + innerRadius, y);
+            ctx.arc(x, y, innerRadius, 0, Math.PI * 2, true);
+            ctx.fill('evenodd');
+            ctx.stroke();
+        } else {
+            highlight.rects.forEach(rect => {
+                ctx.fillRect(rect.x, rect.y, rect.width, rect.height);
+                ctx.strokeRect(rect.x, rect.y, rect.width, rect.height);
+            });
         }
         
         ctx.restore();
@@ -406,44 +541,32 @@ class CanvasRenderer {
      */
     highlightBead(params) {
         const {
-            pixelWidthPx,
-            pixelHeightPx,
-            canvasWidth,
-            canvasHeight,
-            workspaceWidthMM,
-            workspaceHeightMM,
-            gridType,
-            gridOffsetX,
-            gridOffsetY,
+            geometry,
+            beadShape = null,
             hoveredBead
         } = params;
         
-        if (!hoveredBead) return;
+        if (!hoveredBead || !geometry.hasBead(hoveredBead.row, hoveredBead.col)) return;
         
-        const { row, col } = hoveredBead;
+        const bead = geometry.getBead(hoveredBead.row, hoveredBead.col);
+        const isCapsule = (beadShape || geometry.beadShape) === 'capsule';
         
         const ctx = this.ctx;
         ctx.save();
         
-        // Преобразуем смещение из мм в пиксели
-        const gridOffsetPxX = (gridOffsetX / workspaceWidthMM) * canvasWidth;
-        const gridOffsetPxY = (gridOffsetY / workspaceHeightMM) * canvasHeight;
-        
-        // Вычисляем позицию бисеринки с учётом смещения сетки
-        let x, y;
-        if (gridType === 'peyote') {
-            const offsetPxY = (col % 2 === 1) ? pixelHeightPx / 2 : 0;
-            x = col * pixelWidthPx + gridOffsetPxX;
-            y = row * pixelHeightPx + offsetPxY + gridOffsetPxY;
-        } else {
-            const offsetPxX = (row % 2 === 1) ? pixelWidthPx / 2 : 0;
-            x = col * pixelWidthPx + offsetPxX + gridOffsetPxX;
-            y = row * pixelHeightPx + gridOffsetPxY;
+        // Выделяем бисеринку в её собственной системе координат (с учётом наклона)
+        ctx.translate(bead.x, bead.y);
+        if (bead.angle !== 0) {
+            ctx.rotate(bead.angle);
         }
         
-        // Размер скругления
-        const cornerRadius = Math.min(pixelWidthPx, pixelHeightPx) * 0.2;
-        const padding = 2;
+        // Капсулу RAW обводим целиком, остальные бисеринки - с отступом внутрь
+        const padding = isCapsule ? 0 : 2;
+        const width = bead.width - padding * 2;
+        const height = bead.height - padding * 2;
+        const cornerRadius = isCapsule
+            ? Math.min(width, height) / 2
+            : Math.min(bead.width, bead.height) * 0.2;
         
         // Рисуем выделение бисеринки (только для заполненных)
         ctx.strokeStyle = '#ffffff';
@@ -453,18 +576,77 @@ class CanvasRenderer {
         
         // Скруглённый прямоугольник
         ctx.beginPath();
-        ctx.roundRect(
-            x + padding,
-            y + padding,
-            pixelWidthPx - padding * 2,
-            pixelHeightPx - padding * 2,
-            cornerRadius
-        );
+        ctx.roundRect(-width / 2, -height / 2, width, height, cornerRadius);
         ctx.stroke();
         
         ctx.restore();
     }
     
+    /**
+     * Отрисовывает выделенные бисеринки и рамку или лассо выделения
+     * @param {Object} params - параметры отрисовки
+     */
+    renderSelection(params) {
+        const {
+            geometry,
+            selection = null,
+            selectionPath = null
+        } = params;
+        
+        const ctx = this.ctx;
+        ctx.save();
+        
+        // Выделенные бисеринки - полупрозрачная заливка с пунктирной обводкой по телу бисеринки
+        if (selection) {
+            ctx.fillStyle = 'rgba(255, 214, 0, 0.25)';
+            ctx.strokeStyle = '#ffd600';
+            ctx.lineWidth = 1.5;
+            ctx.setLineDash([3, 2]);
+            selection.forEach(key => {
+                const { row, col } = GridGeometry.parseKey(key);
+                if (!geometry.hasBead(row, col)) return;
+                
+                const polygon = geometry.getBeadPolygon(row, col);
+                ctx.beginPath();
+                polygon.forEach((point, index) => {
+                    if (index === 0) {
+                        ctx.moveTo(point.x, point.y);
+                    } else {
+                        ctx.lineTo(point.x, point.y);
+                    }
+                });
+                ctx.closePath();
+                ctx.fill();
+                ctx.stroke();
+            });
+        }
+        
+        // Рамка или лассо, которые пользователь сейчас тянет
+        if (selectionPath && selectionPath.points.length > 0) {
+            const points = selectionPath.points;
+            ctx.strokeStyle = '#ffffff';
+            ctx.lineWidth = 1;
+            ctx.setLineDash([5, 4]);
+            ctx.beginPath();
+            if (selectionPath.shape === 'rect' && points.length > 1) {
+                const [start, end] = points;
+                ctx.rect(start.x, start.y, end.x - start.x, end.y - start.y);
+            } else {
+                points.forEach((point, index) => {
+                    if (index === 0) {
+                        ctx.moveTo(point.x, point.y);
+                    } else {
+                        ctx.lineTo(point.x, point.y);
+                    }
+                });
+                ctx.closePath();
+            }
+            ctx.stroke();
+        }
+        
+        ctx.restore();
+    }
+    
     /**
      * Отрисовывает контур
      * @param {Object} params - параметры отрисовки
@@ -504,32 +686,37 @@ class CanvasRenderer {
         
         ctx.beginPath();
         
-        contour.forEach((point, index) => {
-            // Координаты точки в нормализованных координатах файла [0, 1]
-            let fileX = point.x;
-            let fileY = point.y;
-            
-            // Преобразуем координаты файла в координаты рабочей области
-            let workspaceX = fileX;
-            let workspaceY = fileY;
-            
-            if (hasLoadedFile && fileWidthMM && fileHeightMM) {
-                workspaceX = offsetX + fileX * scaleX;
-                workspaceY = offsetY + fileY * scaleY;
-            }
-            
-            // Преобразуем в экранные координаты
-            const x = workspaceX * canvasWidth;
-            const y = workspaceY * canvasHeight;
-            
-            if (index === 0) {
-                ctx.moveTo(x, y);
-            } else {
-                ctx.lineTo(x, y);
-            }
+        // Один контур (SVG, изображение) или несколько (DXF)
+        const loops = Array.isArray(contour[0]) ? contour : [contour];
+        
+        loops.forEach(loop => {
+            loop.forEach((point, index) => {
+                // Координаты точки в нормализованных координатах файла [0, 1]
+                let fileX = point.x;
+                let fileY = point.y;
+                
+                // Преобразуем координаты файла в координаты рабочей области
+                let workspaceX = fileX;
+                let workspaceY = fileY;
+                
+                if (hasLoadedFile && fileWidthMM && fileHeightMM) {
+                    workspaceX = offsetX + fileX * scaleX;
+                    workspaceY = offsetY + fileY * scaleY;
+                }
+                
+                // Преобразуем в экранные координаты
+                const x = workspaceX * canvasWidth;
+                const y = workspaceY * canvasHeight;
+                
+                if (index === 0) {
+                    ctx.moveTo(x, y);
+                } else {
+                    ctx.lineTo(x, y);
+                }
+            });
+            ctx.closePath();
         });
         
-        ctx.closePath();
         ctx.strokeStyle = 'rgba(0, 212, 255, 0.6)';
         ctx.lineWidth = 2;
         ctx.stroke();
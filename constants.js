@@ -29,6 +29,184 @@ const MAX_SCALE = 3.0;
 const MIN_GRID_OFFSET_MM = -10;
 const MAX_GRID_OFFSET_MM = 10;
 
+// Типы сеток
+const GRID_TYPES = ['square', 'peyote', 'tubular', 'brick', 'herringbone', 'raw', 'radial'];
+const DEFAULT_GRID_TYPE = 'peyote';
+
+// Peyote N-drop: количество бисеринок в одном стежке
+const DEFAULT_PEYOTE_DROPS = 1;
+const MIN_PEYOTE_DROPS = 1;
+const MAX_PEYOTE_DROPS = 3;
+// Peyote: чётный/нечётный счёт и сторона, с которой начинаются верхние бисеринки
+const PEYOTE_COUNTS = ['even', 'odd'];
+const DEFAULT_PEYOTE_COUNT = 'even';
+const PEYOTE_START_SIDES = ['left', 'right'];
+const DEFAULT_PEYOTE_START_SIDE = 'left';
+
+// Трубчатый peyote: поворот трубки в предпросмотре по умолчанию (в градусах)
+const DEFAULT_CYLINDER_ROTATION_DEG = 0;
+
+// Наклон бисеринок в herringbone (в градусах)
+const HERRINGBONE_TILT_DEG = 20;
+// Доля ширины ячейки, которую занимает наклонённая бисеринка (чтобы пары не перекрывались)
+const HERRINGBONE_BEAD_WIDTH_RATIO = 0.75;
+
+// Right-angle weave: размеры бисеринки на ребре звена (доли стороны звена)
+const RAW_BEAD_LENGTH_RATIO = 0.8;
+const RAW_BEAD_THICKNESS_RATIO = 0.35;
+// Максимальное расстояние от курсора до ребра звена (доля стороны) для выбора бисеринки
+const RAW_HIT_TOLERANCE = 0.25;
+
+// Профили бисера: физические размеры в мм (диаметр и длина вдоль отверстия), форма,
+// примерное количество бисеринок в грамме и вес упаковки (тубы) в граммах по данным производителей
+// Формы: цилиндрический бисер (Delica, Treasure), круглый рокайль, стеклярус
+const BEAD_SHAPES = ['cylinder', 'round', 'bugle'];
+const BEAD_PROFILES = [
+    { name: 'Miyuki Delica 15/0', diameterMM: 1.3, lengthMM: 1.1, shape: 'cylinder', beadsPerGram: 500, packGrams: 5 },
+    { name: 'Miyuki Delica 11/0', diameterMM: 1.6, lengthMM: 1.3, shape: 'cylinder', beadsPerGram: 200, packGrams: 5 },
+    { name: 'Miyuki Delica 10/0', diameterMM: 2.2, lengthMM: 1.7, shape: 'cylinder', beadsPerGram: 105, packGrams: 5 },
+    { name: 'Miyuki Delica 8/0', diameterMM: 3.0, lengthMM: 2.4, shape: 'cylinder', beadsPerGram: 40, packGrams: 5 },
+    { name: 'Toho Treasure 11/0', diameterMM: 1.8, lengthMM: 1.5, shape: 'cylinder', beadsPerGram: 125, packGrams: 10 },
+    { name: 'Toho Round 15/0', diameterMM: 1.5, lengthMM: 1.0, shape: 'round', beadsPerGram: 250, packGrams: 10 },
+    { name: 'Toho Round 11/0', diameterMM: 2.2, lengthMM: 1.6, shape: 'round', beadsPerGram: 110, packGrams: 10 },
+    { name: 'Toho Round 8/0', diameterMM: 3.0, lengthMM: 2.5, shape: 'round', beadsPerGram: 37, packGrams: 10 },
+    { name: 'Miyuki Round 11/0', diameterMM: 2.0, lengthMM: 1.5, shape: 'round', beadsPerGram: 110, packGrams: 10 },
+    { name: 'Miyuki Round 8/0', diameterMM: 3.0, lengthMM: 2.2, shape: 'round', beadsPerGram: 36, packGrams: 10 },
+    { name: 'Preciosa Rocaille 10/0', diameterMM: 2.3, lengthMM: 1.7, shape: 'round', beadsPerGram: 75, packGrams: 20 },
+    { name: 'Miyuki Bugle #1 (3 мм)', diameterMM: 1.9, lengthMM: 3.0, shape: 'bugle', beadsPerGram: 70, packGrams: 10 },
+    { name: 'Miyuki Bugle #2 (6 мм)', diameterMM: 1.9, lengthMM: 6.0, shape: 'bugle', beadsPerGram: 35, packGrams: 10 },
+    { name: 'Toho Bugle #3 (9 мм)', diameterMM: 2.0, lengthMM: 9.0, shape: 'bugle', beadsPerGram: 22, packGrams: 10 }
+];
+// Оценка веса бисера без данных производителя (свой размер или профиль пользователя):
+// плотность стекла в г/см³, диаметр отверстия (доля диаметра бисеринки) и доля объёма
+// цилиндра, которую занимает круглая бисеринка. Упаковка по умолчанию - в граммах
+const GLASS_DENSITY_G_PER_CM3 = 2.5;
+const BEAD_HOLE_RATIO = 0.5;
+const ROUND_BEAD_VOLUME_RATIO = 0.75;
+const DEFAULT_PACK_GRAMS = 10;
+// Типы сеток, в которых нить проходит через бисеринку вертикально (вдоль столбца),
+// в остальных - горизонтально (вдоль ряда)
+const VERTICAL_HOLE_GRID_TYPES = ['brick', 'herringbone', 'radial'];
+// Ключ localStorage для профилей бисера пользователя
+const BEAD_PROFILES_STORAGE_KEY = 'beadingStudio.beadProfiles';
+const MAX_BEAD_PROFILE_NAME_LENGTH = 60;
+
+// Цвет бисеринок для объектов DXF цвета 7 (основной цвет чертежа)
+// и порог, начиная с которого пиксель растра считается фоном
+const DEFAULT_BEAD_COLOR = '#00ff9d';
+const BACKGROUND_LIGHTNESS_THRESHOLD = 200;
+const BACKGROUND_ALPHA_THRESHOLD = 128;
+
+// Индексированные цвета AutoCAD (ACI) для слоёв и объектов DXF: цвета 1-9, серые 250-255,
+// остальные 10-249 - оттенки через 15° (по 10 номеров на оттенок) с уровнями яркости
+// и насыщенностью 1 (чётные номера) или 0.5 (нечётные). Цвет 7 (чёрный или белый в зависимости
+// от фона чертежа) получает цвет бисеринок по умолчанию
+const DXF_ACI_BASE_COLORS = {
+    1: '#ff0000', 2: '#ffff00', 3: '#00ff00', 4: '#00ffff', 5: '#0000ff',
+    6: '#ff00ff', 8: '#808080', 9: '#c0c0c0'
+};
+const DXF_ACI_GRAYS = ['#333333', '#505050', '#696969', '#828282', '#bebebe', '#ffffff'];
+const DXF_ACI_VALUE_LEVELS = [1, 0.65, 0.5, 0.3, 0.15];
+// Специальные номера цвета: по блоку, по слою, а также слой по умолчанию
+const DXF_COLOR_BYBLOCK = 0;
+const DXF_COLOR_BYLAYER = 256;
+const DXF_DEFAULT_LAYER = '0';
+// Количество точек на полный оборот для дуг сегментов полилиний с выпуклостью (код 42)
+const DXF_ARC_STEPS_PER_TURN = 64;
+// Наибольшая вложенность блоков при развёртывании вставок (INSERT)
+const DXF_MAX_BLOCK_DEPTH = 16;
+// Адаптивная выборка точек сплайнов (NURBS): начальное число участков на пролёт узлового вектора,
+// допустимое отклонение хорды от кривой (доля размера сплайна) и наибольшая глубина деления участка
+const DXF_SPLINE_SPAN_STEPS = 4;
+const DXF_SPLINE_TOLERANCE = 0.001;
+const DXF_SPLINE_MAX_DEPTH = 8;
+// Единицы чертежа DXF: название и длина единицы в мм. Единицы берутся из переменной $INSUNITS
+// секции HEADER (номер кода 70), для безразмерных чертежей - из $MEASUREMENT (0 - дюймы, 1 - мм)
+const DXF_UNITS = {
+    mm: { label: 'мм', mm: 1 },
+    cm: { label: 'см', mm: 10 },
+    m: { label: 'м', mm: 1000 },
+    in: { label: 'дюймы', mm: 25.4 },
+    ft: { label: 'футы', mm: 304.8 }
+};
+const DXF_INSUNITS = { 1: 'in', 2: 'ft', 4: 'mm', 5: 'cm', 6: 'm' };
+const DEFAULT_DXF_UNITS = 'mm';
+
+// Импорт растровых изображений: расширения и MIME-типы файлов, наибольшая сторона растра
+// в пикселях (фотографии крупнее уменьшаются, пиксель-арт остаётся как есть)
+const IMAGE_MIME_TYPES = {
+    png: 'image/png',
+    jpg: 'image/jpeg',
+    jpeg: 'image/jpeg',
+    webp: 'image/webp',
+    bmp: 'image/bmp'
+};
+const IMAGE_EXTENSIONS = Object.keys(IMAGE_MIME_TYPES);
+const IMAGE_MAX_RESOLUTION = 1024;
+// Режимы изображения: цвета пикселей или одноцветная схема по порогу яркости
+const IMAGE_MODES = ['color', 'threshold'];
+const DEFAULT_IMAGE_MODE = 'color';
+// Яркость и контраст (в процентах от -100 до 100) и порог яркости (0-255)
+const MIN_IMAGE_ADJUSTMENT = -100;
+const MAX_IMAGE_ADJUSTMENT = 100;
+const DEFAULT_IMAGE_THRESHOLD = 128;
+
+// Ограничение палитры: количество цветов (0 - без ограничения) и способ дизеринга
+const DEFAULT_PALETTE_SIZE = 0;
+const MIN_PALETTE_SIZE = 0;
+const MAX_PALETTE_SIZE = 32;
+const DITHER_MODES = ['none', 'floyd-steinberg', 'ordered'];
+const DEFAULT_DITHER_MODE = 'none';
+// Ядро Флойда–Стейнберга: смещение соседа в ячейках и доля передаваемой ошибки
+const FLOYD_STEINBERG_KERNEL = [
+    { dx: 1, dy: 0, weight: 7 / 16 },
+    { dx: -1, dy: 1, weight: 3 / 16 },
+    { dx: 0, dy: 1, weight: 5 / 16 },
+    { dx: 1, dy: 1, weight: 1 / 16 }
+];
+// Матрица Байера 4×4 для упорядоченного дизеринга
+const BAYER_MATRIX_4 = [
+    [0, 8, 2, 10],
+    [12, 4, 14, 6],
+    [3, 11, 1, 9],
+    [15, 7, 13, 5]
+];
+
+// Каталоги цветов бисера производителей (локальные JSON файлы с приближением цветов в sRGB)
+const BEAD_CATALOG_FILES = [
+    'catalogs/miyuki-delica.json',
+    'catalogs/toho-round.json',
+    'catalogs/preciosa-rocaille.json'
+];
+// Сопоставление с каталогом: '' - выключено, 'all' - все каталоги, иначе id каталога
+const DEFAULT_BEAD_CATALOG = '';
+// Покрытия бисера для фильтра сопоставления ('all' - любое)
+const BEAD_FINISHES = ['opaque', 'matte', 'silver-lined', 'transparent', 'metallic', 'pearl'];
+const DEFAULT_BEAD_FINISH = 'all';
+// Опорная белая точка D65 для перевода XYZ в CIELAB
+const D65_WHITE = { x: 0.95047, y: 1.0, z: 1.08883 };
+
+// Инструменты редактирования бисеринок на canvas: просмотр, кисть, ластик,
+// возврат бисеринки к цвету, вычисленному по рисунку, заливка области,
+// выделение рамкой и лассо
+const EDIT_TOOLS = ['view', 'paint', 'erase', 'restore', 'fill', 'select', 'lasso'];
+const DEFAULT_EDIT_TOOL = 'view';
+
+// Легенда цветов: запас, который добавляется к количеству бисера для покупки,
+// и символы цветов (по убыванию количества бисеринок, дальше цвета нумеруются)
+const LEGEND_SPARE_RATIO = 0.1;
+// Светлота CIELAB, начиная с которой символ на цвете бисеринки рисуется чёрным
+const CONTRAST_LIGHTNESS_THRESHOLD = 60;
+const LEGEND_SYMBOLS = [
+    '●', '■', '▲', '◆', '★', '✚', '✖', '♥', '♣', '♠', '♦', '○', '□', '△', '◇', '☆',
+    'A', 'B', 'C', 'D', 'E', 'F', 'G', 'H', 'K', 'M', 'N', 'P', 'R', 'S', 'T', 'X'
+];
+
+// История изменений: максимальное количество шагов и интервал (в мс), в пределах
+// которого изменения одной настройки (перетаскивание ползунка) объединяются в один шаг
+const HISTORY_LIMIT = 100;
+const HISTORY_COALESCE_MS = 1000;
+
 // Размер сетки для сэмплирования
 const SAMPLE_GRID_SIZE = 5;
 
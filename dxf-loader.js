@@ -5,15 +5,37 @@
  * - LINE (линии)
  * - CIRCLE (окружности)
  * - ARC (дуги)
- * - POLYLINE / LWPOLYLINE (полилинии)
+ * - POLYLINE / LWPOLYLINE (полилинии, в том числе с дуговыми сегментами - выпуклость, код 42)
  * - ELLIPSE (эллипсы)
- * - SPLINE (сплайны)
+ * - SPLINE (сплайны B-spline / NURBS: степень, узловой вектор, веса, точки интерполяции)
+ * - INSERT (вставки блоков из секции BLOCKS, в том числе вложенные и массивы строк и столбцов)
+ * - HATCH (штриховки и заливки с контурами из полилиний и рёбер), SOLID / TRACE (залитые четырёхугольники)
+ *
+ * Замкнутые контуры (окружности, полилинии, цепочки отрезков и дуг) заполняются с учётом вложенности:
+ * контур внутри другого - отверстие, внутри отверстия - снова заливка. Если в чертеже есть заливки,
+ * заполняются только они, а остальные объекты рисуются контурами
+ *
+ * Окружности, дуги, полилинии, штриховки, залитые четырёхугольники и вставки блоков
+ * с направлением выдавливания (коды 210/220/230), отличным от +Z
+ * (например, отражённые в CAD), переводятся из системы координат объекта (OCS) в мировую
+ *
+ * Координаты переводятся в мм по единицам чертежа из секции HEADER ($INSUNITS, $MEASUREMENT),
+ * ось Y направлена вверх, как в CAD, поэтому при нормализации она переворачивается
+ *
+ * Слои (код 8) и цвета объектов (индексированный цвет ACI - код 62, true color - код 420)
+ * читаются вместе с таблицей слоёв. Каждая пара слой + цвет растеризуется отдельно,
+ * поэтому слои можно скрывать и перекрашивать без повторного чтения файла
  */
 class DXFLoader {
     /**
      * Загружает и обрабатывает DXF файл
      * @param {File} file - DXF файл
-     * @returns {Promise<{contour: Array, drawingFunction: Function, width: number, height: number}>}
+     * @returns {Promise<{contour: Array<Array>, drawingFunction: Function, width: number, height: number,
+     *     units: string, drawingWidth: number, drawingHeight: number,
+     *     layers: Array<{name: string, color: string, visible: boolean, entityCount: number}>, raster: Object}>}
+     *     contour - все контуры рисунка, width и height - размеры в мм по единицам чертежа units
+     *     (ключ DXF_UNITS), drawingWidth и drawingHeight - размеры в единицах чертежа,
+     *     raster - растры слоёв для createDrawingFunction при изменении настроек слоёв
      */
     async loadDXF(file) {
         const text = await file.text();
@@ -39,17 +61,26 @@ class DXFLoader {
             throw new Error('Некорректные размеры объектов в DXF (ширина или высота <= 0)');
         }
 
-        // Создаём контур
-        const contour = this.extractContour(dxfData.entities, bbox);
+        // Создаём контуры (внешние границы и отверстия)
+        const contour = this.extractContours(dxfData.entities, bbox);
 
-        // Создаём растровое представление и функцию проверки заполнения
-        const drawingFunction = this.createDrawingFunction(dxfData.entities, bbox);
+        // Растеризуем слои и создаём функцию цвета рисунка с настройками слоёв из файла
+        const layers = this.getLayerList(dxfData.entities, dxfData.layers);
+        const raster = this.rasterizeLayers(dxfData.entities, bbox);
+        const drawingFunction = this.createDrawingFunction(raster, this.getDefaultLayerSettings(layers));
+
+        const unitMM = DXF_UNITS[dxfData.units].mm;
 
         return {
             contour,
             drawingFunction,
-            width,
-            height
+            width: width * unitMM,
+            height: height * unitMM,
+            units: dxfData.units,
+            drawingWidth: width,
+            drawingHeight: height,
+            layers,
+            raster
         };
     }
 
@@ -104,8 +135,9 @@ class DXFLoader {
                     }
                 }
             } else if (entity.type === 'POLYLINE' || entity.type === 'LWPOLYLINE') {
+                // Учитываем точки дуговых сегментов, а не только вершины
                 if (entity.vertices && entity.vertices.length > 0) {
-                    entity.vertices.forEach(v => {
+                    this.getPolylinePoints(entity).forEach(v => {
                         if (v.x !== undefined && v.y !== undefined &&
                             isFinite(v.x) && isFinite(v.y)) {
                             minX = Math.min(minX, v.x);
@@ -128,10 +160,22 @@ class DXFLoader {
                     maxY = Math.max(maxY, entity.centerY + entity.majorAxisLength);
                     hasValidEntity = true;
                 }
+            } else if (this.isFillEntity(entity)) {
+                entity.loops.forEach(loop => {
+                    loop.forEach(p => {
+                        if (isFinite(p.x) && isFinite(p.y)) {
+                            minX = Math.min(minX, p.x);
+                            minY = Math.min(minY, p.y);
+                            maxX = Math.max(maxX, p.x);
+                            maxY = Math.max(maxY, p.y);
+                            hasValidEntity = true;
+                        }
+                    });
+                });
             } else if (entity.type === 'SPLINE') {
-                // Bounding box для сплайна по контрольным точкам
-                if (entity.controlPoints && entity.controlPoints.length > 0) {
-                    entity.controlPoints.forEach(p => {
+                // Bounding box для сплайна по точкам кривой
+                if (entity.controlPoints.length > 0 || entity.fitPoints.length > 0) {
+                    this.getSplinePoints(entity).forEach(p => {
                         if (p.x !== undefined && p.y !== undefined &&
                             isFinite(p.x) && isFinite(p.y)) {
                             minX = Math.min(minX, p.x);
@@ -189,108 +233,122 @@ class DXFLoader {
     }
 
     /**
-     * Извлекает контур из сущностей DXF
+     * Извлекает контуры из сущностей DXF: все замкнутые контуры рисунка (внешние границы и отверстия)
      * @param {Array} entities - массив сущностей DXF
      * @param {{minX: number, minY: number, maxX: number, maxY: number}} bbox - bounding box
-     * @returns {Array} массив точек контура в нормализованных координатах [0, 1]
+     * @returns {Array<Array<{x: number, y: number}>>} контуры в нормализованных координатах [0, 1]
+     *     (ось Y направлена вниз, как на canvas)
      */
-    extractContour(entities, bbox) {
+    extractContours(entities, bbox) {
         const width = bbox.maxX - bbox.minX;
         const height = bbox.maxY - bbox.minY;
-        let contourPoints = [];
-
-        // Проверяем, есть ли окружность
-        const circle = entities.find(e => e.type === 'CIRCLE');
-        if (circle) {
-            const steps = 100;
-            for (let i = 0; i <= steps; i++) {
-                const angle = (i / steps) * 2 * Math.PI;
-                const x = circle.cx + circle.radius * Math.cos(angle);
-                const y = circle.cy + circle.radius * Math.sin(angle);
-                contourPoints.push({
-                    x: (x - bbox.minX) / width,
-                    y: (y - bbox.minY) / height
-                });
-            }
-            return contourPoints;
+        const normalize = loop => loop.map(p => ({
+            x: (p.x - bbox.minX) / width,
+            y: (bbox.maxY - p.y) / height
+        }));
+
+        // Заливки задают форму точнее контуров
+        const fills = entities.filter(e => this.isFillEntity(e));
+        if (fills.length > 0) {
+            return fills.flatMap(fill => fill.loops).map(normalize);
         }
 
-        // Проверяем, есть ли полилиния
-        const polyline = entities.find(e => e.type === 'POLYLINE' || e.type === 'LWPOLYLINE');
-        if (polyline) {
-            polyline.vertices.forEach(v => {
-                contourPoints.push({
-                    x: (v.x - bbox.minX) / width,
-                    y: (v.y - bbox.minY) / height
-                });
-            });
-            return contourPoints;
+        // Без замкнутых контуров показываем незамкнутые цепочки, без них - bounding box
+        const { loops, paths } = this.assembleLoops(entities);
+        if (loops.length > 0) {
+            return loops.map(normalize);
+        }
+        if (paths.length > 0) {
+            return paths.map(normalize);
         }
+        return [[
+            { x: 0, y: 0 },
+            { x: 1, y: 0 },
+            { x: 1, y: 1 },
+            { x: 0, y: 1 }
+        ]];
+    }
 
-        // Собираем все дуги и линии в сегменты с начальной и конечной точками
-        const segments = this.extractSegments(entities);
+    /**
+     * Собирает замкнутые контуры объектов: окружности, полные эллипсы, замкнутые полилинии и сплайны,
+     * а также цепочки отрезков, дуг и незамкнутых кривых, конец которых сходится с началом
+     * @param {Array} entities - массив сущностей DXF
+     * @returns {{loops: Array<Array<{x: number, y: number}>>, paths: Array<Array<{x: number, y: number}>>}}
+     *     loops - замкнутые контуры, paths - незамкнутые цепочки
+     */
+    assembleLoops(entities) {
+        const loops = [];
 
-        if (segments.length > 0) {
-            // Соединяем сегменты в замкнутый контур
-            const orderedSegments = this.orderSegments(segments);
+        entities.forEach(entity => {
+            if (entity.type === 'CIRCLE') {
+                loops.push(this.generateEllipsePoints({
+                    centerX: entity.cx,
+                    centerY: entity.cy,
+                    majorAxisLength: entity.radius,
+                    minorAxisLength: entity.radius,
+                    rotation: 0,
+                    startParam: 0,
+                    endParam: 2 * Math.PI
+                }, 100));
+            } else if (entity.type === 'ELLIPSE' && this.isFullEllipse(entity)) {
+                loops.push(this.generateEllipsePoints(entity, 100));
+            } else if ((entity.type === 'POLYLINE' || entity.type === 'LWPOLYLINE') && entity.closed) {
+                loops.push(this.getPolylinePoints(entity));
+            } else if (entity.type === 'SPLINE' && entity.closed) {
+                loops.push(this.getSplinePoints(entity));
+            }
+        });
 
-            // Генерируем точки контура из упорядоченных сегментов
-            orderedSegments.forEach(segment => {
-                segment.points.forEach(p => {
-                    contourPoints.push({
-                        x: (p.x - bbox.minX) / width,
-                        y: (p.y - bbox.minY) / height
-                    });
-                });
-            });
-        }
+        const paths = [];
+        this.chainSegments(this.extractSegments(entities)).forEach(chain => {
+            if (chain.closed) {
+                loops.push(chain.points);
+            } else {
+                paths.push(chain.points);
+            }
+        });
 
-        // Если контур пустой, используем bounding box
-        if (contourPoints.length === 0) {
-            contourPoints = [
-                { x: 0, y: 0 },
-                { x: 1, y: 0 },
-                { x: 1, y: 1 },
-                { x: 0, y: 1 }
-            ];
-        }
+        return { loops: loops.filter(loop => loop.length >= 3), paths };
+    }
 
-        return contourPoints;
+    /**
+     * Проверяет, является ли эллипс полным (а не дугой эллипса)
+     * @param {{startParam: number, endParam: number}} ellipse - эллипс
+     * @returns {boolean}
+     */
+    isFullEllipse(ellipse) {
+        const sweep = Math.abs(ellipse.endParam - ellipse.startParam) % (2 * Math.PI);
+        return sweep < 1e-6 || 2 * Math.PI - sweep < 1e-6;
     }
 
     /**
-     * Извлекает сегменты из сущностей DXF
+     * Извлекает незамкнутые сегменты из сущностей DXF: отрезки, дуги, дуги эллипсов,
+     * незамкнутые полилинии и сплайны
      * @param {Array} entities - массив сущностей
-     * @returns {Array} массив сегментов с точками и конечными координатами
+     * @returns {Array<{type: string, points: Array}>} массив сегментов с точками
      */
     extractSegments(entities) {
         const segments = [];
 
         entities.forEach(entity => {
+            let points = null;
             if (entity.type === 'LINE') {
-                segments.push({
-                    type: 'LINE',
-                    startX: entity.x1,
-                    startY: entity.y1,
-                    endX: entity.x2,
-                    endY: entity.y2,
-                    points: [
-                        { x: entity.x1, y: entity.y1 },
-                        { x: entity.x2, y: entity.y2 }
-                    ]
-                });
+                points = [
+                    { x: entity.x1, y: entity.y1 },
+                    { x: entity.x2, y: entity.y2 }
+                ];
             } else if (entity.type === 'ARC') {
-                const points = this.generateArcPoints(entity, 30);
-                if (points.length > 0) {
-                    segments.push({
-                        type: 'ARC',
-                        startX: points[0].x,
-                        startY: points[0].y,
-                        endX: points[points.length - 1].x,
-                        endY: points[points.length - 1].y,
-                        points: points
-                    });
-                }
+                points = this.generateArcPoints(entity, 30);
+            } else if (entity.type === 'ELLIPSE' && !this.isFullEllipse(entity)) {
+                points = this.generateEllipsePoints(entity, DXF_ARC_STEPS_PER_TURN);
+            } else if ((entity.type === 'POLYLINE' || entity.type === 'LWPOLYLINE') && !entity.closed) {
+                points = this.getPolylinePoints(entity);
+            } else if (entity.type === 'SPLINE' && !entity.closed) {
+                points = this.getSplinePoints(entity);
+            }
+
+            if (points && points.length > 1) {
+                segments.push({ type: entity.type, points });
             }
         });
 
@@ -342,92 +400,547 @@ class DXFLoader {
     }
 
     /**
-     * Упорядочивает сегменты в связный контур
-     * @param {Array} segments - массив сегментов
-     * @returns {Array} упорядоченный массив сегментов
+     * Генерирует точки дуги эллипса
+     * @param {{centerX: number, centerY: number, majorAxisLength: number, minorAxisLength: number,
+     *     rotation: number, startParam: number, endParam: number}} ellipse - эллипс (параметры в радианах)
+     * @param {number} steps - количество точек на полный оборот
+     * @returns {Array} массив точек от начального параметра до конечного против часовой стрелки
      */
-    orderSegments(segments) {
-        if (segments.length === 0) return [];
-        if (segments.length === 1) return segments;
+    generateEllipsePoints(ellipse, steps) {
+        let sweep = ellipse.endParam - ellipse.startParam;
+        sweep = sweep % (2 * Math.PI);
+        if (sweep <= 0) sweep += 2 * Math.PI;
+
+        const cos = Math.cos(ellipse.rotation);
+        const sin = Math.sin(ellipse.rotation);
+        const count = Math.max(2, Math.ceil(sweep / (2 * Math.PI) * steps));
+        const points = [];
 
-        const tolerance = 0.5; // Допуск для сравнения координат (в единицах DXF)
-        const ordered = [];
-        const used = new Set();
+        for (let i = 0; i <= count; i++) {
+            const t = ellipse.startParam + sweep * i / count;
+            const x = ellipse.majorAxisLength * Math.cos(t);
+            const y = ellipse.minorAxisLength * Math.sin(t);
+            points.push({
+                x: ellipse.centerX + x * cos - y * sin,
+                y: ellipse.centerY + x * sin + y * cos
+            });
+        }
 
-        // Начинаем с первого сегмента
-        ordered.push(segments[0]);
-        used.add(0);
+        return points;
+    }
 
-        let currentEndX = segments[0].endX;
-        let currentEndY = segments[0].endY;
+    /**
+     * Вычисляет точки сплайна (B-spline или NURBS) с адаптивным шагом: участок делится,
+     * пока середина кривой отклоняется от хорды больше допуска
+     * @param {{degree: number, knots: Array<number>, weights: Array<number>, controlPoints: Array,
+     *     fitPoints: Array}} spline - сплайн или сплайновое ребро штриховки
+     * @returns {Array} массив точек кривой (без корректных контрольных точек и узлов - кубического
+     *     сплайна через точки интерполяции, без них - контрольные точки)
+     */
+    getSplinePoints(spline) {
+        const curve = this.prepareSpline(spline) || this.interpolateSpline(spline);
+        if (!curve) {
+            return spline.controlPoints;
+        }
 
-        while (ordered.length < segments.length) {
-            let foundNext = false;
+        const { degree, knots, controlPoints } = curve;
+        const { minX, minY, maxX, maxY } = GeometryUtils.getBounds(controlPoints);
+        const tolerance = Math.max(maxX - minX, maxY - minY, 1e-9) * DXF_SPLINE_TOLERANCE;
+
+        const points = [this.evaluateSpline(curve, knots[degree])];
+        for (let span = degree; span < controlPoints.length; span++) {
+            const from = knots[span];
+            const to = knots[span + 1];
+            if (to <= from) continue;
+
+            for (let step = 1; step <= DXF_SPLINE_SPAN_STEPS; step++) {
+                const t0 = from + (to - from) * (step - 1) / DXF_SPLINE_SPAN_STEPS;
+                const t1 = from + (to - from) * step / DXF_SPLINE_SPAN_STEPS;
+                this.sampleSpline(curve, t0, points[points.length - 1], t1, this.evaluateSpline(curve, t1),
+                    tolerance, 0, points);
+            }
+        }
 
-            for (let i = 0; i < segments.length; i++) {
-                if (used.has(i)) continue;
+        return points;
+    }
 
-                const seg = segments[i];
+    /**
+     * Проверяет сплайн и подготавливает его к вычислению точек
+     * @param {Object} spline - сплайн из parseDXFSpline или сплайновое ребро штриховки
+     * @returns {{degree: number, knots: Array<number>, weights: Array<number>|null, controlPoints: Array}|null}
+     *     null, если контрольных точек не хватает для степени или узловой вектор некорректен;
+     *     без узлов строится равномерный зажатый узловой вектор, без весов (или с некорректными) - B-spline
+     */
+    prepareSpline(spline) {
+        const { degree, controlPoints } = spline;
+        const count = controlPoints.length;
+        if (!(degree >= 1) || count < degree + 1) {
+            return null;
+        }
 
-                // Проверяем, соединяется ли начало сегмента с текущим концом
-                if (Math.abs(seg.startX - currentEndX) < tolerance &&
-                    Math.abs(seg.startY - currentEndY) < tolerance) {
-                    ordered.push(seg);
-                    used.add(i);
-                    currentEndX = seg.endX;
-                    currentEndY = seg.endY;
-                    foundNext = true;
-                    break;
-                }
+        let knots = spline.knots || [];
+        if (knots.length === 0) {
+            knots = [];
+            for (let i = 0; i < count + degree + 1; i++) {
+                knots.push(Math.min(Math.max(i - degree, 0), count - degree));
+            }
+        }
+        const isValidKnots = knots.length === count + degree + 1 &&
+            knots.every((k, i) => isFinite(k) && (i === 0 || k >= knots[i - 1])) &&
+            knots[count] > knots[degree];
+        if (!isValidKnots) {
+            return null;
+        }
 
-                // Проверяем, соединяется ли конец сегмента с текущим концом (обратное направление)
-                if (Math.abs(seg.endX - currentEndX) < tolerance &&
-                    Math.abs(seg.endY - currentEndY) < tolerance) {
-                    // Разворачиваем сегмент
-                    const reversedSeg = {
-                        ...seg,
-                        startX: seg.endX,
-                        startY: seg.endY,
-                        endX: seg.startX,
-                        endY: seg.startY,
-                        points: [...seg.points].reverse()
-                    };
-                    ordered.push(reversedSeg);
-                    used.add(i);
-                    currentEndX = reversedSeg.endX;
-                    currentEndY = reversedSeg.endY;
-                    foundNext = true;
-                    break;
-                }
+        const weights = spline.weights && spline.weights.length === count &&
+            spline.weights.every(w => isFinite(w) && w > 0) ? spline.weights : null;
+
+        return { degree, knots, weights, controlPoints };
+    }
+
+    /**
+     * Строит кубический B-spline, проходящий через точки интерполяции сплайна: параметры точек -
+     * по длинам хорд, касательные в концах - из кодов 12/13, без них - по соседним точкам
+     * (у замкнутого сплайна - через шов)
+     * @param {{fitPoints: Array, startTangent?: Object|null, endTangent?: Object|null, closed: boolean}} spline
+     *     - сплайн из parseDXFSpline или сплайновое ребро штриховки
+     * @returns {{degree: number, knots: Array<number>, weights: null, controlPoints: Array}|null}
+     *     сплайн для evaluateSpline или null, если различных точек меньше двух
+     */
+    interpolateSpline(spline) {
+        const points = [];
+        (spline.fitPoints || []).forEach(p => {
+            const last = points[points.length - 1];
+            if (!last || last.x !== p.x || last.y !== p.y) points.push(p);
+        });
+        if (spline.closed && points.length > 2) {
+            points.push(points[0]);
+        }
+        if (points.length < 2) {
+            return null;
+        }
+
+        // Параметры точек по длинам хорд, нормированные на [0, 1]
+        const n = points.length - 1;
+        const params = [0];
+        for (let k = 1; k <= n; k++) {
+            params.push(params[k - 1] + Math.hypot(points[k].x - points[k - 1].x, points[k].y - points[k - 1].y));
+        }
+        const length = params[n];
+        for (let k = 1; k <= n; k++) {
+            params[k] /= length;
+        }
+        params[n] = 1;
+
+        // Производные в концах: касательные из файла единичные, производная по нормированному
+        // параметру примерно равна длине кривой
+        const derivative = (tangent, fallback) => {
+            const size = tangent ? Math.hypot(tangent.x, tangent.y) : 0;
+            return size > 0 ? { x: tangent.x / size * length, y: tangent.y / size * length } : fallback;
+        };
+        const chord = (a, b, dt) => ({ x: (b.x - a.x) / dt, y: (b.y - a.y) / dt });
+        let startFallback, endFallback;
+        if (spline.closed && n > 2) {
+            const seam = chord(points[n - 1], points[1], params[1] + 1 - params[n - 1]);
+            startFallback = seam;
+            endFallback = seam;
+        } else if (n > 1) {
+            // Производная параболы через три крайние точки (условие Бесселя)
+            const bessel = (q0, q1, q2, d1, d2) => {
+                const c1 = chord(q0, q1, d1);
+                const c2 = chord(q1, q2, d2);
+                return {
+                    x: c1.x * (2 * d1 + d2) / (d1 + d2) - c2.x * d1 / (d1 + d2),
+                    y: c1.y * (2 * d1 + d2) / (d1 + d2) - c2.y * d1 / (d1 + d2)
+                };
+            };
+            startFallback = bessel(points[0], points[1], points[2], params[1], params[2] - params[1]);
+            const reversed = bessel(points[n], points[n - 1], points[n - 2],
+                1 - params[n - 1], params[n - 1] - params[n - 2]);
+            endFallback = { x: -reversed.x, y: -reversed.y };
+        } else {
+            startFallback = chord(points[0], points[1], 1);
+            endFallback = startFallback;
+        }
+        const startDerivative = derivative(spline.startTangent, startFallback);
+        const endDerivative = derivative(spline.endTangent, endFallback);
+
+        // Зажатый узловой вектор с внутренними узлами в параметрах точек: n + 3 контрольные точки
+        const knots = [0, 0, 0, ...params, 1, 1, 1];
+        const controlPoints = new Array(n + 3);
+        controlPoints[0] = points[0];
+        controlPoints[n + 2] = points[n];
+        controlPoints[1] = {
+            x: points[0].x + params[1] / 3 * startDerivative.x,
+            y: points[0].y + params[1] / 3 * startDerivative.y
+        };
+        controlPoints[n + 1] = {
+            x: points[n].x - (1 - params[n - 1]) / 3 * endDerivative.x,
+            y: points[n].y - (1 - params[n - 1]) / 3 * endDerivative.y
+        };
+
+        // Внутренние точки: кривая в параметре params[k] проходит через точку k. Каждое уравнение
+        // связывает три соседние контрольные точки - трёхдиагональная система (метод прогонки)
+        const count = n - 1;
+        const lower = [], diagonal = [], upper = [], rhs = [];
+        for (let k = 1; k <= n - 1; k++) {
+            const basis = this.getBasisFunctions(knots, k + 3, params[k], 3);
+            // Ненулевые функции в узле - для контрольных точек k, k + 1, k + 2
+            let right = { x: points[k].x, y: points[k].y };
+            if (k === 1) {
+                right = { x: right.x - basis[0] * controlPoints[1].x, y: right.y - basis[0] * controlPoints[1].y };
+            }
+            if (k === n - 1) {
+                right = {
+                    x: right.x - basis[2] * controlPoints[n + 1].x,
+                    y: right.y - basis[2] * controlPoints[n + 1].y
+                };
+            }
+            lower.push(basis[0]);
+            diagonal.push(basis[1]);
+            upper.push(basis[2]);
+            rhs.push(right);
+        }
+        for (let r = 1; r < count; r++) {
+            const factor = lower[r] / diagonal[r - 1];
+            diagonal[r] -= factor * upper[r - 1];
+            rhs[r] = { x: rhs[r].x - factor * rhs[r - 1].x, y: rhs[r].y - factor * rhs[r - 1].y };
+        }
+        for (let r = count - 1; r >= 0; r--) {
+            const next = r < count - 1 ? controlPoints[r + 3] : { x: 0, y: 0 };
+            const coupling = r < count - 1 ? upper[r] : 0;
+            controlPoints[r + 2] = {
+                x: (rhs[r].x - coupling * next.x) / diagonal[r],
+                y: (rhs[r].y - coupling * next.y) / diagonal[r]
+            };
+        }
+
+        return { degree: 3, knots, weights: null, controlPoints };
+    }
+
+    /**
+     * Вычисляет ненулевые базисные функции B-spline в параметре (алгоритм Кокса - де Бура)
+     * @param {Array<number>} knots - узловой вектор
+     * @param {number} span - пролёт узлового вектора, которому принадлежит параметр
+     * @param {number} t - параметр
+     * @param {number} degree - степень
+     * @returns {Array<number>} значения функций контрольных точек от span - degree до span
+     */
+    getBasisFunctions(knots, span, t, degree) {
+        const values = [1];
+        const left = [];
+        const right = [];
+        for (let j = 1; j <= degree; j++) {
+            left[j] = t - knots[span + 1 - j];
+            right[j] = knots[span + j] - t;
+            let saved = 0;
+            for (let r = 0; r < j; r++) {
+                const term = values[r] / (right[r + 1] + left[j - r]);
+                values[r] = saved + right[r + 1] * term;
+                saved = left[j - r] * term;
             }
+            values[j] = saved;
+        }
+        return values;
+    }
+
+    /**
+     * Вычисляет точку сплайна по параметру (алгоритм де Бура в однородных координатах)
+     * @param {{degree: number, knots: Array<number>, weights: Array<number>|null, controlPoints: Array}} curve
+     *     - сплайн из prepareSpline
+     * @param {number} t - параметр от knots[degree] до knots[количество контрольных точек]
+     * @returns {{x: number, y: number}} точка кривой
+     */
+    evaluateSpline(curve, t) {
+        const { degree, knots, weights, controlPoints } = curve;
+
+        // Пролёт узлового вектора, которому принадлежит параметр
+        let span = degree;
+        while (span < controlPoints.length - 1 && t >= knots[span + 1]) {
+            span++;
+        }
+
+        const d = [];
+        for (let j = 0; j <= degree; j++) {
+            const p = controlPoints[span - degree + j];
+            const w = weights ? weights[span - degree + j] : 1;
+            d.push({ x: p.x * w, y: p.y * w, w });
+        }
+
+        for (let r = 1; r <= degree; r++) {
+            for (let j = degree; j >= r; j--) {
+                const i = span - degree + j;
+                const denominator = knots[i + degree - r + 1] - knots[i];
+                const alpha = denominator > 0 ? (t - knots[i]) / denominator : 0;
+                d[j] = {
+                    x: (1 - alpha) * d[j - 1].x + alpha * d[j].x,
+                    y: (1 - alpha) * d[j - 1].y + alpha * d[j].y,
+                    w: (1 - alpha) * d[j - 1].w + alpha * d[j].w
+                };
+            }
+        }
+
+        return { x: d[degree].x / d[degree].w, y: d[degree].y / d[degree].w };
+    }
+
+    /**
+     * Добавляет точки участка сплайна, деля его пополам, пока отклонение середины от хорды больше допуска
+     * @param {Object} curve - сплайн из prepareSpline
+     * @param {number} t0 - параметр начала участка
+     * @param {{x: number, y: number}} p0 - точка начала участка (уже добавлена)
+     * @param {number} t1 - параметр конца участка
+     * @param {{x: number, y: number}} p1 - точка конца участка
+     * @param {number} tolerance - допустимое отклонение в единицах DXF
+     * @param {number} depth - текущая глубина деления
+     * @param {Array} points - массив, в который добавляются точки (до конца участка включительно)
+     */
+    sampleSpline(curve, t0, p0, t1, p1, tolerance, depth, points) {
+        const tm = (t0 + t1) / 2;
+        const pm = this.evaluateSpline(curve, tm);
+
+        const dx = p1.x - p0.x;
+        const dy = p1.y - p0.y;
+        const chord = Math.sqrt(dx * dx + dy * dy);
+        const deviation = chord > 0
+            ? Math.abs(dx * (pm.y - p0.y) - dy * (pm.x - p0.x)) / chord
+            : Math.sqrt((pm.x - p0.x) ** 2 + (pm.y - p0.y) ** 2);
+
+        if (deviation > tolerance && depth < DXF_SPLINE_MAX_DEPTH) {
+            this.sampleSpline(curve, t0, p0, tm, pm, tolerance, depth + 1, points);
+            this.sampleSpline(curve, tm, pm, t1, p1, tolerance, depth + 1, points);
+        } else {
+            points.push(p1);
+        }
+    }
+
+    /**
+     * Проверяет, является ли сущность заливкой (HATCH, SOLID, TRACE)
+     * @param {Object} entity - сущность DXF
+     * @returns {boolean}
+     */
+    isFillEntity(entity) {
+        return entity.type === 'HATCH' || entity.type === 'SOLID' || entity.type === 'TRACE';
+    }
+
+    /**
+     * Возвращает точки полилинии: вершины и точки дуговых сегментов
+     * @param {{vertices: Array<{x: number, y: number, bulge?: number}>, closed: boolean}} polyline - полилиния
+     * @returns {Array} массив точек (у замкнутой полилинии последняя точка совпадает с первой)
+     */
+    getPolylinePoints(polyline) {
+        const { vertices } = polyline;
+        if (vertices.length === 0) return [];
+
+        const points = [{ x: vertices[0].x, y: vertices[0].y }];
+        // У замкнутой полилинии выпуклость последней вершины относится к сегменту до первой
+        const segmentCount = polyline.closed ? vertices.length : vertices.length - 1;
+
+        for (let i = 0; i < segmentCount; i++) {
+            const start = vertices[i];
+            const end = vertices[(i + 1) % vertices.length];
+            if (start.bulge) {
+                points.push(...this.generateBulgePoints(start, end).slice(1));
+            } else {
+                points.push({ x: end.x, y: end.y });
+            }
+        }
+
+        return points;
+    }
 
-            if (!foundNext) {
-                // Не нашли следующий сегмент, добавляем оставшиеся как есть
+    /**
+     * Генерирует точки дугового сегмента полилинии
+     * @param {{x: number, y: number, bulge: number}} start - начальная вершина сегмента;
+     *     выпуклость - тангенс четверти центрального угла дуги (> 0 - против часовой стрелки)
+     * @param {{x: number, y: number}} end - конечная вершина сегмента
+     * @returns {Array} массив точек от начальной вершины до конечной
+     */
+    generateBulgePoints(start, end) {
+        const dx = end.x - start.x;
+        const dy = end.y - start.y;
+        const chord = Math.sqrt(dx * dx + dy * dy);
+
+        // Сегмент нулевой длины дуги не образует
+        if (chord < 1e-9) {
+            return [{ x: start.x, y: start.y }, { x: end.x, y: end.y }];
+        }
+
+        // Центр дуги лежит на серединном перпендикуляре к хорде
+        const angle = 4 * Math.atan(start.bulge);
+        const offset = chord / 2 / Math.tan(angle / 2);
+        const cx = (start.x + end.x) / 2 - dy / chord * offset;
+        const cy = (start.y + end.y) / 2 + dx / chord * offset;
+        const radius = Math.sqrt((start.x - cx) ** 2 + (start.y - cy) ** 2);
+        const startAngle = Math.atan2(start.y - cy, start.x - cx);
+
+        const steps = Math.max(2, Math.ceil(Math.abs(angle) / (2 * Math.PI) * DXF_ARC_STEPS_PER_TURN));
+        const points = [];
+        for (let i = 0; i < steps; i++) {
+            const a = startAngle + angle * i / steps;
+            points.push({ x: cx + radius * Math.cos(a), y: cy + radius * Math.sin(a) });
+        }
+        // Последняя точка - ровно конечная вершина, без ошибки округления
+        points.push({ x: end.x, y: end.y });
+
+        return points;
+    }
+
+    /**
+     * Соединяет сегменты в цепочки по совпадающим концам (сегменты при необходимости разворачиваются)
+     * @param {Array<{points: Array}>} segments - сегменты из extractSegments
+     * @returns {Array<{points: Array, closed: boolean}>} цепочки; closed - конец цепочки совпадает с началом
+     */
+    chainSegments(segments) {
+        const tolerance = 0.5; // Допуск для сравнения координат (в единицах DXF)
+        const isNear = (a, b) => Math.abs(a.x - b.x) < tolerance && Math.abs(a.y - b.y) < tolerance;
+        const isClosed = points => points.length > 2 && isNear(points[0], points[points.length - 1]);
+        const used = new Set();
+        const chains = [];
+
+        segments.forEach((segment, index) => {
+            if (used.has(index)) return;
+            used.add(index);
+            let points = [...segment.points];
+
+            // Наращиваем цепочку с обоих концов, пока она не замкнётся или не кончатся соседние сегменты
+            let extended = true;
+            while (extended && !isClosed(points)) {
+                extended = false;
                 for (let i = 0; i < segments.length; i++) {
-                    if (!used.has(i)) {
-                        ordered.push(segments[i]);
-                        used.add(i);
+                    if (used.has(i)) continue;
+
+                    const next = segments[i].points;
+                    const start = points[0];
+                    const end = points[points.length - 1];
+                    if (isNear(next[0], end)) {
+                        points = points.concat(next.slice(1));
+                    } else if (isNear(next[next.length - 1], end)) {
+                        points = points.concat([...next].reverse().slice(1));
+                    } else if (isNear(next[next.length - 1], start)) {
+                        points = next.slice(0, -1).concat(points);
+                    } else if (isNear(next[0], start)) {
+                        points = [...next].reverse().slice(0, -1).concat(points);
+                    } else {
+                        continue;
                     }
+                    used.add(i);
+                    extended = true;
+                    break;
                 }
-                break;
             }
+
+            chains.push({ points, closed: isClosed(points) });
+        });
+
+        return chains;
+    }
+
+    /**
+     * Определяет вложенность замкнутых контуров
+     * @param {Array<Array<{x: number, y: number}>>} loops - замкнутые контуры
+     * @returns {Array<number>} количество контуров, внутри которых лежит каждый контур:
+     *     чётное - внешняя граница, нечётное - отверстие
+     */
+    getLoopDepths(loops) {
+        const boxes = loops.map(loop => ({
+            ...GeometryUtils.getBounds(loop),
+            area: Math.abs(this.getSignedArea(loop))
+        }));
+
+        return loops.map((loop, i) => loops.filter((other, j) => {
+            const box = boxes[i];
+            const otherBox = boxes[j];
+            // Контур лежит внутри меньшего по площади нельзя, совпадающие контуры друг в друга не вложены
+            if (j === i || box.area >= otherBox.area ||
+                box.minX < otherBox.minX || box.minY < otherBox.minY ||
+                box.maxX > otherBox.maxX || box.maxY > otherBox.maxY) {
+                return false;
+            }
+            // Проверяем несколько точек: у пересекающихся контуров часть точек снаружи
+            const step = Math.max(1, Math.floor(loop.length / 8));
+            for (let k = 0; k < loop.length; k += step) {
+                if (!GeometryUtils.isPointInPolygon(loop[k], other)) return false;
+            }
+            return true;
+        }).length);
+    }
+
+    /**
+     * Вычисляет ориентированную площадь контура (формула шнурования)
+     * @param {Array<{x: number, y: number}>} loop - замкнутый контур
+     * @returns {number} площадь: положительная при обходе против часовой стрелки (ось Y вверх)
+     */
+    getSignedArea(loop) {
+        let area = 0;
+        for (let i = 0, j = loop.length - 1; i < loop.length; j = i++) {
+            area += (loop[j].x - loop[i].x) * (loop[j].y + loop[i].y);
         }
+        return area / 2;
+    }
+
+    /**
+     * Составляет список слоёв, на которых есть объекты, в порядке их появления в файле
+     * @param {Array} entities - массив сущностей DXF
+     * @param {Map<string, {name: string, color: string, visible: boolean}>} layerTable - таблица слоёв
+     * @returns {Array<{name: string, color: string, visible: boolean, entityCount: number}>}
+     *     color - цвет первого объекта слоя, visible - false для слоёв, выключенных или замороженных в файле
+     */
+    getLayerList(entities, layerTable) {
+        const layers = new Map();
+        entities.forEach(entity => {
+            const layer = layers.get(entity.layer);
+            if (layer) {
+                layer.entityCount++;
+                return;
+            }
+            const tableLayer = layerTable.get(entity.layer);
+            layers.set(entity.layer, {
+                name: entity.layer,
+                color: entity.color,
+                visible: tableLayer ? tableLayer.visible : true,
+                entityCount: 1
+            });
+        });
+        return [...layers.values()];
+    }
 
-        return ordered;
+    /**
+     * Возвращает настройки слоёв по данным файла: видимость из таблицы слоёв, цвета объектов
+     * @param {Array<{name: string, visible: boolean}>} layers - слои из getLayerList
+     * @returns {Object<string, {visible: boolean, color: string|null}>} настройки по имени слоя,
+     *     color - цвет бисеринок для всего слоя или null, чтобы оставить цвета объектов
+     */
+    getDefaultLayerSettings(layers) {
+        const settings = {};
+        layers.forEach(layer => {
+            settings[layer.name] = { visible: layer.visible, color: null };
+        });
+        return settings;
     }
 
     /**
-     * Создаёт функцию проверки заполнения на основе растрового представления
+     * Растеризует объекты DXF отдельно для каждой пары слой + цвет
      * @param {Array} entities - массив сущностей DXF
      * @param {{minX: number, minY: number, maxX: number, maxY: number}} bbox - bounding box
-     * @returns {Function} функция (normalizedX, normalizedY) => boolean
+     * @returns {{resolution: number, groups: Array<{layer: string, color: string, mask: Uint8Array}>}}
+     *     groups - в порядке появления в файле (следующие рисуются поверх предыдущих),
+     *     mask - 1 для заполненных пикселей растра resolution×resolution
      */
-    createDrawingFunction(entities, bbox) {
-        const width = bbox.maxX - bbox.minX;
-        const height = bbox.maxY - bbox.minY;
+    rasterizeLayers(entities, bbox) {
         const resolution = RASTERIZATION_RESOLUTION;
+        // Если в чертеже есть заливки, заполняется только то, что залито в CAD
+        const outlinesOnly = entities.some(e => this.isFillEntity(e));
+
+        const groups = new Map();
+        entities.forEach(entity => {
+            const key = `${entity.layer}\n${entity.color}`;
+            if (!groups.has(key)) {
+                groups.set(key, { layer: entity.layer, color: entity.color, entities: [] });
+            }
+            groups.get(key).entities.push(entity);
+        });
 
-        // Создаём временный canvas для растрового представления
+        // Один временный canvas на все группы
         const tempCanvas = document.createElement('canvas');
         const tempCtx = tempCanvas.getContext('2d');
         tempCanvas.width = resolution;
@@ -437,232 +950,769 @@ class DXFLoader {
         tempCtx.imageSmoothingEnabled = false;
         tempCtx.imageSmoothingQuality = 'low';
 
-        // Очищаем белым
-        tempCtx.fillStyle = 'white';
-        tempCtx.fillRect(0, 0, resolution, resolution);
-
-        tempCtx.fillStyle = 'black';
-        tempCtx.strokeStyle = 'black';
-        tempCtx.lineWidth = 2;
-
-        // Проверяем, есть ли полилиния или окружность (простые замкнутые фигуры)
-        const circle = entities.find(e => e.type === 'CIRCLE');
-        if (circle) {
-            tempCtx.beginPath();
-            tempCtx.arc(
-                (circle.cx - bbox.minX) / width * resolution,
-                (circle.cy - bbox.minY) / height * resolution,
-                circle.radius / width * resolution,
-                0, 2 * Math.PI
-            );
-            tempCtx.fill();
-        }
-
-        // Обрабатываем полилинии (замкнутые и незамкнутые)
-        const polylines = entities.filter(e => e.type === 'POLYLINE' || e.type === 'LWPOLYLINE');
-        let hasPolylines = false;
-
-        polylines.forEach((polyline, polyIdx) => {
-            if (polyline.vertices && polyline.vertices.length > 0) {
-                hasPolylines = true;
-                tempCtx.beginPath();
-                let firstX = null, firstY = null;
-                let minCanvasX = Infinity, minCanvasY = Infinity, maxCanvasX = -Infinity, maxCanvasY = -Infinity;
-
-                // Рисуем вершины в правильном порядке
-                // Нормализуем координаты относительно bbox, затем масштабируем на resolution
-                polyline.vertices.forEach((v, i) => {
-                    // Нормализуем координаты от 0 до 1 относительно bbox
-                    const normalizedX = (v.x - bbox.minX) / width;
-                    const normalizedY = (v.y - bbox.minY) / height;
-
-                    // Масштабируем на resolution
-                    const x = normalizedX * resolution;
-                    const y = normalizedY * resolution;
-
-                    minCanvasX = Math.min(minCanvasX, x);
-                    minCanvasY = Math.min(minCanvasY, y);
-                    maxCanvasX = Math.max(maxCanvasX, x);
-                    maxCanvasY = Math.max(maxCanvasY, y);
-
-                    if (i === 0) {
-                        firstX = x;
-                        firstY = y;
-                        tempCtx.moveTo(x, y);
-                    } else {
-                        tempCtx.lineTo(x, y);
-                    }
-                });
-                // Закрываем контур только если полилиния помечена как замкнутая
-                if (polyline.closed) {
-                    // Проверяем, что контур действительно замкнут (первая и последняя точки близки)
-                    const lastV = polyline.vertices[polyline.vertices.length - 1];
-                    const firstV = polyline.vertices[0];
-                    const dist = Math.sqrt(Math.pow(lastV.x - firstV.x, 2) + Math.pow(lastV.y - firstV.y, 2));
-                    if (dist > 0.001) {
-                        // Если первая и последняя точки не совпадают, замыкаем контур
-                        if (firstX !== null && firstY !== null) {
-                            tempCtx.lineTo(firstX, firstY);
-                        }
-                    }
-                    tempCtx.closePath();
-                }
-                // Используем fill для заполнения области (только для замкнутых контуров)
-                if (polyline.closed) {
-                    tempCtx.fill();
+        return {
+            resolution,
+            groups: [...groups.values()].map(group => {
+                // Очищаем белым и рисуем объекты группы чёрным
+                tempCtx.fillStyle = 'white';
+                tempCtx.fillRect(0, 0, resolution, resolution);
+
+                tempCtx.fillStyle = 'black';
+                tempCtx.strokeStyle = 'black';
+                tempCtx.lineWidth = 2;
+                this.drawEntities(tempCtx, group.entities, bbox, resolution, outlinesOnly);
+
+                const data = tempCtx.getImageData(0, 0, resolution, resolution).data;
+                const mask = new Uint8Array(resolution * resolution);
+                for (let i = 0; i < mask.length; i++) {
+                    mask[i] = ColorUtils.isBackground(data[i * 4], data[i * 4 + 1], data[i * 4 + 2]) ? 0 : 1;
                 }
-                // Рисуем обводку для всех полилиний
-                tempCtx.stroke();
-            }
-        });
-
-        // Собираем все сегменты и создаем замкнутый контур (только если нет полилиний)
-        // Полилинии уже обработаны выше
-        const segments = hasPolylines ? [] : this.extractSegments(entities);
-
-        if (segments.length > 0) {
-            const orderedSegments = this.orderSegments(segments);
-
-            // Рисуем замкнутый контур из упорядоченных сегментов
-            tempCtx.beginPath();
-            let isFirst = true;
+                return { layer: group.layer, color: group.color, mask };
+            })
+        };
+    }
 
-            orderedSegments.forEach(segment => {
-                segment.points.forEach((p, i) => {
-                    const x = (p.x - bbox.minX) / width * resolution;
-                    const y = (p.y - bbox.minY) / height * resolution;
+    /**
+     * Рисует объекты DXF на canvas текущими цветами заливки и обводки
+     * @param {CanvasRenderingContext2D} ctx - контекст canvas
+     * @param {Array} entities - массив сущностей DXF
+     * @param {{minX: number, minY: number, maxX: number, maxY: number}} bbox - bounding box
+     * @param {number} resolution - размер canvas в пикселях
+     * @param {boolean} [outlinesOnly=false] - только обводить замкнутые контуры (в чертеже есть заливки)
+     */
+    drawEntities(ctx, entities, bbox, resolution, outlinesOnly = false) {
+        const width = bbox.maxX - bbox.minX;
+        const height = bbox.maxY - bbox.minY;
+        const tracePath = points => {
+            points.forEach((p, i) => {
+                // Ось Y чертежа направлена вверх, а canvas - вниз
+                const x = (p.x - bbox.minX) / width * resolution;
+                const y = (bbox.maxY - p.y) / height * resolution;
+                if (i === 0) {
+                    ctx.moveTo(x, y);
+                } else {
+                    ctx.lineTo(x, y);
+                }
+            });
+        };
 
-                    if (isFirst) {
-                        tempCtx.moveTo(x, y);
-                        isFirst = false;
-                    } else {
-                        tempCtx.lineTo(x, y);
-                    }
-                });
+        const { loops, paths } = this.assembleLoops(entities);
+
+        // Все замкнутые контуры - одним путём: внешние границы обходятся в одну сторону, отверстия
+        // в другую, поэтому по правилу ненулевого индекса отверстия остаются пустыми,
+        // а пересекающиеся фигуры объединяются
+        if (loops.length > 0) {
+            const depths = this.getLoopDepths(loops);
+            ctx.beginPath();
+            loops.forEach((loop, i) => {
+                const isHole = depths[i] % 2 === 1;
+                tracePath((this.getSignedArea(loop) > 0) !== isHole ? loop : [...loop].reverse());
+                ctx.closePath();
             });
+            if (outlinesOnly) {
+                ctx.stroke();
+            } else {
+                ctx.fill('nonzero');
+            }
+        }
 
-            tempCtx.closePath();
-            tempCtx.fill();
+        // Незамкнутые линии только обводятся
+        if (paths.length > 0) {
+            ctx.beginPath();
+            paths.forEach(tracePath);
+            ctx.stroke();
         }
 
-        // Дополнительно рисуем эллипсы и сплайны
+        // Заливки рисуются как в CAD
         entities.forEach(entity => {
-            if (entity.type === 'ELLIPSE') {
-                tempCtx.beginPath();
-                tempCtx.ellipse(
-                    (entity.centerX - bbox.minX) / width * resolution,
-                    (entity.centerY - bbox.minY) / height * resolution,
-                    entity.majorAxisLength / width * resolution,
-                    entity.minorAxisLength / height * resolution,
-                    entity.rotation || 0,
-                    0, 2 * Math.PI
-                );
-                tempCtx.fill();
-            } else if (entity.type === 'SPLINE' && entity.closed) {
-                if (entity.controlPoints && entity.controlPoints.length > 0) {
-                    tempCtx.beginPath();
-                    entity.controlPoints.forEach((p, i) => {
-                        const x = (p.x - bbox.minX) / width * resolution;
-                        const y = (p.y - bbox.minY) / height * resolution;
-                        if (i === 0) {
-                            tempCtx.moveTo(x, y);
-                        } else {
-                            tempCtx.lineTo(x, y);
-                        }
-                    });
-                    tempCtx.closePath();
-                    tempCtx.fill();
-                }
+            if (this.isFillEntity(entity)) {
+                // Контуры заливки одним путём: острова внутри внешнего контура не заполняются
+                ctx.beginPath();
+                entity.loops.forEach(loop => {
+                    tracePath(loop);
+                    ctx.closePath();
+                });
+                ctx.fill('evenodd');
             }
         });
+    }
 
-        // Создаём функцию проверки заполнения
-        const imageData = tempCtx.getImageData(0, 0, resolution, resolution);
+    /**
+     * Создаёт функцию цвета рисунка по растрам слоёв
+     * @param {{resolution: number, groups: Array}} raster - растры слоёв из rasterizeLayers
+     * @param {Object<string, {visible: boolean, color: string|null}>} layerSettings - настройки по имени слоя
+     *     (слои без настроек видны и сохраняют цвета объектов)
+     * @returns {Function} функция (normalizedX, normalizedY) => цвет '#rrggbb' или null для фона
+     */
+    createDrawingFunction(raster, layerSettings) {
+        const { resolution } = raster;
+
+        // Сверху вниз: верхний видимый слой определяет цвет пикселя
+        const groups = raster.groups
+            .filter(group => !layerSettings[group.layer] || layerSettings[group.layer].visible)
+            .map(group => ({
+                mask: group.mask,
+                color: (layerSettings[group.layer] && layerSettings[group.layer].color) || group.color
+            }))
+            .reverse();
 
         return (normalizedX, normalizedY) => {
             const x = Math.floor(normalizedX * resolution);
             const y = Math.floor(normalizedY * resolution);
 
             if (x < 0 || x >= resolution || y < 0 || y >= resolution) {
-                return false;
+                return null;
             }
 
-            const index = (y * resolution + x) * 4;
-            const r = imageData.data[index];
-            const g = imageData.data[index + 1];
-            const b = imageData.data[index + 2];
-
-            // Считаем заполненным, если не белый (проверяем все каналы для надежности)
-            return r < 200 && g < 200 && b < 200;
+            const index = y * resolution + x;
+            const group = groups.find(g => g.mask[index]);
+            return group ? group.color : null;
         };
     }
 
     /**
-     * Парсит DXF файл и извлекает сущности
-     * @param {string} text - содержимое DXF файла
-     * @returns {{entities: Array}} объект с массивом сущностей
+     * Развёртывает вставки блоков (INSERT) в объекты блоков с преобразованием координат
+     * @param {Array} entities - сущности, среди которых могут быть вставки
+     * @param {Map<string, {name: string, baseX: number, baseY: number, entities: Array}>} blocks - блоки по имени
+     * @param {Array<string>} [path=[]] - имена блоков, внутри которых находятся сущности (защита от циклов)
+     * @returns {Array} сущности без вставок
      */
-    parseDXF(text) {
-        const lines = text.split('\n').map(l => l.trim().replace('\r', ''));
-        const entities = [];
+    expandInserts(entities, blocks, path = []) {
+        const expanded = [];
 
-        let i = 0;
-        let inEntitiesSection = false;
-
-        while (i < lines.length) {
-            const code = lines[i];
-            const value = lines[i + 1];
-
-            // Ищем секцию ENTITIES
-            if (code === '0' && value === 'SECTION') {
-                i += 2;
-                if (i < lines.length && lines[i] === '2' && lines[i + 1] === 'ENTITIES') {
-                    inEntitiesSection = true;
-                    i += 2;
-                    continue;
-                }
+        entities.forEach(entity => {
+            if (entity.type !== 'INSERT') {
+                expanded.push(entity);
+                return;
             }
 
-            // Парсим объекты в секции ENTITIES
-            if (inEntitiesSection && code === '0') {
-                if (value === 'ENDSEC') {
-                    break;
-                } else if (value === 'LINE') {
-                    const line = this.parseDXFLine(lines, i);
-                    if (line) entities.push(line);
-                } else if (value === 'CIRCLE') {
-                    const circle = this.parseDXFCircle(lines, i);
-                    if (circle) entities.push(circle);
-                } else if (value === 'ARC') {
-                    const arc = this.parseDXFArc(lines, i);
-                    if (arc) entities.push(arc);
-                } else if (value === 'POLYLINE' || value === 'LWPOLYLINE') {
-                    const polyline = this.parseDXFPolyline(lines, i, value);
-                    if (polyline) entities.push(polyline);
-                } else if (value === 'ELLIPSE') {
-                    const ellipse = this.parseDXFEllipse(lines, i);
-                    if (ellipse) entities.push(ellipse);
-                } else if (value === 'SPLINE') {
-                    const spline = this.parseDXFSpline(lines, i);
-                    if (spline) entities.push(spline);
-                }
+            const block = blocks.get(entity.blockName);
+            // Неизвестные блоки, циклические ссылки и слишком глубокая вложенность пропускаются
+            if (!block || path.includes(block.name) || path.length >= DXF_MAX_BLOCK_DEPTH) {
+                return;
             }
 
-            i += 2;
-        }
+            const blockEntities = this.expandInserts(block.entities, blocks, [...path, block.name])
+                .map(child => this.inheritBlockProperties(child, entity));
+
+            this.getInsertTransforms(entity, block).forEach(transform => {
+                blockEntities.forEach(child => {
+                    expanded.push(...this.transformEntity(child, transform));
+                });
+            });
+        });
 
-        return { entities };
+        return expanded;
     }
 
     /**
-     * Парсит линию из DXF
-     * @param {Array} lines - массив строк DXF
-     * @param {number} startIndex - начальный индекс
-     * @returns {{type: string, x1: number, y1: number, x2: number, y2: number}|null}
+     * Передаёт объекту блока слой и цвет вставки: объекты слоя 0 попадают на слой вставки,
+     * объекты с цветом "по блоку" получают цвет вставки
+     * @param {Object} entity - объект блока
+     * @param {{layer: string, colorIndex: number, trueColor: string|null}} insert - вставка блока
+     * @returns {Object} объект со слоем и цветом с учётом вставки
      */
-    parseDXFLine(lines, startIndex) {
-        let x1, y1, x2, y2;
-        let i = startIndex + 2;
+    inheritBlockProperties(entity, insert) {
+        const inherited = { ...entity };
+        if (entity.layer === DXF_DEFAULT_LAYER) {
+            inherited.layer = insert.layer;
+        }
+        if (entity.colorIndex === DXF_COLOR_BYBLOCK && !entity.trueColor) {
+            inherited.colorIndex = insert.colorIndex;
+            inherited.trueColor = insert.trueColor;
+        }
+        return inherited;
+    }
+
+    /**
+     * Вычисляет преобразования координат блока для каждой ячейки массива вставки
+     * @param {Object} insert - вставка блока из parseDXFInsert (transform - преобразование системы
+     *     координат вставки в мировую, если вставка задана в OCS)
+     * @param {{baseX: number, baseY: number}} block - блок
+     * @returns {Array<{a: number, b: number, c: number, d: number, e: number, f: number}>}
+     *     матрицы в порядке canvas setTransform: x' = a·x + c·y + e, y' = b·x + d·y + f
+     */
+    getInsertTransforms(insert, block) {
+        const angle = insert.rotation * Math.PI / 180;
+        const cos = Math.cos(angle);
+        const sin = Math.sin(angle);
+        const transforms = [];
+
+        // Блок переносится базовой точкой в начало координат, масштабируется, сдвигается
+        // на ячейку массива (шаг строк и столбцов не масштабируется), поворачивается
+        // и переносится в точку вставки
+        for (let row = 0; row < insert.rowCount; row++) {
+            for (let column = 0; column < insert.columnCount; column++) {
+                const offsetX = column * insert.columnSpacing - block.baseX * insert.scaleX;
+                const offsetY = row * insert.rowSpacing - block.baseY * insert.scaleY;
+                const transform = {
+                    a: cos * insert.scaleX,
+                    b: sin * insert.scaleX,
+                    c: -sin * insert.scaleY,
+                    d: cos * insert.scaleY,
+                    e: insert.x + cos * offsetX - sin * offsetY,
+                    f: insert.y + sin * offsetX + cos * offsetY
+                };
+                transforms.push(insert.transform ? this.multiplyTransforms(insert.transform, transform) : transform);
+            }
+        }
+
+        return transforms;
+    }
+
+    /**
+     * Объединяет два преобразования координат
+     * @param {{a: number, b: number, c: number, d: number, e: number, f: number}} outer - применяется вторым
+     * @param {{a: number, b: number, c: number, d: number, e: number, f: number}} inner - применяется первым
+     * @returns {{a: number, b: number, c: number, d: number, e: number, f: number}} матрица outer·inner
+     */
+    multiplyTransforms(outer, inner) {
+        return {
+            a: outer.a * inner.a + outer.c * inner.b,
+            b: outer.b * inner.a + outer.d * inner.b,
+            c: outer.a * inner.c + outer.c * inner.d,
+            d: outer.b * inner.c + outer.d * inner.d,
+            e: outer.a * inner.e + outer.c * inner.f + outer.e,
+            f: outer.b * inner.e + outer.d * inner.f + outer.f
+        };
+    }
+
+    /**
+     * Применяет преобразование координат к точке
+     * @param {{x: number, y: number}} point - точка
+     * @param {{a: number, b: number, c: number, d: number, e: number, f: number}} m - матрица преобразования
+     * @returns {{x: number, y: number}} преобразованная точка
+     */
+    transformPoint(point, m) {
+        return {
+            x: m.a * point.x + m.c * point.y + m.e,
+            y: m.b * point.x + m.d * point.y + m.f
+        };
+    }
+
+    /**
+     * Применяет преобразование координат вставки к объекту блока
+     * @param {Object} entity - объект блока
+     * @param {{a: number, b: number, c: number, d: number, e: number, f: number}} m - матрица преобразования
+     * @returns {Array} преобразованные объекты: при неравномерном масштабе окружность становится
+     *     эллипсом, дуга - цепочкой линий, а дуговые сегменты полилинии - вершинами
+     */
+    transformEntity(entity, m) {
+        // Подобие (поворот, равномерный масштаб, отражение) сохраняет окружности и дуги
+        const scaleX = Math.sqrt(m.a * m.a + m.b * m.b);
+        const scaleY = Math.sqrt(m.c * m.c + m.d * m.d);
+        const isSimilarity = Math.abs(scaleX - scaleY) <= 1e-9 * Math.max(scaleX, scaleY) &&
+            Math.abs(m.a * m.c + m.b * m.d) <= 1e-9 * scaleX * scaleY;
+        const isMirrored = m.a * m.d - m.b * m.c < 0;
+
+        if (entity.type === 'LINE') {
+            const start = this.transformPoint({ x: entity.x1, y: entity.y1 }, m);
+            const end = this.transformPoint({ x: entity.x2, y: entity.y2 }, m);
+            return [{ ...entity, x1: start.x, y1: start.y, x2: end.x, y2: end.y }];
+        }
+
+        if (entity.type === 'CIRCLE' || entity.type === 'ARC') {
+            const center = this.transformPoint({ x: entity.cx, y: entity.cy }, m);
+
+            if (isSimilarity) {
+                if (entity.type === 'CIRCLE') {
+                    return [{ ...entity, cx: center.x, cy: center.y, radius: entity.radius * scaleX }];
+                }
+                // При отражении дуга меняет направление: углы отражаются и меняются местами
+                const rotation = Math.atan2(m.b, m.a) * 180 / Math.PI;
+                return [{
+                    ...entity,
+                    cx: center.x,
+                    cy: center.y,
+                    radius: entity.radius * scaleX,
+                    startAngle: isMirrored ? rotation - entity.endAngle : rotation + entity.startAngle,
+                    endAngle: isMirrored ? rotation - entity.startAngle : rotation + entity.endAngle
+                }];
+            }
+
+            if (entity.type === 'CIRCLE') {
+                return [this.transformEllipse({
+                    ...entity,
+                    type: 'ELLIPSE',
+                    centerX: entity.cx,
+                    centerY: entity.cy,
+                    majorAxisLength: entity.radius,
+                    minorAxisLength: entity.radius,
+                    rotation: 0,
+                    startParam: 0,
+                    endParam: 2 * Math.PI
+                }, m)];
+            }
+
+            // Дуга с неравномерным масштабом - цепочка линий, которая участвует в сборке контура
+            const points = this.generateArcPoints(entity, 30).map(p => this.transformPoint(p, m));
+            const segments = [];
+            for (let i = 1; i < points.length; i++) {
+                segments.push({
+                    ...entity,
+                    type: 'LINE',
+                    x1: points[i - 1].x,
+                    y1: points[i - 1].y,
+                    x2: points[i].x,
+                    y2: points[i].y
+                });
+            }
+            return segments;
+        }
+
+        if (entity.type === 'POLYLINE' || entity.type === 'LWPOLYLINE') {
+            if (isSimilarity) {
+                // При отражении дуговые сегменты меняют направление обхода
+                const vertices = entity.vertices.map(v => {
+                    const vertex = this.transformPoint(v, m);
+                    if (v.bulge) vertex.bulge = isMirrored ? -v.bulge : v.bulge;
+                    return vertex;
+                });
+                return [{ ...entity, vertices }];
+            }
+            const vertices = this.getPolylinePoints(entity).map(p => this.transformPoint(p, m));
+            return [{ ...entity, vertices }];
+        }
+
+        if (entity.type === 'ELLIPSE') {
+            return [this.transformEllipse(entity, m)];
+        }
+
+        if (entity.type === 'SPLINE') {
+            // Преобразование контрольных точек переводит сплайн (в том числе NURBS) в преобразованную кривую
+            const controlPoints = entity.controlPoints.map(p => this.transformPoint(p, m));
+            const fitPoints = entity.fitPoints.map(p => this.transformPoint(p, m));
+            // Касательные - направления, поэтому сдвиг к ним не применяется
+            const transformTangent = t => t && { x: m.a * t.x + m.c * t.y, y: m.b * t.x + m.d * t.y };
+            return [{
+                ...entity,
+                controlPoints,
+                fitPoints,
+                startTangent: transformTangent(entity.startTangent),
+                endTangent: transformTangent(entity.endTangent)
+            }];
+        }
+
+        if (this.isFillEntity(entity)) {
+            const loops = entity.loops.map(loop => loop.map(p => this.transformPoint(p, m)));
+            return [{ ...entity, loops }];
+        }
+
+        if (entity.type === 'INSERT') {
+            // Вставка развёртывается позже: преобразование применяется к объектам блока после её собственного
+            return [{ ...entity, transform: entity.transform ? this.multiplyTransforms(m, entity.transform) : m }];
+        }
+
+        return [{ ...entity }];
+    }
+
+    /**
+     * Применяет преобразование координат к эллипсу
+     * @param {Object} ellipse - эллипс из parseDXFEllipse
+     * @param {{a: number, b: number, c: number, d: number, e: number, f: number}} m - матрица преобразования
+     * @returns {Object} эллипс с новыми центром, осями, поворотом и параметрами начала и конца
+     */
+    transformEllipse(ellipse, m) {
+        // Оси эллипса переходят в сопряжённые полудиаметры u и v нового эллипса,
+        // его главные оси - собственные векторы матрицы [u v]·[u v]ᵀ
+        const cos = Math.cos(ellipse.rotation);
+        const sin = Math.sin(ellipse.rotation);
+        const ux = (m.a * cos + m.c * sin) * ellipse.majorAxisLength;
+        const uy = (m.b * cos + m.d * sin) * ellipse.majorAxisLength;
+        const vx = (-m.a * sin + m.c * cos) * ellipse.minorAxisLength;
+        const vy = (-m.b * sin + m.d * cos) * ellipse.minorAxisLength;
+
+        const p = ux * ux + vx * vx;
+        const q = ux * uy + vx * vy;
+        const r = uy * uy + vy * vy;
+        const mean = (p + r) / 2;
+        const deviation = Math.sqrt(((p - r) / 2) ** 2 + q * q);
+        const majorAxisLength = Math.sqrt(mean + deviation);
+        const minorAxisLength = Math.sqrt(Math.max(0, mean - deviation));
+        const rotation = Math.atan2(2 * q, p - r) / 2;
+        const center = this.transformPoint({ x: ellipse.centerX, y: ellipse.centerY }, m);
+
+        // Сдвиг параметра: точка с параметром 0 (конец u) в осях нового эллипса
+        let { startParam, endParam } = ellipse;
+        if (majorAxisLength > 0 && minorAxisLength > 0) {
+            const shift = Math.atan2(
+                (-Math.sin(rotation) * ux + Math.cos(rotation) * uy) / minorAxisLength,
+                (Math.cos(rotation) * ux + Math.sin(rotation) * uy) / majorAxisLength
+            );
+            const isMirrored = ux * vy - uy * vx < 0;
+            startParam = isMirrored ? shift - ellipse.endParam : shift + ellipse.startParam;
+            endParam = isMirrored ? shift - ellipse.startParam : shift + ellipse.endParam;
+        }
+
+        return {
+            ...ellipse,
+            centerX: center.x,
+            centerY: center.y,
+            majorAxisLength,
+            minorAxisLength,
+            rotation,
+            startParam,
+            endParam
+        };
+    }
+
+    /**
+     * Парсит DXF файл и извлекает сущности и таблицу слоёв
+     * @param {string} text - содержимое DXF файла
+     * @returns {{entities: Array, layers: Map<string, {name: string, color: string, visible: boolean}>,
+     *     units: string}} сущности с именем слоя (layer) и итоговым цветом '#rrggbb' (color); вставки блоков
+     *     заменены объектами блоков; units - единицы чертежа (ключ DXF_UNITS)
+     */
+    parseDXF(text) {
+        const lines = text.split('\n').map(l => l.trim().replace('\r', ''));
+        const entities = [];
+        const layers = new Map();
+        const blocks = new Map();
+        const header = {};
+
+        let i = 0;
+        let section = null;
+        let block = null;
+
+        while (i < lines.length) {
+            const code = lines[i];
+            const value = lines[i + 1];
+
+            // Запоминаем текущую секцию (TABLES, ENTITIES и т.д.)
+            if (code === '0' && value === 'SECTION') {
+                i += 2;
+                if (i < lines.length && lines[i] === '2') {
+                    section = lines[i + 1];
+                    i += 2;
+                    continue;
+                }
+            }
+
+            // Переменные единиц чертежа секции HEADER: имя (код 9) и значение (код 70)
+            if (section === 'HEADER' && code === '9' && (value === '$INSUNITS' || value === '$MEASUREMENT')) {
+                if (lines[i + 2] === '70') {
+                    header[value] = parseInt(lines[i + 3], 10);
+                }
+            }
+
+            // Слои из таблицы LAYER секции TABLES
+            if (section === 'TABLES' && code === '0' && value === 'LAYER') {
+                const layer = this.parseDXFLayer(lines, i);
+                if (layer) layers.set(layer.name, layer);
+            }
+
+            // Блоки секции BLOCKS: объекты между BLOCK и ENDBLK
+            if (section === 'BLOCKS' && code === '0') {
+                if (value === 'BLOCK') {
+                    block = this.parseDXFBlock(lines, i);
+                    if (block) blocks.set(block.name, block);
+                } else if (value === 'ENDBLK') {
+                    block = null;
+                } else if (block) {
+                    block.entities.push(...this.parseEntity(lines, i, value));
+                }
+            }
+
+            // Парсим объекты в секции ENTITIES
+            if (section === 'ENTITIES' && code === '0') {
+                if (value === 'ENDSEC') {
+                    break;
+                }
+                entities.push(...this.parseEntity(lines, i, value));
+            } else if (code === '0' && value === 'ENDSEC') {
+                section = null;
+            }
+
+            i += 2;
+        }
+
+        // Вставки блоков заменяем объектами блоков, затем цвет "по слою" берём из таблицы слоёв
+        const expanded = this.expandInserts(entities, blocks);
+        expanded.forEach(entity => {
+            entity.color = this.resolveEntityColor(entity, layers);
+        });
+
+        return { entities: expanded, layers, units: this.getDrawingUnits(header) };
+    }
+
+    /**
+     * Определяет единицы чертежа по переменным секции HEADER
+     * @param {{$INSUNITS?: number, $MEASUREMENT?: number}} header - значения переменных
+     * @returns {string} ключ DXF_UNITS: по $INSUNITS, для безразмерных и неподдерживаемых единиц -
+     *     дюймы или мм по $MEASUREMENT, без переменных - мм
+     */
+    getDrawingUnits(header) {
+        const units = DXF_INSUNITS[header.$INSUNITS];
+        if (units) {
+            return units;
+        }
+        return header.$MEASUREMENT === 0 ? 'in' : DEFAULT_DXF_UNITS;
+    }
+
+    /**
+     * Парсит графический объект DXF со слоем и цветом
+     * @param {Array} lines - массив строк DXF
+     * @param {number} startIndex - индекс кода 0 объекта
+     * @param {string} type - тип объекта (значение кода 0)
+     * @returns {Array} объекты в мировой системе координат (пусто для неподдерживаемого типа;
+     *     при переводе из OCS дуга может стать цепочкой линий)
+     */
+    parseEntity(lines, startIndex, type) {
+        let entity = null;
+        if (type === 'LINE') {
+            entity = this.parseDXFLine(lines, startIndex);
+        } else if (type === 'CIRCLE') {
+            entity = this.parseDXFCircle(lines, startIndex);
+        } else if (type === 'ARC') {
+            entity = this.parseDXFArc(lines, startIndex);
+        } else if (type === 'POLYLINE' || type === 'LWPOLYLINE') {
+            entity = this.parseDXFPolyline(lines, startIndex, type);
+        } else if (type === 'ELLIPSE') {
+            entity = this.parseDXFEllipse(lines, startIndex);
+        } else if (type === 'SPLINE') {
+            entity = this.parseDXFSpline(lines, startIndex);
+        } else if (type === 'INSERT') {
+            entity = this.parseDXFInsert(lines, startIndex);
+        } else if (type === 'HATCH') {
+            entity = this.parseDXFHatch(lines, startIndex);
+        } else if (type === 'SOLID' || type === 'TRACE') {
+            entity = this.parseDXFSolid(lines, startIndex, type);
+        }
+        if (!entity) {
+            return [];
+        }
+
+        // Объекты, заданные в системе координат объекта (OCS), переводятся в мировую
+        const { ocs, ...planar } = Object.assign(entity, this.parseEntityProperties(lines, startIndex));
+        return ocs ? this.transformEntity(planar, this.getOcsTransform(ocs)) : [planar];
+    }
+
+    /**
+     * Описывает систему координат объекта (OCS) по направлению выдавливания
+     * @param {{x: number, y: number, z: number}} normal - направление выдавливания (коды 210/220/230)
+     * @param {number} elevation - высота плоскости объекта вдоль направления выдавливания
+     * @returns {{normal: {x: number, y: number, z: number}, elevation: number}|null}
+     *     единичное направление и высота или null, если OCS совпадает с мировой системой (+Z)
+     */
+    createOcs(normal, elevation) {
+        const length = Math.hypot(normal.x, normal.y, normal.z);
+        if (!(length > 0) || (normal.x === 0 && normal.y === 0 && normal.z > 0)) {
+            return null;
+        }
+        return {
+            normal: { x: normal.x / length, y: normal.y / length, z: normal.z / length },
+            elevation
+        };
+    }
+
+    /**
+     * Читает координату направления выдавливания (коды 210/220/230)
+     * @param {{x: number, y: number, z: number}} normal - направление выдавливания, которое дополняется
+     * @param {string} code - код DXF
+     * @param {string} value - значение кода
+     */
+    readExtrusion(normal, code, value) {
+        if (code === '210') normal.x = parseFloat(value);
+        if (code === '220') normal.y = parseFloat(value);
+        if (code === '230') normal.z = parseFloat(value);
+    }
+
+    /**
+     * Вычисляет преобразование координат OCS в мировые (проекция на плоскость XY)
+     * по алгоритму произвольной оси DXF
+     * @param {{normal: {x: number, y: number, z: number}, elevation: number}} ocs - OCS из createOcs
+     * @returns {{a: number, b: number, c: number, d: number, e: number, f: number}}
+     *     матрица в порядке canvas setTransform
+     */
+    getOcsTransform(ocs) {
+        const n = ocs.normal;
+
+        // Ось X OCS: для направлений, близких к оси Z, - Wy × N, иначе Wz × N
+        let ax, ay, az;
+        if (Math.abs(n.x) < 1 / 64 && Math.abs(n.y) < 1 / 64) {
+            [ax, ay, az] = [n.z, 0, -n.x];
+        } else {
+            [ax, ay, az] = [-n.y, n.x, 0];
+        }
+        const axisLength = Math.hypot(ax, ay, az);
+        ax /= axisLength;
+        ay /= axisLength;
+        az /= axisLength;
+
+        // Ось Y OCS: N × Ax (оба вектора единичные и перпендикулярные)
+        const bx = n.y * az - n.z * ay;
+        const by = n.z * ax - n.x * az;
+
+        return {
+            a: ax,
+            b: ay,
+            c: bx,
+            d: by,
+            e: ocs.elevation * n.x,
+            f: ocs.elevation * n.y
+        };
+    }
+
+    /**
+     * Парсит заголовок блока из секции BLOCKS
+     * @param {Array} lines - массив строк DXF
+     * @param {number} startIndex - начальный индекс
+     * @returns {{name: string, baseX: number, baseY: number, entities: Array}|null}
+     *     entities заполняются объектами до ENDBLK
+     */
+    parseDXFBlock(lines, startIndex) {
+        let name, baseX = 0, baseY = 0;
+        let i = startIndex + 2;
+
+        while (i < lines.length) {
+            const code = lines[i];
+            const value = lines[i + 1];
+
+            if (code === '0') break;
+
+            if (code === '2') name = value;
+            if (code === '10') baseX = parseFloat(value) || 0;
+            if (code === '20') baseY = parseFloat(value) || 0;
+
+            i += 2;
+        }
+
+        if (name === undefined) {
+            return null;
+        }
+        return { name, baseX, baseY, entities: [] };
+    }
+
+    /**
+     * Парсит общие свойства сущности: слой и цвет (до первого вложенного объекта, например VERTEX)
+     * @param {Array} lines - массив строк DXF
+     * @param {number} startIndex - начальный индекс
+     * @returns {{layer: string, colorIndex: number, trueColor: string|null}}
+     *     colorIndex - номер цвета ACI (DXF_COLOR_BYLAYER, если цвет не задан)
+     */
+    parseEntityProperties(lines, startIndex) {
+        let layer = DXF_DEFAULT_LAYER;
+        let colorIndex = DXF_COLOR_BYLAYER;
+        let trueColor = null;
+        let i = startIndex + 2;
+
+        while (i < lines.length) {
+            const code = lines[i];
+            const value = lines[i + 1];
+
+            if (code === '0') break;
+
+            if (code === '8') layer = value;
+            if (code === '62') colorIndex = parseInt(value, 10);
+            if (code === '420') trueColor = this.trueColorToHex(parseInt(value, 10));
+
+            i += 2;
+        }
+
+        return { layer, colorIndex, trueColor };
+    }
+
+    /**
+     * Парсит слой из таблицы слоёв DXF
+     * @param {Array} lines - массив строк DXF
+     * @param {number} startIndex - начальный индекс
+     * @returns {{name: string, color: string, visible: boolean}|null}
+     *     visible - false, если слой выключен (отрицательный цвет) или заморожен (бит 0 кода 70)
+     */
+    parseDXFLayer(lines, startIndex) {
+        let name, colorIndex = 7, trueColor = null, flags = 0;
+        let i = startIndex + 2;
+
+        while (i < lines.length) {
+            const code = lines[i];
+            const value = lines[i + 1];
+
+            if (code === '0') break;
+
+            if (code === '2') name = value;
+            if (code === '62') colorIndex = parseInt(value, 10);
+            if (code === '420') trueColor = this.trueColorToHex(parseInt(value, 10));
+            if (code === '70') flags = parseInt(value, 10);
+
+            i += 2;
+        }
+
+        if (name === undefined) {
+            return null;
+        }
+        return {
+            name,
+            color: trueColor || this.aciToColor(Math.abs(colorIndex)),
+            visible: colorIndex >= 0 && (flags & 1) === 0
+        };
+    }
+
+    /**
+     * Определяет итоговый цвет сущности: true color, номер ACI или цвет слоя
+     * @param {{layer: string, colorIndex: number, trueColor: string|null}} entity - сущность
+     * @param {Map<string, {color: string}>} layers - таблица слоёв
+     * @returns {string} цвет '#rrggbb'
+     */
+    resolveEntityColor(entity, layers) {
+        if (entity.trueColor) {
+            return entity.trueColor;
+        }
+        if (entity.colorIndex !== DXF_COLOR_BYLAYER && entity.colorIndex !== DXF_COLOR_BYBLOCK) {
+            return this.aciToColor(Math.abs(entity.colorIndex));
+        }
+        const layer = layers.get(entity.layer);
+        return layer ? layer.color : DEFAULT_BEAD_COLOR;
+    }
+
+    /**
+     * Переводит индексированный цвет AutoCAD (ACI) в цвет бисеринок
+     * @param {number} index - номер цвета 1-255
+     * @returns {string} цвет '#rrggbb' (DEFAULT_BEAD_COLOR для цвета 7 и неизвестных номеров)
+     */
+    aciToColor(index) {
+        if (DXF_ACI_BASE_COLORS[index]) {
+            return DXF_ACI_BASE_COLORS[index];
+        }
+        if (index >= 250 && index <= 255) {
+            return DXF_ACI_GRAYS[index - 250];
+        }
+        if (index < 10 || index > 249) {
+            return DEFAULT_BEAD_COLOR;
+        }
+
+        // Оттенок, яркость и насыщенность по номеру, затем перевод HSV в RGB
+        const hue = Math.floor((index - 10) / 10) * 15;
+        const level = (index - 10) % 10;
+        const value = DXF_ACI_VALUE_LEVELS[Math.floor(level / 2)] * 255;
+        const saturation = level % 2 === 0 ? 1 : 0.5;
+        const channel = n => {
+            const k = (n + hue / 60) % 6;
+            return value - value * saturation * Math.max(0, Math.min(k, 4 - k, 1));
+        };
+        return ColorUtils.rgbToHex(channel(5), channel(3), channel(1));
+    }
+
+    /**
+     * Переводит true color DXF (код 420, 0x00RRGGBB) в строку цвета
+     * @param {number} value - значение кода 420
+     * @returns {string|null} цвет '#rrggbb' или null для некорректного значения
+     */
+    trueColorToHex(value) {
+        if (!isFinite(value)) {
+            return null;
+        }
+        return ColorUtils.rgbToHex((value >> 16) & 255, (value >> 8) & 255, value & 255);
+    }
+
+    /**
+     * Парсит линию из DXF
+     * @param {Array} lines - массив строк DXF
+     * @param {number} startIndex - начальный индекс
+     * @returns {{type: string, x1: number, y1: number, x2: number, y2: number}|null}
+     */
+    parseDXFLine(lines, startIndex) {
+        let x1, y1, x2, y2;
+        let i = startIndex + 2;
 
         while (i < lines.length) {
             const code = lines[i];
@@ -688,10 +1738,13 @@ class DXFLoader {
      * Парсит окружность из DXF
      * @param {Array} lines - массив строк DXF
      * @param {number} startIndex - начальный индекс
-     * @returns {{type: string, cx: number, cy: number, radius: number}|null}
+     * @returns {{type: string, cx: number, cy: number, radius: number, ocs: Object|null}|null}
+     *     ocs - система координат объекта из createOcs
      */
     parseDXFCircle(lines, startIndex) {
         let cx, cy, radius;
+        let elevation = 0;
+        const normal = { x: 0, y: 0, z: 1 };
         let i = startIndex + 2;
 
         while (i < lines.length) {
@@ -702,13 +1755,15 @@ class DXFLoader {
 
             if (code === '10') cx = parseFloat(value);
             if (code === '20') cy = parseFloat(value);
+            if (code === '30') elevation = parseFloat(value) || 0;
             if (code === '40') radius = parseFloat(value);
+            this.readExtrusion(normal, code, value);
 
             i += 2;
         }
 
         if (cx !== undefined && cy !== undefined && radius !== undefined) {
-            return { type: 'CIRCLE', cx, cy, radius };
+            return { type: 'CIRCLE', cx, cy, radius, ocs: this.createOcs(normal, elevation) };
         }
         return null;
     }
@@ -718,13 +1773,17 @@ class DXFLoader {
      * @param {Array} lines - массив строк DXF
      * @param {number} startIndex - начальный индекс
      * @param {string} entityType - тип сущности (POLYLINE или LWPOLYLINE)
-     * @returns {{type: string, vertices: Array, closed: boolean}|null}
+     * @returns {{type: string, vertices: Array<{x: number, y: number, bulge?: number}>, closed: boolean,
+     *     ocs: Object|null}|null} bulge - выпуклость сегмента от вершины до следующей (0 или нет - прямой
+     *     сегмент), ocs - система координат объекта из createOcs
      */
     parseDXFPolyline(lines, startIndex, entityType) {
         const vertices = [];
         let i = startIndex + 2;
         let closed = false;
         let currentVertex = {};
+        let elevation = 0;
+        const normal = { x: 0, y: 0, z: 1 };
 
         // LWPOLYLINE имеет другой формат - координаты идут парами 10/20 без VERTEX объектов
         if (entityType === 'LWPOLYLINE') {
@@ -752,10 +1811,15 @@ class DXFLoader {
                     currentVertex.y = parseFloat(value);
                     // Вершина готова, но не сохраняем здесь - сохраним при следующем code 10 или в конце
                 }
+                if (code === '42' && currentVertex.x !== undefined) {
+                    currentVertex.bulge = parseFloat(value);
+                }
                 if (code === '70') {
                     const flags = parseInt(value, 10);
                     closed = (flags & 1) !== 0; // Бит 0 = закрытая полилиния
                 }
+                if (code === '38') elevation = parseFloat(value) || 0;
+                this.readExtrusion(normal, code, value);
 
                 i += 2;
             }
@@ -766,6 +1830,8 @@ class DXFLoader {
             }
         } else {
             // POLYLINE - старый формат с VERTEX объектами
+            // Координаты и флаги самой POLYLINE (до первой VERTEX) к вершинам не относятся
+            let inVertex = false;
             while (i < lines.length) {
                 const code = lines[i];
                 const value = lines[i + 1];
@@ -774,17 +1840,25 @@ class DXFLoader {
                     if (value === 'VERTEX' || value === 'SEQEND') {
                         if (currentVertex.x !== undefined && currentVertex.y !== undefined) {
                             vertices.push({ ...currentVertex });
-                            currentVertex = {};
                         }
+                        currentVertex = {};
+                        inVertex = true;
                         if (value === 'SEQEND') break;
                     } else {
                         break;
                     }
                 }
 
-                if (code === '10') currentVertex.x = parseFloat(value);
-                if (code === '20') currentVertex.y = parseFloat(value);
-                if (code === '70' && parseInt(value, 10) & 1) closed = true;
+                if (inVertex) {
+                    if (code === '10') currentVertex.x = parseFloat(value);
+                    if (code === '20') currentVertex.y = parseFloat(value);
+                    if (code === '42') currentVertex.bulge = parseFloat(value);
+                } else {
+                    // Высота - координата Z точки самой POLYLINE
+                    if (code === '70' && parseInt(value, 10) & 1) closed = true;
+                    if (code === '30') elevation = parseFloat(value) || 0;
+                    this.readExtrusion(normal, code, value);
+                }
 
                 i += 2;
             }
@@ -795,7 +1869,7 @@ class DXFLoader {
         }
 
         if (vertices.length > 0) {
-            return { type: entityType, vertices, closed };
+            return { type: entityType, vertices, closed, ocs: this.createOcs(normal, elevation) };
         }
         return null;
     }
@@ -804,10 +1878,13 @@ class DXFLoader {
      * Парсит дугу из DXF
      * @param {Array} lines - массив строк DXF
      * @param {number} startIndex - начальный индекс
-     * @returns {{type: string, cx: number, cy: number, radius: number, startAngle: number, endAngle: number}|null}
+     * @returns {{type: string, cx: number, cy: number, radius: number, startAngle: number, endAngle: number,
+     *     ocs: Object|null}|null} ocs - система координат объекта из createOcs
      */
     parseDXFArc(lines, startIndex) {
         let cx, cy, radius, startAngle, endAngle;
+        let elevation = 0;
+        const normal = { x: 0, y: 0, z: 1 };
         let i = startIndex + 2;
 
         while (i < lines.length) {
@@ -821,13 +1898,15 @@ class DXFLoader {
             if (code === '40') radius = parseFloat(value);
             if (code === '50') startAngle = parseFloat(value); // Начальный угол в градусах
             if (code === '51') endAngle = parseFloat(value);   // Конечный угол в градусах
+            if (code === '30') elevation = parseFloat(value) || 0;
+            this.readExtrusion(normal, code, value);
 
             i += 2;
         }
 
         if (cx !== undefined && cy !== undefined && radius !== undefined &&
             startAngle !== undefined && endAngle !== undefined) {
-            return { type: 'ARC', cx, cy, radius, startAngle, endAngle };
+            return { type: 'ARC', cx, cy, radius, startAngle, endAngle, ocs: this.createOcs(normal, elevation) };
         }
         return null;
     }
@@ -883,58 +1962,411 @@ class DXFLoader {
      * Парсит сплайн из DXF
      * @param {Array} lines - массив строк DXF
      * @param {number} startIndex - начальный индекс
-     * @returns {{type: string, controlPoints: Array, closed: boolean}|null}
+     * @returns {{type: string, degree: number, knots: Array<number>, weights: Array<number>,
+     *     controlPoints: Array, fitPoints: Array, startTangent: Object|null, endTangent: Object|null,
+     *     closed: boolean}|null} weights - веса контрольных точек (пусто для нерационального сплайна),
+     *     startTangent и endTangent - касательные в начале и конце для точек интерполяции
      */
     parseDXFSpline(lines, startIndex) {
         const controlPoints = [];
+        const fitPoints = [];
+        const knots = [];
+        const weights = [];
+        let degree = 3;
+        let flags = 0;
+        let startTangent = null;
+        let endTangent = null;
         let i = startIndex + 2;
-        let closed = false;
-        let currentPoint = {};
-        let inControlPoints = false;
 
         while (i < lines.length) {
             const code = lines[i];
             const value = lines[i + 1];
 
-            if (code === '0') {
-                if (value === 'SPLINE') {
-                    // Начало нового сплайна или продолжение
-                    if (currentPoint.x !== undefined && currentPoint.y !== undefined) {
-                        controlPoints.push({ ...currentPoint });
-                        currentPoint = {};
-                    }
-                } else if (value === 'ENDSEC' || value === 'LINE' || value === 'CIRCLE' ||
-                    value === 'ARC' || value === 'POLYLINE' || value === 'LWPOLYLINE' ||
-                    value === 'ELLIPSE') {
-                    break;
+            if (code === '0') break;
+
+            if (code === '70') flags = parseInt(value, 10);
+            if (code === '71') degree = parseInt(value, 10);
+            if (code === '40') knots.push(parseFloat(value));
+            if (code === '41') weights.push(parseFloat(value));
+            // Контрольные точки - коды 10/20, точки интерполяции - 11/21
+            if (code === '10') controlPoints.push({ x: parseFloat(value) });
+            if (code === '20' && controlPoints.length > 0) {
+                controlPoints[controlPoints.length - 1].y = parseFloat(value);
+            }
+            if (code === '11') fitPoints.push({ x: parseFloat(value) });
+            if (code === '21' && fitPoints.length > 0) {
+                fitPoints[fitPoints.length - 1].y = parseFloat(value);
+            }
+            // Касательные в начале (12/22) и конце (13/23) кривой через точки интерполяции
+            if (code === '12') startTangent = { x: parseFloat(value), y: 0 };
+            if (code === '22' && startTangent) startTangent.y = parseFloat(value);
+            if (code === '13') endTangent = { x: parseFloat(value), y: 0 };
+            if (code === '23' && endTangent) endTangent.y = parseFloat(value);
+
+            i += 2;
+        }
+
+        const isValidPoint = p => isFinite(p.x) && isFinite(p.y);
+        if (!controlPoints.every(isValidPoint) || !fitPoints.every(isValidPoint) ||
+            controlPoints.length + fitPoints.length === 0) {
+            return null;
+        }
+
+        return {
+            type: 'SPLINE',
+            degree,
+            knots,
+            weights,
+            controlPoints,
+            fitPoints,
+            startTangent: startTangent && isValidPoint(startTangent) ? startTangent : null,
+            endTangent: endTangent && isValidPoint(endTangent) ? endTangent : null,
+            closed: (flags & 1) !== 0 // Бит 0 = закрытый сплайн
+        };
+    }
+
+    /**
+     * Парсит вставку блока из DXF
+     * @param {Array} lines - массив строк DXF
+     * @param {number} startIndex - начальный индекс
+     * @returns {{type: string, blockName: string, x: number, y: number, scaleX: number, scaleY: number,
+     *     rotation: number, columnCount: number, rowCount: number, columnSpacing: number, rowSpacing: number,
+     *     ocs: Object|null}|null} rotation - угол поворота в градусах; columnCount и rowCount больше 1
+     *     у массива вставок; ocs - система координат объекта из createOcs
+     */
+    parseDXFInsert(lines, startIndex) {
+        let blockName, x = 0, y = 0, scaleX = 1, scaleY = 1, rotation = 0;
+        let columnCount = 1, rowCount = 1, columnSpacing = 0, rowSpacing = 0;
+        let elevation = 0;
+        const normal = { x: 0, y: 0, z: 1 };
+        let i = startIndex + 2;
+
+        while (i < lines.length) {
+            const code = lines[i];
+            const value = lines[i + 1];
+
+            if (code === '0') break;
+
+            if (code === '2') blockName = value;
+            if (code === '10') x = parseFloat(value);
+            if (code === '20') y = parseFloat(value);
+            if (code === '41') scaleX = parseFloat(value);
+            if (code === '42') scaleY = parseFloat(value);
+            if (code === '50') rotation = parseFloat(value);
+            if (code === '70') columnCount = parseInt(value, 10);
+            if (code === '71') rowCount = parseInt(value, 10);
+            if (code === '44') columnSpacing = parseFloat(value);
+            if (code === '45') rowSpacing = parseFloat(value);
+            if (code === '30') elevation = parseFloat(value) || 0;
+            this.readExtrusion(normal, code, value);
+
+            i += 2;
+        }
+
+        if (blockName === undefined || !isFinite(x) || !isFinite(y) ||
+            !isFinite(scaleX) || !isFinite(scaleY) || !isFinite(rotation)) {
+            return null;
+        }
+        return {
+            type: 'INSERT',
+            blockName,
+            x,
+            y,
+            scaleX,
+            scaleY,
+            rotation,
+            columnCount: Math.max(1, columnCount || 1),
+            rowCount: Math.max(1, rowCount || 1),
+            columnSpacing: columnSpacing || 0,
+            rowSpacing: rowSpacing || 0,
+            ocs: this.createOcs(normal, elevation)
+        };
+    }
+
+    /**
+     * Парсит залитый четырёхугольник (SOLID или TRACE) из DXF
+     * @param {Array} lines - массив строк DXF
+     * @param {number} startIndex - начальный индекс
+     * @param {string} entityType - тип сущности (SOLID или TRACE)
+     * @returns {{type: string, loops: Array<Array<{x: number, y: number}>>, ocs: Object|null}|null}
+     *     ocs - система координат объекта из createOcs
+     */
+    parseDXFSolid(lines, startIndex, entityType) {
+        const corners = [{}, {}, {}, {}];
+        let elevation = 0;
+        const normal = { x: 0, y: 0, z: 1 };
+        let i = startIndex + 2;
+
+        while (i < lines.length) {
+            const code = lines[i];
+            const value = lines[i + 1];
+
+            if (code === '0') break;
+
+            // Углы: коды 10-13 (X) и 20-23 (Y)
+            const cornerX = ['10', '11', '12', '13'].indexOf(code);
+            const cornerY = ['20', '21', '22', '23'].indexOf(code);
+            if (cornerX >= 0) corners[cornerX].x = parseFloat(value);
+            if (cornerY >= 0) corners[cornerY].y = parseFloat(value);
+            // Все углы лежат в плоскости объекта: высота - координата Z первого угла
+            if (code === '30') elevation = parseFloat(value) || 0;
+            this.readExtrusion(normal, code, value);
+
+            i += 2;
+        }
+
+        // Без четвёртого угла - треугольник
+        if (corners[3].x === undefined || corners[3].y === undefined) {
+            corners[3] = corners[2];
+        }
+        if (corners.some(p => !isFinite(p.x) || !isFinite(p.y))) {
+            return null;
+        }
+
+        // Углы идут "зигзагом": обход контура - 1, 2, 4, 3
+        return {
+            type: entityType,
+            loops: [[corners[0], corners[1], corners[3], corners[2]]],
+            ocs: this.createOcs(normal, elevation)
+        };
+    }
+
+    /**
+     * Парсит штриховку (HATCH) из DXF: контуры из полилиний или рёбер (отрезки, дуги окружностей
+     * и эллипсов, сплайны) с учётом стиля островов
+     * @param {Array} lines - массив строк DXF
+     * @param {number} startIndex - начальный индекс
+     * @returns {{type: string, loops: Array<Array<{x: number, y: number}>>, ocs: Object|null}|null}
+     *     loops - контуры, заливаемые по правилу чётности (внутренние контуры - острова),
+     *     ocs - система координат объекта из createOcs
+     */
+    parseDXFHatch(lines, startIndex) {
+        const reader = { pairs: [], index: 0 };
+        let i = startIndex + 2;
+
+        while (i < lines.length && lines[i] !== '0') {
+            reader.pairs.push({ code: lines[i], value: lines[i + 1] });
+            i += 2;
+        }
+
+        // Точка высоты (код 30 - высота) и направление выдавливания идут до описания контуров
+        let elevation = 0;
+        const normal = { x: 0, y: 0, z: 1 };
+        reader.pairs.some(({ code, value }) => {
+            if (code === '91') return true;
+            if (code === '30') elevation = parseFloat(value) || 0;
+            this.readExtrusion(normal, code, value);
+            return false;
+        });
+
+        const loops = [];
+        if (this.seekHatchCode(reader, '91')) {
+            const pathCount = this.readHatchValue(reader, '91');
+            for (let path = 0; path < pathCount && this.seekHatchCode(reader, '92'); path++) {
+                const flags = this.readHatchValue(reader, '92');
+                // Бит 1 - контур-полилиния, иначе контур из рёбер
+                const loop = flags & 2
+                    ? this.parseHatchPolylinePath(reader)
+                    : this.parseHatchEdgePath(reader);
+                if (loop.length >= 3) {
+                    loops.push(loop);
                 }
             }
+        }
+
+        if (loops.length === 0) {
+            return null;
+        }
+
+        // Стиль островов (код 75): 0 - чередование заливки по вложенности,
+        // 1 - только внешняя область, 2 - внешний контур без островов
+        const style = this.seekHatchCode(reader, '75') ? this.readHatchValue(reader, '75') : 0;
+        return { type: 'HATCH', loops: this.selectHatchLoops(loops, style), ocs: this.createOcs(normal, elevation) };
+    }
+
+    /**
+     * Отбирает контуры штриховки по стилю островов
+     * @param {Array<Array<{x: number, y: number}>>} loops - все контуры штриховки
+     * @param {number} style - стиль островов (код 75)
+     * @returns {Array<Array<{x: number, y: number}>>} контуры для заливки по правилу чётности
+     */
+    selectHatchLoops(loops, style) {
+        if (style !== 1 && style !== 2) {
+            return loops;
+        }
+
+        // Глубина вложенности - количество контуров, внутри которых лежит контур
+        const maxDepth = style === 1 ? 1 : 0;
+        return loops.filter((loop, index) => {
+            const depth = loops.filter((other, otherIndex) =>
+                otherIndex !== index && GeometryUtils.isPointInPolygon(loop[0], other)
+            ).length;
+            return depth <= maxDepth;
+        });
+    }
+
+    /**
+     * Парсит контур штриховки из полилинии (коды 72 - есть выпуклости, 73 - замкнут, 93 - число вершин)
+     * @param {{pairs: Array<{code: string, value: string}>, index: number}} reader - пары кодов штриховки
+     * @returns {Array<{x: number, y: number}>} точки контура
+     */
+    parseHatchPolylinePath(reader) {
+        const hasBulge = this.readHatchValue(reader, '72') === 1;
+        this.readHatchValue(reader, '73');
+        const count = this.readHatchValue(reader, '93') || 0;
+        const vertices = [];
+
+        for (let v = 0; v < count; v++) {
+            const x = this.readHatchValue(reader, '10');
+            const y = this.readHatchValue(reader, '20');
+            if (x === undefined || y === undefined) break;
+
+            const bulge = hasBulge ? this.readHatchValue(reader, '42') : undefined;
+            vertices.push(bulge ? { x, y, bulge } : { x, y });
+        }
+
+        // Контур штриховки всегда замкнут
+        return this.getPolylinePoints({ vertices, closed: true });
+    }
+
+    /**
+     * Парсит контур штриховки из рёбер (код 93 - число рёбер, код 72 - тип ребра:
+     * 1 - отрезок, 2 - дуга окружности, 3 - дуга эллипса, 4 - сплайн)
+     * @param {{pairs: Array<{code: string, value: string}>, index: number}} reader - пары кодов штриховки
+     * @returns {Array<{x: number, y: number}>} точки контура
+     */
+    parseHatchEdgePath(reader) {
+        const edgeCount = this.readHatchValue(reader, '93') || 0;
+        const points = [];
 
-            if (code === '10') {
-                if (currentPoint.x !== undefined && currentPoint.y !== undefined) {
-                    controlPoints.push({ ...currentPoint });
+        for (let edge = 0; edge < edgeCount; edge++) {
+            const edgePoints = this.parseHatchEdge(reader);
+            if (!edgePoints || edgePoints.some(p => !isFinite(p.x) || !isFinite(p.y))) break;
+
+            // Соседние рёбра стыкуются в общей точке - не дублируем её
+            edgePoints.forEach(p => {
+                const last = points[points.length - 1];
+                if (!last || Math.abs(last.x - p.x) > 1e-9 || Math.abs(last.y - p.y) > 1e-9) {
+                    points.push(p);
                 }
-                currentPoint = { x: parseFloat(value) };
-                inControlPoints = true;
+            });
+        }
+
+        return points;
+    }
+
+    /**
+     * Парсит ребро контура штриховки
+     * @param {{pairs: Array<{code: string, value: string}>, index: number}} reader - пары кодов штриховки
+     * @returns {Array<{x: number, y: number}>|null} точки ребра (NaN при неполных данных)
+     *     или null для неизвестного типа
+     */
+    parseHatchEdge(reader) {
+        const read = code => this.readHatchValue(reader, code);
+        const edgeType = read('72');
+
+        if (edgeType === 1) {
+            const x1 = read('10'), y1 = read('20'), x2 = read('11'), y2 = read('21');
+            return [{ x: x1, y: y1 }, { x: x2, y: y2 }];
+        }
+
+        if (edgeType === 2 || edgeType === 3) {
+            const cx = read('10'), cy = read('20');
+            // У дуги эллипса - конец большой оси относительно центра и отношение осей
+            const majorX = edgeType === 3 ? read('11') : undefined;
+            const majorY = edgeType === 3 ? read('21') : undefined;
+            const size = read('40');
+            const startAngle = read('50');
+            const endAngle = read('51');
+            const counterClockwise = read('73') !== 0;
+
+            // Дуги по часовой стрелке хранят углы, отсчитанные по часовой стрелке
+            const start = (counterClockwise ? startAngle : -endAngle) * Math.PI / 180;
+            const end = (counterClockwise ? endAngle : -startAngle) * Math.PI / 180;
+            const majorAxisLength = edgeType === 3 ? Math.sqrt(majorX * majorX + majorY * majorY) : size;
+            const points = this.generateEllipsePoints({
+                centerX: cx,
+                centerY: cy,
+                majorAxisLength,
+                minorAxisLength: edgeType === 3 ? majorAxisLength * size : size,
+                rotation: edgeType === 3 ? Math.atan2(majorY, majorX) : 0,
+                startParam: start,
+                endParam: end
+            }, DXF_ARC_STEPS_PER_TURN);
+            return counterClockwise ? points : points.reverse();
+        }
+
+        if (edgeType === 4) {
+            const spline = { degree: read('94'), controlPoints: [], knots: [], weights: [], fitPoints: [] };
+            read('73'); // рациональный
+            read('74'); // периодический
+            const knotCount = read('95') || 0;
+            const controlCount = read('96') || 0;
+
+            for (let k = 0; k < knotCount; k++) {
+                spline.knots.push(read('40'));
             }
-            if (code === '20' && inControlPoints) {
-                currentPoint.y = parseFloat(value);
+            for (let c = 0; c < controlCount; c++) {
+                spline.controlPoints.push({ x: read('10'), y: read('20') });
+                // Вес может идти сразу за контрольной точкой
+                const weight = read('42');
+                if (weight !== undefined) spline.weights.push(weight);
             }
-            if (code === '70') {
-                const flags = parseInt(value, 10);
-                closed = (flags & 1) !== 0; // Бит 0 = закрытый сплайн
+            while (this.isHatchCode(reader, '42')) {
+                spline.weights.push(read('42'));
             }
 
-            i += 2;
+            // Точки интерполяции (DXF 2010+): код 97 здесь - их количество, а не число
+            // связанных объектов контура, если за ним идут точки (код 11) или касательные
+            const next = reader.pairs[reader.index + 1];
+            if (this.isHatchCode(reader, '97') && next && ['11', '12', '13'].includes(next.code)) {
+                const fitCount = read('97');
+                for (let f = 0; f < fitCount; f++) {
+                    spline.fitPoints.push({ x: read('11'), y: read('21') });
+                }
+                spline.startTangent = this.isHatchCode(reader, '12') ? { x: read('12'), y: read('22') } : null;
+                spline.endTangent = this.isHatchCode(reader, '13') ? { x: read('13'), y: read('23') } : null;
+            }
+
+            return this.getSplinePoints(spline);
         }
 
-        if (currentPoint.x !== undefined && currentPoint.y !== undefined) {
-            controlPoints.push(currentPoint);
+        return null;
+    }
+
+    /**
+     * Проверяет код текущей пары штриховки
+     * @param {{pairs: Array<{code: string, value: string}>, index: number}} reader - пары кодов штриховки
+     * @param {string} code - ожидаемый код
+     * @returns {boolean}
+     */
+    isHatchCode(reader, code) {
+        return reader.index < reader.pairs.length && reader.pairs[reader.index].code === code;
+    }
+
+    /**
+     * Читает число из текущей пары штриховки, если у неё ожидаемый код
+     * @param {{pairs: Array<{code: string, value: string}>, index: number}} reader - пары кодов штриховки
+     * @param {string} code - ожидаемый код
+     * @returns {number|undefined} значение или undefined, если код другой
+     */
+    readHatchValue(reader, code) {
+        if (!this.isHatchCode(reader, code)) {
+            return undefined;
         }
+        return parseFloat(reader.pairs[reader.index++].value);
+    }
 
-        if (controlPoints.length > 0) {
-            return { type: 'SPLINE', controlPoints, closed };
+    /**
+     * Пропускает пары штриховки до ближайшей пары с заданным кодом
+     * @param {{pairs: Array<{code: string, value: string}>, index: number}} reader - пары кодов штриховки
+     * @param {string} code - искомый код
+     * @returns {boolean} true, если пара найдена
+     */
+    seekHatchCode(reader, code) {
+        while (reader.index < reader.pairs.length && reader.pairs[reader.index].code !== code) {
+            reader.index++;
         }
-        return null;
+        return reader.index < reader.pairs.length;
     }
 }
@@ -0,0 +1,137 @@
+/**
+ * История изменений проекта для отмены и повтора
+ *
+ * Каждый шаг хранит снимок состояния после изменения, поэтому отмена, повтор и переход
+ * к любому шагу списка сводятся к восстановлению снимка. Изменения одной настройки,
+ * идущие подряд (перетаскивание ползунка), объединяются в один шаг
+ */
+class EditHistory {
+    /**
+     * @param {number} limit - максимальное количество шагов (самые старые шаги удаляются)
+     * @param {number} coalesceMs - интервал в мс, в пределах которого изменения одной настройки объединяются
+     */
+    constructor(limit = HISTORY_LIMIT, coalesceMs = HISTORY_COALESCE_MS) {
+        this.limit = limit;
+        this.coalesceMs = coalesceMs;
+        this.entries = [];
+        this.index = -1;
+    }
+
+    /**
+     * Начинает историю заново с одного шага (новый или открытый проект)
+     * @param {string} label - название шага
+     * @param {Object} state - снимок состояния
+     */
+    reset(label, state) {
+        this.entries = [{ label, state, key: null, time: Date.now() }];
+        this.index = 0;
+    }
+
+    /**
+     * Записывает шаг после текущего, отменённые шаги при этом удаляются
+     * @param {string} label - название шага
+     * @param {Object} state - снимок состояния после изменения
+     * @param {string|null} key - ключ объединения: шаг с тем же ключом, записанный
+     *     не позже coalesceMs назад, заменяется новым снимком
+     * @returns {boolean} true если история изменилась (false, если состояние то же)
+     */
+    record(label, state, key = null) {
+        const current = this.entries[this.index];
+        if (current && EditHistory.isSameState(current.state, state)) {
+            return false;
+        }
+
+        const now = Date.now();
+        const isLast = this.index === this.entries.length - 1;
+        if (key && current && current.key === key && isLast && this.index > 0 && now - current.time < this.coalesceMs) {
+            // Ползунок вернули туда, откуда начали: шаг больше ничего не меняет
+            if (EditHistory.isSameState(this.entries[this.index - 1].state, state)) {
+                this.entries.pop();
+                this.index--;
+                return true;
+            }
+            current.state = state;
+            current.time = now;
+            return true;
+        }
+
+        this.entries.splice(this.index + 1);
+        this.entries.push({ label, state, key, time: now });
+        if (this.entries.length > this.limit) {
+            this.entries.shift();
+        }
+        this.index = this.entries.length - 1;
+        return true;
+    }
+
+    /**
+     * Отменяет текущий шаг
+     * @returns {Object|null} снимок предыдущего шага или null, если отменять нечего
+     */
+    undo() {
+        return this.canUndo() ? this.jumpTo(this.index - 1) : null;
+    }
+
+    /**
+     * Повторяет отменённый шаг
+     * @returns {Object|null} снимок следующего шага или null, если повторять нечего
+     */
+    redo() {
+        return this.canRedo() ? this.jumpTo(this.index + 1) : null;
+    }
+
+    /**
+     * Переходит к шагу списка (шаги после него можно вернуть повтором)
+     * @param {number} index - номер шага
+     * @returns {Object|null} снимок шага или null для несуществующего шага
+     */
+    jumpTo(index) {
+        if (index < 0 || index >= this.entries.length) {
+            return null;
+        }
+        this.index = index;
+        // Следующее изменение не должно слиться с шагом, к которому вернулись
+        this.entries[index].time = 0;
+        return this.entries[index].state;
+    }
+
+    /**
+     * @returns {boolean} true если есть шаг для отмены
+     */
+    canUndo() {
+        return this.index > 0;
+    }
+
+    /**
+     * @returns {boolean} true если есть отменённый шаг для повтора
+     */
+    canRedo() {
+        return this.index < this.entries.length - 1;
+    }
+
+    /**
+     * Возвращает шаги истории
+     * @returns {Array<{label: string}>} шаги от самого старого к последнему
+     */
+    getEntries() {
+        return this.entries;
+    }
+
+    /**
+     * Сравнивает снимки состояния: поля сравниваются по значению, Map - по содержимому
+     * @param {Object} a - снимок
+     * @param {Object} b - снимок
+     * @returns {boolean} true если снимки совпадают
+     */
+    static isSameState(a, b) {
+        return Object.keys(a).every(name => {
+            const valueA = a[name];
+            const valueB = b[name];
+            if (valueA instanceof Map && valueB instanceof Map) {
+                return valueA.size === valueB.size &&
+                    [...valueA].every(([key, value]) => valueB.has(key) && valueB.get(key) === value);
+            }
+            return valueA === valueB;
+        });
+    }
+}
@@ -0,0 +1,1315 @@
+/**
+ * Модуль геометрии сеток бисера
+ *
+ * Описывает для каждого типа сетки положение и форму бисеринок, их соседство,
+ * принадлежность к рядам и поиск бисеринки по точке. Наведение, подсчёт
+ * и отрисовка используют одну и ту же геометрию, поэтому не могут расходиться.
+ *
+ * Все координаты - в пикселях canvas. Бисеринка описывается центром (x, y),
+ * размерами тела (width, height) и углом поворота вокруг центра (angle).
+ */
+class GridGeometry {
+    /**
+     * @param {Object} params - параметры сетки
+     * @param {number} params.canvasWidth - ширина canvas
+     * @param {number} params.canvasHeight - высота canvas
+     * @param {number} params.workspaceWidthMM - ширина рабочей области в мм
+     * @param {number} params.workspaceHeightMM - высота рабочей области в мм
+     * @param {number} params.pixelWidthMM - ширина бисеринки в мм
+     * @param {number} params.pixelHeightMM - высота бисеринки в мм
+     * @param {number} [params.gridOffsetX=0] - смещение сетки по X в мм
+     * @param {number} [params.gridOffsetY=0] - смещение сетки по Y в мм
+     */
+    constructor(params) {
+        this.canvasWidth = params.canvasWidth;
+        this.canvasHeight = params.canvasHeight;
+        this.workspaceWidthMM = params.workspaceWidthMM;
+        this.workspaceHeightMM = params.workspaceHeightMM;
+        this.pixelWidthMM = params.pixelWidthMM;
+        this.pixelHeightMM = params.pixelHeightMM;
+
+        this.gridWidth = Math.max(1, Math.floor(params.workspaceWidthMM / params.pixelWidthMM));
+        this.gridHeight = Math.max(1, Math.floor(params.workspaceHeightMM / params.pixelHeightMM));
+
+        this.cellWidth = params.canvasWidth / this.gridWidth;
+        this.cellHeight = params.canvasHeight / this.gridHeight;
+
+        this.offsetX = ((params.gridOffsetX || 0) / params.workspaceWidthMM) * params.canvasWidth;
+        this.offsetY = ((params.gridOffsetY || 0) / params.workspaceHeightMM) * params.canvasHeight;
+
+        // Замкнута ли сетка по горизонтали (трубка)
+        this.wrapsX = false;
+        // Форма бисеринки при отрисовке: 'rect', 'rounded' или 'capsule'
+        this.beadShape = 'rounded';
+    }
+
+    /**
+     * Создаёт геометрию для типа сетки
+     * @param {string} gridType - тип сетки
+     * @param {Object} params - параметры сетки (см. конструктор и параметры peyote)
+     * @returns {GridGeometry}
+     */
+    static create(gridType, params) {
+        switch (gridType) {
+            case 'square':
+                return new SquareGeometry(params);
+            case 'brick':
+                return new BrickGeometry(params);
+            case 'tubular':
+                return new TubularGeometry(params);
+            case 'herringbone':
+                return new HerringboneGeometry(params);
+            case 'raw':
+                return new RawGeometry(params);
+            case 'radial':
+                return new RadialGeometry(params);
+            case 'peyote':
+            default:
+                return new PeyoteGeometry(params);
+        }
+    }
+
+    /**
+     * Ключ бисеринки для карт заполнения
+     * @param {number} row - строка бисеринки
+     * @param {number} col - столбец бисеринки
+     * @returns {string}
+     */
+    static key(row, col) {
+        return `${row}:${col}`;
+    }
+
+    /**
+     * Разбирает ключ бисеринки (обратное к key)
+     * @param {string} key - ключ "строка:столбец"
+     * @returns {{row: number, col: number}}
+     */
+    static parseKey(key) {
+        const [row, col] = key.split(':').map(Number);
+        return { row, col };
+    }
+
+    /**
+     * Возвращает все бисеринки сетки
+     * @returns {Array<{row: number, col: number}>}
+     */
+    getBeads() {
+        throw new Error('getBeads не реализован');
+    }
+
+    /**
+     * Проверяет, существует ли бисеринка с такими координатами
+     * @param {number} row - строка бисеринки
+     * @param {number} col - столбец бисеринки
+     * @returns {boolean}
+     */
+    hasBead(row, col) {
+        throw new Error('hasBead не реализован');
+    }
+
+    /**
+     * Возвращает положение и форму бисеринки
+     * @param {number} row - строка бисеринки
+     * @param {number} col - столбец бисеринки
+     * @returns {{row: number, col: number, x: number, y: number, width: number, height: number, angle: number}}
+     */
+    getBead(row, col) {
+        throw new Error('getBead не реализован');
+    }
+
+    /**
+     * Возвращает количество рядов (в смысле, который показывается при наведении)
+     * @returns {number}
+     */
+    getRowCount() {
+        throw new Error('getRowCount не реализован');
+    }
+
+    /**
+     * Возвращает номер ряда, которому принадлежит бисеринка
+     * @param {number} row - строка бисеринки
+     * @param {number} col - столбец бисеринки
+     * @returns {number}
+     */
+    getRowIndex(row, col) {
+        throw new Error('getRowIndex не реализован');
+    }
+
+    /**
+     * Возвращает бисеринки ряда
+     * @param {number} rowIndex - номер ряда
+     * @returns {Array<{row: number, col: number}>}
+     */
+    getRowBeads(rowIndex) {
+        return this.getBeads().filter(bead => this.getRowIndex(bead.row, bead.col) === rowIndex);
+    }
+
+    /**
+     * Определяет ряд под точкой (ряд может подсвечиваться и между бисеринками)
+     * @param {number} x - координата X
+     * @param {number} y - координата Y
+     * @returns {number|null}
+     */
+    getRowAt(x, y) {
+        const bead = this.hitTest(x, y);
+        return bead ? this.getRowIndex(bead.row, bead.col) : null;
+    }
+
+    /**
+     * Находит бисеринку, в тело которой попадает точка
+     * @param {number} x - координата X
+     * @param {number} y - координата Y
+     * @returns {{row: number, col: number}|null}
+     */
+    hitTest(x, y) {
+        return this.findBeadAmong(this.getBeads(), x, y);
+    }
+
+    /**
+     * Находит бисеринку с ближайшим к точке центром (точка может быть и между бисеринками).
+     * Точки дальше половины диагонали ячейки от любого центра лежат за пределами сетки
+     * @param {number} x - координата X
+     * @param {number} y - координата Y
+     * @returns {{row: number, col: number}|null}
+     */
+    findNearestBead(x, y) {
+        let found = null;
+        let bestDistance = (this.cellWidth * this.cellWidth + this.cellHeight * this.cellHeight) / 4;
+        this.getBeads().forEach(({ row, col }) => {
+            const distance = this.toLocal(this.getBead(row, col), x, y).distance;
+            if (distance <= bestDistance) {
+                bestDistance = distance;
+                found = { row, col };
+            }
+        });
+        return found;
+    }
+
+    /**
+     * Приводит номер столбца к сетке (у трубки столбцы замкнуты по окружности)
+     * @param {number} col - номер столбца
+     * @returns {number}
+     */
+    normalizeCol(col) {
+        return col;
+    }
+
+    /**
+     * Возвращает период сетки: сдвиг на кратное ему число строк и столбцов
+     * совмещает сетку саму с собой (смещения столбцов и строк совпадают)
+     * @returns {{rows: number, cols: number}}
+     */
+    getTranslationPeriod() {
+        return { rows: 1, cols: 1 };
+    }
+
+    /**
+     * Возвращает соседние бисеринки
+     * @param {number} row - строка бисеринки
+     * @param {number} col - столбец бисеринки
+     * @returns {Array<{row: number, col: number}>}
+     */
+    getNeighbors(row, col) {
+        throw new Error('getNeighbors не реализован');
+    }
+
+    /**
+     * Описывает область подсветки ряда
+     * @param {number} rowIndex - номер ряда
+     * @returns {{rects: Array<{x: number, y: number, width: number, height: number}>}|{ring: Object}}
+     */
+    getRowHighlight(rowIndex) {
+        return {
+            rects: this.getRowBeads(rowIndex).map(bead => this.getBeadBounds(bead.row, bead.col))
+        };
+    }
+
+    /**
+     * Вычисляет цвета всех бисеринок
+     * @param {Function} getRegionColor - функция (region) => цвет '#rrggbb' или null, где region - тело бисеринки
+     * @returns {Map<string, string|null>} цвета по ключу GridGeometry.key(row, col)
+     */
+    computeColors(getRegionColor) {
+        const colors = new Map();
+        this.getBeads().forEach(({ row, col }) => {
+            colors.set(GridGeometry.key(row, col), getRegionColor(this.getBead(row, col)));
+        });
+        return colors;
+    }
+
+    /**
+     * Описывает диффузию ошибки (Флойд–Стейнберг) по реальным центрам бисеринок.
+     * Бисеринки обходятся сверху вниз и слева направо, а ядро Флойда–Стейнберга
+     * интерполируется по смещению соседа в ячейках, поэтому сдвиги столбцов peyote,
+     * строк brick и колец radial учитываются без отдельных ядер для каждой сетки
+     * @returns {{order: Array<{row: number, col: number}>,
+     *     targets: Map<string, Array<{row: number, col: number, weight: number}>>}}
+     *     порядок обхода и соседи, получающие ошибку (веса нормированы к 1)
+     */
+    getErrorDiffusion() {
+        const widthInCells = this.canvasWidth / this.cellWidth;
+        const bucketColumns = Math.max(1, Math.ceil(widthInCells));
+        const bucketKey = (bucketX, bucketY) => this.wrapsX
+            ? `${((bucketX % bucketColumns) + bucketColumns) % bucketColumns}:${bucketY}`
+            : `${bucketX}:${bucketY}`;
+
+        // Центры бисеринок в ячейках и их раскладка по ячейкам для поиска соседей
+        const points = this.getBeads().map(({ row, col }) => {
+            const bead = this.getBead(row, col);
+            return { row, col, x: bead.x / this.cellWidth, y: bead.y / this.cellHeight };
+        });
+        const buckets = new Map();
+        points.forEach(point => {
+            const key = bucketKey(Math.floor(point.x), Math.floor(point.y));
+            if (!buckets.has(key)) {
+                buckets.set(key, []);
+            }
+            buckets.get(key).push(point);
+        });
+
+        const epsilon = 1e-6;
+        const targets = new Map();
+        points.forEach(point => {
+            const bucketX = Math.floor(point.x);
+            const bucketY = Math.floor(point.y);
+            const found = [];
+
+            for (let by = bucketY; by <= bucketY + 2; by++) {
+                for (let bx = bucketX - 2; bx <= bucketX + 2; bx++) {
+                    (buckets.get(bucketKey(bx, by)) || []).forEach(other => {
+                        let dx = other.x - point.x;
+                        const dy = other.y - point.y;
+                        if (this.wrapsX) {
+                            dx -= Math.round(dx / widthInCells) * widthInCells;
+                        }
+
+                        // Ошибка передаётся только ещё не обработанным бисеринкам
+                        const isAhead = dy > epsilon || (Math.abs(dy) <= epsilon && dx > epsilon);
+                        if (!isAhead || found.some(t => t.row === other.row && t.col === other.col)) return;
+
+                        const weight = GridGeometry.getDiffusionWeight(dx, dy);
+                        if (weight > 0) {
+                            found.push({ row: other.row, col: other.col, weight });
+                        }
+                    });
+                }
+            }
+
+            const total = found.reduce((sum, t) => sum + t.weight, 0);
+            found.forEach(t => {
+                t.weight /= total;
+            });
+            targets.set(GridGeometry.key(point.row, point.col), found);
+        });
+
+        const order = points
+            .slice()
+            .sort((a, b) => Math.abs(a.y - b.y) > epsilon ? a.y - b.y : a.x - b.x)
+            .map(({ row, col }) => ({ row, col }));
+
+        return { order, targets };
+    }
+
+    /**
+     * Вес ядра Флойда–Стейнберга для смещения в ячейках (билинейная интерполяция между узлами ядра)
+     * @param {number} dx - смещение соседа по горизонтали в ячейках
+     * @param {number} dy - смещение соседа по вертикали в ячейках
+     * @returns {number} вес (0, если сосед вне ядра)
+     */
+    static getDiffusionWeight(dx, dy) {
+        const x0 = Math.floor(dx);
+        const y0 = Math.floor(dy);
+        const fx = dx - x0;
+        const fy = dy - y0;
+        const kernelAt = (x, y) => {
+            const node = FLOYD_STEINBERG_KERNEL.find(k => k.dx === x && k.dy === y);
+            return node ? node.weight : 0;
+        };
+
+        return kernelAt(x0, y0) * (1 - fx) * (1 - fy) +
+            kernelAt(x0 + 1, y0) * fx * (1 - fy) +
+            kernelAt(x0, y0 + 1) * (1 - fx) * fy +
+            kernelAt(x0 + 1, y0 + 1) * fx * fy;
+    }
+
+    /**
+     * Возвращает центр бисеринки
+     * @param {number} row - строка бисеринки
+     * @param {number} col - столбец бисеринки
+     * @returns {{x: number, y: number}}
+     */
+    getBeadCenter(row, col) {
+        const bead = this.getBead(row, col);
+        return { x: bead.x, y: bead.y };
+    }
+
+    /**
+     * Возвращает углы тела бисеринки с учётом поворота
+     * @param {number} row - строка бисеринки
+     * @param {number} col - столбец бисеринки
+     * @returns {Array<{x: number, y: number}>}
+     */
+    getBeadPolygon(row, col) {
+        const bead = this.getBead(row, col);
+        const cos = Math.cos(bead.angle);
+        const sin = Math.sin(bead.angle);
+        const halfWidth = bead.width / 2;
+        const halfHeight = bead.height / 2;
+
+        return [[-1, -1], [1, -1], [1, 1], [-1, 1]].map(([sx, sy]) => {
+            const localX = sx * halfWidth;
+            const localY = sy * halfHeight;
+            return {
+                x: bead.x + localX * cos - localY * sin,
+                y: bead.y + localX * sin + localY * cos
+            };
+        });
+    }
+
+    /**
+     * Возвращает прямоугольник, описанный вокруг бисеринки
+     * @param {number} row - строка бисеринки
+     * @param {number} col - столбец бисеринки
+     * @returns {{x: number, y: number, width: number, height: number}}
+     */
+    getBeadBounds(row, col) {
+        const polygon = this.getBeadPolygon(row, col);
+        const xs = polygon.map(point => point.x);
+        const ys = polygon.map(point => point.y);
+        const minX = Math.min(...xs);
+        const minY = Math.min(...ys);
+        return { x: minX, y: minY, width: Math.max(...xs) - minX, height: Math.max(...ys) - minY };
+    }
+
+    /**
+     * Переводит точку в систему координат бисеринки (обратный поворот)
+     * @param {Object} bead - бисеринка из getBead
+     * @param {number} x - координата X
+     * @param {number} y - координата Y
+     * @returns {{x: number, y: number, distance: number}} локальные координаты и квадрат расстояния до центра
+     */
+    toLocal(bead, x, y) {
+        const dx = x - bead.x;
+        const dy = y - bead.y;
+        const cos = Math.cos(bead.angle);
+        const sin = Math.sin(bead.angle);
+        return {
+            x: dx * cos + dy * sin,
+            y: -dx * sin + dy * cos,
+            distance: dx * dx + dy * dy
+        };
+    }
+
+    /**
+     * Находит среди кандидатов бисеринку, в тело которой попадает точка
+     * Повёрнутые бисеринки могут перекрываться - берётся ближайшая по центру
+     * @param {Array<{row: number, col: number}>} candidates - бисеринки для проверки
+     * @param {number} x - координата X
+     * @param {number} y - координата Y
+     * @returns {{row: number, col: number}|null}
+     */
+    findBeadAmong(candidates, x, y) {
+        let found = null;
+        let bestDistance = Infinity;
+
+        candidates.forEach(({ row, col }) => {
+            const bead = this.getBead(row, col);
+            const local = this.toLocal(bead, x, y);
+            if (Math.abs(local.x) <= bead.width / 2 && Math.abs(local.y) <= bead.height / 2 &&
+                local.distance < bestDistance) {
+                bestDistance = local.distance;
+                found = { row, col };
+            }
+        });
+
+        return found;
+    }
+}
+
+/**
+ * Сетка из прямоугольных ячеек, где ряды или столбцы смещаются на полшага
+ * Основа для square, brick, peyote, tubular и herringbone
+ */
+class CellGridGeometry extends GridGeometry {
+    /**
+     * Возвращает количество столбцов, входящих в изделие
+     * @returns {number}
+     */
+    getColumnCount() {
+        return this.gridWidth;
+    }
+
+    /**
+     * Возвращает смещение ячейки в долях её размера
+     * @param {number} row - строка бисеринки
+     * @param {number} col - столбец бисеринки
+     * @returns {{x: number, y: number}}
+     */
+    getCellOffset(row, col) {
+        return { x: 0, y: 0 };
+    }
+
+    getBeads() {
+        const beads = [];
+        const columnCount = this.getColumnCount();
+        for (let row = 0; row < this.gridHeight; row++) {
+            for (let col = 0; col < columnCount; col++) {
+                beads.push({ row, col });
+            }
+        }
+        return beads;
+    }
+
+    hasBead(row, col) {
+        return row >= 0 && row < this.gridHeight && col >= 0 && col < this.getColumnCount();
+    }
+
+    /**
+     * Возвращает ячейку бисеринки (левый верхний угол и размеры) без поворота
+     * @param {number} row - строка бисеринки
+     * @param {number} col - столбец бисеринки
+     * @returns {{x: number, y: number, width: number, height: number}}
+     */
+    getCell(row, col) {
+        const offset = this.getCellOffset(row, col);
+        return {
+            x: (col + offset.x) * this.cellWidth + this.offsetX,
+            y: (row + offset.y) * this.cellHeight + this.offsetY,
+            width: this.cellWidth,
+            height: this.cellHeight
+        };
+    }
+
+    getBead(row, col) {
+        const cell = this.getCell(row, col);
+        return {
+            row,
+            col,
+            x: cell.x + cell.width / 2,
+            y: cell.y + cell.height / 2,
+            width: cell.width,
+            height: cell.height,
+            angle: 0
+        };
+    }
+
+    hitTest(x, y) {
+        const baseCol = Math.floor((x - this.offsetX) / this.cellWidth);
+        const baseRow = Math.floor((y - this.offsetY) / this.cellHeight);
+
+        // Ячейки смещены не больше чем на полшага, а наклонённые бисеринки выходят
+        // за свою ячейку - достаточно проверить соседние ячейки
+        const candidates = [];
+        for (let row = baseRow - 1; row <= baseRow + 1; row++) {
+            for (let col = baseCol - 1; col <= baseCol + 1; col++) {
+                const normalizedCol = this.normalizeCol(col);
+                if (this.hasBead(row, normalizedCol)) {
+                    candidates.push({ row, col: normalizedCol });
+                }
+            }
+        }
+
+        return this.findBeadAmong(candidates, x, y);
+    }
+
+    /**
+     * Соседями считаются бисеринки, ячейки которых касаются стороной
+     */
+    getNeighbors(row, col) {
+        const neighbors = [];
+        const offset = this.getCellOffset(row, col);
+        const epsilon = 1e-6;
+
+        for (let dr = -1; dr <= 1; dr++) {
+            for (let dc = -1; dc <= 1; dc++) {
+                if (dr === 0 && dc === 0) continue;
+
+                const neighborRow = row + dr;
+                const neighborCol = this.normalizeCol(col + dc);
+                if (!this.hasBead(neighborRow, neighborCol)) continue;
+
+                // Сравниваем ячейки в долях размера, не перенося столбцы через шов трубки
+                const neighborOffset = this.getCellOffset(neighborRow, neighborCol);
+                const left = col + offset.x;
+                const top = row + offset.y;
+                const neighborLeft = col + dc + neighborOffset.x;
+                const neighborTop = neighborRow + neighborOffset.y;
+
+                const overlapX = Math.min(left + 1, neighborLeft + 1) - Math.max(left, neighborLeft);
+                const overlapY = Math.min(top + 1, neighborTop + 1) - Math.max(top, neighborTop);
+                const touchesSide = (Math.abs(overlapX) < epsilon && overlapY > epsilon) ||
+                    (Math.abs(overlapY) < epsilon && overlapX > epsilon);
+
+                if (touchesSide) {
+                    neighbors.push({ row: neighborRow, col: neighborCol });
+                }
+            }
+        }
+
+        return neighbors;
+    }
+}
+
+/**
+ * Square (станок / квадратный стежок): ряды и столбцы без смещения
+ * Рядом считается горизонтальная строка
+ */
+class SquareGeometry extends CellGridGeometry {
+    constructor(params) {
+        super(params);
+        this.beadShape = 'rect';
+    }
+
+    getRowCount() {
+        return this.gridHeight;
+    }
+
+    getRowIndex(row, col) {
+        return row;
+    }
+
+    getRowBeads(rowIndex) {
+        const beads = [];
+        for (let col = 0; col < this.gridWidth; col++) {
+            beads.push({ row: rowIndex, col });
+        }
+        return beads;
+    }
+
+    getRowAt(x, y) {
+        const row = Math.floor((y - this.offsetY) / this.cellHeight);
+        return row >= 0 && row < this.gridHeight ? row : null;
+    }
+
+    getRowHighlight(rowIndex) {
+        const first = this.getCell(rowIndex, 0);
+        return {
+            rects: [{ x: first.x, y: first.y, width: this.gridWidth * this.cellWidth, height: this.cellHeight }]
+        };
+    }
+}
+
+/**
+ * Brick: нечётные строки смещаются вправо на половину ширины
+ */
+class BrickGeometry extends SquareGeometry {
+    constructor(params) {
+        super(params);
+        this.beadShape = 'rounded';
+    }
+
+    getCellOffset(row, col) {
+        return { x: row % 2 === 1 ? 0.5 : 0, y: 0 };
+    }
+
+    getTranslationPeriod() {
+        return { rows: 2, cols: 1 };
+    }
+}
+
+/**
+ * Плоский peyote: столбцы стежков чередуются со смещением на полшага вниз
+ * При N-drop столбец стежков состоит из N столбцов бисеринок. Количество столбцов
+ * стежков приводится к выбранному счёту (лишний столбец справа не входит в изделие),
+ * верхние (несмещённые) бисеринки начинаются со стороны начала плетения
+ */
+class PeyoteGeometry extends CellGridGeometry {
+    /**
+     * @param {Object} params - параметры сетки
+     * @param {number} [params.peyoteDrops=1] - количество бисеринок в стежке
+     * @param {string} [params.peyoteCount='even'] - счёт ('even' или 'odd')
+     * @param {string} [params.peyoteStartSide='left'] - сторона начала ('left' или 'right')
+     */
+    constructor(params) {
+        super(params);
+        this.drops = params.peyoteDrops || 1;
+        this.count = params.peyoteCount || 'even';
+        this.startSide = params.peyoteStartSide || 'left';
+
+        let groupCount = Math.ceil(this.gridWidth / this.drops);
+        if ((groupCount % 2 === 1) !== (this.count === 'odd') && groupCount > 1) {
+            groupCount--;
+        }
+        this.groupCount = groupCount;
+        this.columnLimit = Math.min(this.gridWidth, groupCount * this.drops);
+    }
+
+    getColumnCount() {
+        return this.columnLimit;
+    }
+
+    /**
+     * Возвращает номер столбца стежков для столбца бисеринок
+     * @param {number} col - столбец бисеринки
+     * @returns {number}
+     */
+    getGroup(col) {
+        return Math.floor(col / this.drops);
+    }
+
+    /**
+     * Проверяет, смещён ли столбец стежков вниз на полшага
+     * @param {number} group - номер столбца стежков
+     * @returns {boolean}
+     */
+    isGroupDown(group) {
+        const fromStart = this.startSide === 'right' ? this.groupCount - 1 - group : group;
+        return fromStart % 2 === 1;
+    }
+
+    getCellOffset(row, col) {
+        return { x: 0, y: this.isGroupDown(this.getGroup(col)) ? 0.5 : 0 };
+    }
+
+    getTranslationPeriod() {
+        // Два столбца стежков: верхний и смещённый вниз
+        return { rows: 1, cols: this.drops * 2 };
+    }
+
+    getRowCount() {
+        return this.groupCount;
+    }
+
+    getRowIndex(row, col) {
+        return this.getGroup(col);
+    }
+
+    getRowBeads(group) {
+        const beads = [];
+        const firstCol = group * this.drops;
+        const lastCol = Math.min(firstCol + this.drops, this.columnLimit);
+        for (let row = 0; row < this.gridHeight; row++) {
+            for (let col = firstCol; col < lastCol; col++) {
+                beads.push({ row, col });
+            }
+        }
+        return beads;
+    }
+
+    getRowAt(x, y) {
+        const col = Math.floor((x - this.offsetX) / this.cellWidth);
+        return col >= 0 && col < this.columnLimit ? this.getGroup(col) : null;
+    }
+
+    getRowHighlight(group) {
+        const first = this.getCell(0, group * this.drops);
+        const columns = Math.min(this.drops, this.columnLimit - group * this.drops);
+        return {
+            rects: [{
+                x: first.x,
+                y: first.y,
+                width: columns * this.cellWidth,
+                height: this.gridHeight * this.cellHeight
+            }]
+        };
+    }
+
+    /**
+     * Возвращает стежки N-drop: прямоугольники, объединяющие бисеринки одного стежка
+     * @returns {Array<{row: number, group: number, x: number, y: number, width: number, height: number}>}
+     */
+    getStitches() {
+        const stitches = [];
+        for (let group = 0; group < this.groupCount; group++) {
+            const firstCol = group * this.drops;
+            const columns = Math.min(this.drops, this.columnLimit - firstCol);
+            for (let row = 0; row < this.gridHeight; row++) {
+                const cell = this.getCell(row, firstCol);
+                stitches.push({ row, group, x: cell.x, y: cell.y, width: columns * this.cellWidth, height: cell.height });
+            }
+        }
+        return stitches;
+    }
+
+    /**
+     * Уровень бисеринки по высоте в полушагах: верхние бисеринки строки row - 2 * row,
+     * смещённые вниз - 2 * row + 1
+     * @param {number} row - строка бисеринки
+     * @param {number} col - столбец бисеринки
+     * @returns {number}
+     */
+    getLevel(row, col) {
+        return row * 2 + (this.isGroupDown(this.getGroup(col)) ? 1 : 0);
+    }
+
+    /**
+     * Возвращает номер ряда плетения так, как его считает мастер:
+     * первые два ряда набираются вместе ("1-2"), далее каждый ряд - полшага по высоте
+     * @param {number} row - строка бисеринки
+     * @param {number} col - столбец бисеринки
+     * @returns {string}
+     */
+    getStitchRowLabel(row, col) {
+        const level = this.getLevel(row, col);
+        return level < 2 ? '1-2' : String(level + 1);
+    }
+
+    /**
+     * Возвращает метки рядов плетения: номер у первой бисеринки каждого ряда и места
+     * разворота в нечётном счёте (ряды 3, 5, 7... заканчиваются на стороне начала).
+     * Ряд 1-2 и чётные ряды идут от стороны начала, нечётные - в обратную сторону
+     * @returns {{labels: Array<{text: string, rowNumber: number, x: number, y: number}>,
+     *     turnarounds: Array<{x: number, y: number, side: string}>}}
+     */
+    getStitchRowMarkers() {
+        const lastGroup = this.groupCount - 1;
+        const startGroup = this.startSide === 'right' ? lastGroup : 0;
+        const farGroup = this.startSide === 'right' ? 0 : lastGroup;
+
+        // Ближайший к краю столбец стежков, бисеринки которого лежат на уровне level
+        const getEdgeGroup = (edgeGroup, level) => {
+            if (this.isGroupDown(edgeGroup) === (level % 2 === 1)) return edgeGroup;
+            return edgeGroup === 0 ? 1 : edgeGroup - 1;
+        };
+        const getStitchCenter = (group, level) => {
+            const cell = this.getCell(Math.floor(level / 2), group * this.drops);
+            const columns = Math.min(this.drops, this.columnLimit - group * this.drops);
+            return { x: cell.x + columns * this.cellWidth / 2, y: cell.y + cell.height / 2 };
+        };
+
+        const labels = [];
+        const turnarounds = [];
+
+        for (let level = 1; level < this.gridHeight * 2; level++) {
+            // Уровни 0 и 1 - это ряд "1-2", он подписывается один раз у первой бисеринки
+            const rowNumber = level + 1;
+            const labelLevel = level === 1 ? 0 : level;
+            const startsAtStart = level === 1 || rowNumber % 2 === 0;
+            const group = getEdgeGroup(startsAtStart ? startGroup : farGroup, labelLevel);
+            if (group < 0 || group > lastGroup) continue;
+
+            const center = getStitchCenter(group, labelLevel);
+            labels.push({ text: level === 1 ? '1-2' : String(rowNumber), rowNumber, x: center.x, y: center.y });
+
+            if (this.count === 'odd' && rowNumber >= 3 && rowNumber % 2 === 1) {
+                const endGroup = getEdgeGroup(startGroup, level);
+                if (endGroup < 0 || endGroup > lastGroup) continue;
+                const end = getStitchCenter(endGroup, level);
+                const halfWidth = Math.min(this.drops, this.columnLimit - endGroup * this.drops) * this.cellWidth / 2;
+                turnarounds.push({
+                    x: this.startSide === 'right' ? end.x + halfWidth : end.x - halfWidth,
+                    y: end.y,
+                    side: this.startSide
+                });
+            }
+        }
+
+        return { labels, turnarounds };
+    }
+}
+
+/**
+ * Трубчатый peyote: ширина рабочей области - окружность трубки
+ * Последний столбец замыкается на первый, рядом считается раунд вокруг трубки
+ * (бисеринки столбцов одной чётности на одной высоте)
+ */
+class TubularGeometry extends CellGridGeometry {
+    constructor(params) {
+        super(params);
+        this.wrapsX = true;
+        this.isEvenCount = this.gridWidth % 2 === 0;
+    }
+
+    /**
+     * Переносит координату X на окружность трубки
+     * @param {number} x - координата X
+     * @returns {number} координата в диапазоне [0, canvasWidth)
+     */
+    wrapX(x) {
+        return ((x % this.canvasWidth) + this.canvasWidth) % this.canvasWidth;
+    }
+
+    normalizeCol(col) {
+        return ((col % this.gridWidth) + this.gridWidth) % this.gridWidth;
+    }
+
+    getCellOffset(row, col) {
+        return { x: 0, y: col % 2 === 1 ? 0.5 : 0 };
+    }
+
+    getTranslationPeriod() {
+        return { rows: 1, cols: 2 };
+    }
+
+    getCell(row, col) {
+        const cell = super.getCell(row, col);
+        cell.x = this.wrapX(cell.x);
+        return cell;
+    }
+
+    toLocal(bead, x, y) {
+        // Расстояние по окружности берём кратчайшее - через шов или напрямую
+        const half = this.canvasWidth / 2;
+        const dx = ((x - bead.x + half) % this.canvasWidth + this.canvasWidth) % this.canvasWidth - half;
+        return super.toLocal(bead, bead.x + dx, y);
+    }
+
+    hitTest(x, y) {
+        return super.hitTest(this.offsetX + this.wrapX(x - this.offsetX), y);
+    }
+
+    getRowCount() {
+        return this.gridHeight * 2;
+    }
+
+    getRowIndex(row, col) {
+        return row * 2 + (col % 2);
+    }
+
+    getRowBeads(round) {
+        const beads = [];
+        const row = Math.floor(round / 2);
+        for (let col = round % 2; col < this.gridWidth; col += 2) {
+            beads.push({ row, col });
+        }
+        return beads;
+    }
+
+    /**
+     * Возвращает координату X шва (левый край столбца 0)
+     * @returns {number}
+     */
+    getSeamX() {
+        return this.wrapX(this.offsetX);
+    }
+
+    /**
+     * Возвращает первые бисеринки раундов, через которые делается step-up
+     * (только при чётной окружности - при нечётной раунды идут спиралью)
+     * @returns {Array<{row: number, col: number}>}
+     */
+    getStepUpBeads() {
+        if (!this.isEvenCount) return [];
+        const beads = [];
+        for (let round = 0; round < this.getRowCount(); round++) {
+            const col = round % 2;
+            if (col < this.gridWidth) {
+                beads.push({ row: Math.floor(round / 2), col });
+            }
+        }
+        return beads;
+    }
+}
+
+/**
+ * Herringbone: бисеринки идут парами столбцов и наклонены навстречу друг другу,
+ * нечётные пары смещены на полшага вниз. Рядом считается пара столбцов
+ */
+class HerringboneGeometry extends CellGridGeometry {
+    getCellOffset(row, col) {
+        return { x: 0, y: Math.floor(col / 2) % 2 === 1 ? 0.5 : 0 };
+    }
+
+    getTranslationPeriod() {
+        // Две пары столбцов: верхняя и смещённая вниз
+        return { rows: 1, cols: 4 };
+    }
+
+    getBead(row, col) {
+        const bead = super.getBead(row, col);
+        const tilt = HERRINGBONE_TILT_DEG * Math.PI / 180;
+        // Левая бисеринка пары наклонена вправо, правая - влево.
+        // Наклонённая бисеринка уже ячейки, иначе соседние бисеринки пары перекрываются
+        bead.angle = col % 2 === 0 ? tilt : -tilt;
+        bead.width = this.cellWidth * HERRINGBONE_BEAD_WIDTH_RATIO;
+        return bead;
+    }
+
+    getRowCount() {
+        return Math.ceil(this.gridWidth / 2);
+    }
+
+    getRowIndex(row, col) {
+        return Math.floor(col / 2);
+    }
+
+    getRowBeads(pair) {
+        const beads = [];
+        for (let col = pair * 2; col < Math.min(pair * 2 + 2, this.gridWidth); col++) {
+            for (let row = 0; row < this.gridHeight; row++) {
+                beads.push({ row, col });
+            }
+        }
+        return beads;
+    }
+
+    getRowAt(x, y) {
+        const col = Math.floor((x - this.offsetX) / this.cellWidth);
+        return col >= 0 && col < this.gridWidth ? Math.floor(col / 2) : null;
+    }
+
+    getRowHighlight(pair) {
+        const first = this.getCell(0, pair * 2);
+        return {
+            rects: [{
+                x: first.x,
+                y: first.y,
+                width: Math.min(2, this.gridWidth - pair * 2) * this.cellWidth,
+                height: this.gridHeight * this.cellHeight
+            }]
+        };
+    }
+}
+
+/**
+ * Right-angle weave: бисеринки лежат на рёбрах квадратных звеньев
+ * Строки бисеринок: чётные (2j) - горизонтальные бисеринки на верхнем ребре ряда звеньев j
+ * (gridWidth штук), нечётные (2j + 1) - вертикальные на боковых рёбрах ряда j (gridWidth + 1).
+ * Рисунок переносится на звенья, бисеринка заполнена, если заполнено хотя бы одно
+ * из звеньев, которым принадлежит её ребро. Рядом считается ряд звеньев
+ */
+class RawGeometry extends GridGeometry {
+    constructor(params) {
+        super(params);
+        this.beadShape = 'capsule';
+    }
+
+    /**
+     * Возвращает количество бисеринок в строке бисеринок RAW
+     * @param {number} row - строка бисеринки
+     * @returns {number}
+     */
+    getBeadsInRow(row) {
+        return row % 2 === 0 ? this.gridWidth : this.gridWidth + 1;
+    }
+
+    getBeads() {
+        const beads = [];
+        for (let row = 0; row <= this.gridHeight * 2; row++) {
+            const beadsInRow = this.getBeadsInRow(row);
+            for (let col = 0; col < beadsInRow; col++) {
+                beads.push({ row, col });
+            }
+        }
+        return beads;
+    }
+
+    hasBead(row, col) {
+        return row >= 0 && row <= this.gridHeight * 2 && col >= 0 && col < this.getBeadsInRow(row);
+    }
+
+    getTranslationPeriod() {
+        // Горизонтальные и вертикальные бисеринки чередуются по строкам
+        return { rows: 2, cols: 1 };
+    }
+
+    getBead(row, col) {
+        const unitRow = Math.floor(row / 2);
+
+        if (row % 2 === 0) {
+            // Горизонтальная бисеринка в середине верхнего ребра звена
+            return {
+                row,
+                col,
+                x: col * this.cellWidth + this.cellWidth / 2 + this.offsetX,
+                y: unitRow * this.cellHeight + this.offsetY,
+                width: this.cellWidth * RAW_BEAD_LENGTH_RATIO,
+                height: this.cellHeight * RAW_BEAD_THICKNESS_RATIO,
+                angle: 0
+            };
+        }
+
+        // Вертикальная бисеринка в середине левого ребра звена
+        return {
+            row,
+            col,
+            x: col * this.cellWidth + this.offsetX,
+            y: unitRow * this.cellHeight + this.cellHeight / 2 + this.offsetY,
+            width: this.cellWidth * RAW_BEAD_THICKNESS_RATIO,
+            height: this.cellHeight * RAW_BEAD_LENGTH_RATIO,
+            angle: 0
+        };
+    }
+
+    /**
+     * Возвращает бисеринки на рёбрах звена
+     * @param {number} unitRow - ряд звена
+     * @param {number} unitCol - столбец звена
+     * @returns {Array<{row: number, col: number}>}
+     */
+    getUnitBeads(unitRow, unitCol) {
+        return [
+            { row: unitRow * 2, col: unitCol },
+            { row: unitRow * 2 + 2, col: unitCol },
+            { row: unitRow * 2 + 1, col: unitCol },
+            { row: unitRow * 2 + 1, col: unitCol + 1 }
+        ];
+    }
+
+    /**
+     * Возвращает звенья, которым принадлежит ребро бисеринки
+     * @param {number} row - строка бисеринки
+     * @param {number} col - столбец бисеринки
+     * @returns {Array<{unitRow: number, unitCol: number}>}
+     */
+    getBeadUnits(row, col) {
+        const unitRow = Math.floor(row / 2);
+        const units = row % 2 === 0
+            ? [{ unitRow: unitRow - 1, unitCol: col }, { unitRow, unitCol: col }]
+            : [{ unitRow, unitCol: col - 1 }, { unitRow, unitCol: col }];
+        return units.filter(unit => unit.unitRow >= 0 && unit.unitRow < this.gridHeight &&
+            unit.unitCol >= 0 && unit.unitCol < this.gridWidth);
+    }
+
+    getRowCount() {
+        return this.gridHeight;
+    }
+
+    getRowIndex(row, col) {
+        return Math.min(Math.floor(row / 2), this.gridHeight - 1);
+    }
+
+    getRowBeads(unitRow) {
+        // Ряду звеньев принадлежат верхние горизонтальные, вертикальные и нижние горизонтальные бисеринки
+        const beads = [];
+        for (let row = unitRow * 2; row <= unitRow * 2 + 2; row++) {
+            const beadsInRow = this.getBeadsInRow(row);
+            for (let col = 0; col < beadsInRow; col++) {
+                beads.push({ row, col });
+            }
+        }
+        return beads;
+    }
+
+    getRowAt(x, y) {
+        const unitX = (x - this.offsetX) / this.cellWidth;
+        const unitRow = Math.floor((y - this.offsetY) / this.cellHeight);
+        return unitRow >= 0 && unitRow < this.gridHeight && unitX >= 0 && unitX < this.gridWidth ? unitRow : null;
+    }
+
+    hitTest(x, y) {
+        const unitX = (x - this.offsetX) / this.cellWidth;
+        const unitY = (y - this.offsetY) / this.cellHeight;
+        const unitCol = Math.floor(unitX);
+        const unitRow = Math.floor(unitY);
+        const fx = unitX - unitCol;
+        const fy = unitY - unitRow;
+
+        // Ищем ближайшее к точке ребро звена
+        const edges = [
+            { distance: fy, row: unitRow * 2, col: unitCol },               // верхнее ребро
+            { distance: 1 - fy, row: unitRow * 2 + 2, col: unitCol },       // нижнее ребро
+            { distance: fx, row: unitRow * 2 + 1, col: unitCol },           // левое ребро
+            { distance: 1 - fx, row: unitRow * 2 + 1, col: unitCol + 1 }    // правое ребро
+        ];
+        const nearest = edges.reduce((best, edge) => (edge.distance < best.distance ? edge : best));
+
+        if (nearest.distance > RAW_HIT_TOLERANCE || !this.hasBead(nearest.row, nearest.col)) {
+            return null;
+        }
+
+        return { row: nearest.row, col: nearest.col };
+    }
+
+    /**
+     * Соседями считаются бисеринки того же звена
+     */
+    getNeighbors(row, col) {
+        const neighbors = new Map();
+        this.getBeadUnits(row, col).forEach(({ unitRow, unitCol }) => {
+            this.getUnitBeads(unitRow, unitCol).forEach(bead => {
+                if ((bead.row !== row || bead.col !== col) && this.hasBead(bead.row, bead.col)) {
+                    neighbors.set(GridGeometry.key(bead.row, bead.col), bead);
+                }
+            });
+        });
+        return Array.from(neighbors.values());
+    }
+
+    getRowHighlight(unitRow) {
+        // Ряд звеньев вместе с бисеринками на его верхнем и нижнем рёбрах
+        const marginX = this.cellWidth * RAW_BEAD_THICKNESS_RATIO / 2;
+        const marginY = this.cellHeight * RAW_BEAD_THICKNESS_RATIO / 2;
+        return {
+            rects: [{
+                x: this.offsetX - marginX,
+                y: unitRow * this.cellHeight + this.offsetY - marginY,
+                width: this.gridWidth * this.cellWidth + marginX * 2,
+                height: this.cellHeight + marginY * 2
+            }]
+        };
+    }
+
+    /**
+     * Цвет считается по звеньям, а бисеринка получает преобладающий цвет своих заполненных звеньев
+     */
+    computeColors(getRegionColor) {
+        const units = [];
+        for (let unitRow = 0; unitRow < this.gridHeight; unitRow++) {
+            const rowColors = [];
+            for (let unitCol = 0; unitCol < this.gridWidth; unitCol++) {
+                rowColors.push(getRegionColor({
+                    x: (unitCol + 0.5) * this.cellWidth + this.offsetX,
+                    y: (unitRow + 0.5) * this.cellHeight + this.offsetY,
+                    width: this.cellWidth,
+                    height: this.cellHeight,
+                    angle: 0
+                }));
+            }
+            units.push(rowColors);
+        }
+
+        const colors = new Map();
+        this.getBeads().forEach(({ row, col }) => {
+            const unitColors = this.getBeadUnits(row, col).map(({ unitRow, unitCol }) => units[unitRow][unitCol]);
+            colors.set(GridGeometry.key(row, col), ColorUtils.dominant(unitColors));
+        });
+        return colors;
+    }
+}
+
+/**
+ * Радиальная сетка (круговой brick stitch для медальонов): бисеринки лежат на
+ * концентрических кольцах вокруг центра рабочей области. Кольцо k имеет радиус
+ * (k + 0.5) высоты бисеринки, а количество бисеринок в кольце - столько целых ширин
+ * бисеринки, сколько помещается по длине окружности. Бисеринки направлены шириной
+ * по касательной, нечётные кольца сдвинуты на полшага. Рядом считается кольцо
+ */
+class RadialGeometry extends GridGeometry {
+    constructor(params) {
+        super(params);
+
+        // Canvas сохраняет пропорции рабочей области, поэтому масштаб одинаков по обеим осям
+        const pxPerMM = this.canvasWidth / this.workspaceWidthMM;
+        this.centerX = this.canvasWidth / 2 + (params.gridOffsetX || 0) * pxPerMM;
+        this.centerY = this.canvasHeight / 2 + (params.gridOffsetY || 0) * pxPerMM;
+        this.beadWidthPx = this.pixelWidthMM * pxPerMM;
+        this.beadHeightPx = this.pixelHeightMM * pxPerMM;
+
+        const ringCount = Math.max(1, Math.floor(
+            Math.min(this.workspaceWidthMM, this.workspaceHeightMM) / 2 / this.pixelHeightMM
+        ));
+
+        this.rings = [];
+        for (let ring = 0; ring < ringCount; ring++) {
+            const radiusMM = (ring + 0.5) * this.pixelHeightMM;
+            const count = Math.max(1, Math.floor(2 * Math.PI * radiusMM / this.pixelWidthMM));
+            this.rings.push({
+                radius: radiusMM * pxPerMM,
+                count,
+                step: 2 * Math.PI / count,
+                shift: ring % 2 === 1 ? 0.5 : 0
+            });
+        }
+    }
+
+    /**
+     * Возвращает угол центра бисеринки на кольце (первая бисеринка сверху, далее по часовой)
+     * @param {number} ring - номер кольца
+     * @param {number} index - номер бисеринки в кольце
+     * @returns {number} угол в радианах
+     */
+    getBeadTheta(ring, index) {
+        const { step, shift } = this.rings[ring];
+        return -Math.PI / 2 + step * (index + shift);
+    }
+
+    getBeads() {
+        const beads = [];
+        this.rings.forEach((ring, row) => {
+            for (let col = 0; col < ring.count; col++) {
+                beads.push({ row, col });
+            }
+        });
+        return beads;
+    }
+
+    hasBead(row, col) {
+        return row >= 0 && row < this.rings.length && col >= 0 && col < this.rings[row].count;
+    }
+
+    getBead(row, col) {
+        const theta = this.getBeadTheta(row, col);
+        const radius = this.rings[row].radius;
+        return {
+            row,
+            col,
+            x: this.centerX + radius * Math.cos(theta),
+            y: this.centerY + radius * Math.sin(theta),
+            width: this.beadWidthPx,
+            height: this.beadHeightPx,
+            angle: theta + Math.PI / 2
+        };
+    }
+
+    getRowCount() {
+        return this.rings.length;
+    }
+
+    getRowIndex(row, col) {
+        return row;
+    }
+
+    getRowBeads(ring) {
+        const beads = [];
+        for (let col = 0; col < this.rings[ring].count; col++) {
+            beads.push({ row: ring, col });
+        }
+        return beads;
+    }
+
+    getRowAt(x, y) {
+        const bead = this.hitTest(x, y);
+        return bead ? bead.row : null;
+    }
+
+    hitTest(x, y) {
+        // Кольцо определяется по расстоянию до центра, бисеринка - по углу
+        const dx = x - this.centerX;
+        const dy = y - this.centerY;
+        const ringIndex = Math.floor(Math.sqrt(dx * dx + dy * dy) / this.beadHeightPx);
+        const ring = this.rings[ringIndex];
+        if (!ring) return null;
+
+        const angle = ((Math.atan2(dy, dx) + Math.PI / 2) % (2 * Math.PI) + 2 * Math.PI) % (2 * Math.PI);
+        const index = ((Math.round(angle / ring.step - ring.shift) % ring.count) + ring.count) % ring.count;
+
+        return { row: ringIndex, col: index };
+    }
+
+    /**
+     * Соседи: бисеринки рядом по кольцу и бисеринки соседних колец, перекрывающиеся по углу
+     */
+    getNeighbors(row, col) {
+        const neighbors = [];
+        const ring = this.rings[row];
+
+        if (ring.count > 1) {
+            neighbors.push({ row, col: (col - 1 + ring.count) % ring.count });
+            if (ring.count > 2) {
+                neighbors.push({ row, col: (col + 1) % ring.count });
+            }
+        }
+
+        const theta = this.getBeadTheta(row, col);
+        [row - 1, row + 1].forEach(neighborRow => {
+            const neighborRing = this.rings[neighborRow];
+            if (!neighborRing) return;
+
+            // Угловая ширина бисеринки - шаг её кольца
+            const reach = (ring.step + neighborRing.step) / 2;
+            for (let index = 0; index < neighborRing.count; index++) {
+                const delta = Math.abs(
+                    ((this.getBeadTheta(neighborRow, index) - theta) % (2 * Math.PI) + 3 * Math.PI) % (2 * Math.PI) - Math.PI
+                );
+                if (delta < reach) {
+                    neighbors.push({ row: neighborRow, col: index });
+                }
+            }
+        });
+
+        return neighbors;
+    }
+
+    getRowHighlight(ring) {
+        const radius = this.rings[ring].radius;
+        return {
+            ring: {
+                x: this.centerX,
+                y: this.centerY,
+                innerRadius: Math.max(0, radius - this.beadHeightPx / 2),
+                outerRadius: radius + this.beadHeightPx / 2
+            }
+        };
+    }
+}
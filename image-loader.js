@@ -0,0 +1,155 @@
+/**
+ * Модуль для загрузки растровых изображений (PNG, JPEG, WebP, BMP)
+ *
+ * Изображение декодируется один раз, а яркость, контраст и режим (цвета пикселей
+ * или порог яркости) применяются к сохранённым пикселям, поэтому настройки
+ * меняются без повторного чтения файла
+ */
+class ImageLoader {
+    /**
+     * Загружает изображение и подбирает ширину так, чтобы оно поместилось в рабочую область
+     * @param {File} file - файл изображения
+     * @param {number} maxWidthMM - ширина рабочей области в мм
+     * @param {number} maxHeightMM - высота рабочей области в мм
+     * @returns {Promise<{contour: Array, drawingFunction: Function, width: number, height: number,
+     *     source: Object, settings: Object}>}
+     *     source - пиксели изображения для createImage, settings - настройки по умолчанию
+     */
+    async loadImage(file, maxWidthMM, maxHeightMM) {
+        const source = await this.readImage(file);
+        const settings = Validator.validateImageSettings({
+            widthMM: Math.min(maxWidthMM, maxHeightMM * source.width / source.height)
+        });
+
+        return {
+            ...this.createImage(source, settings),
+            source,
+            settings
+        };
+    }
+
+    /**
+     * Декодирует изображение в пиксели RGBA
+     * @param {File} file - файл изображения
+     * @returns {Promise<{width: number, height: number, data: Uint8ClampedArray}>}
+     *     размеры в пикселях (стороны больше IMAGE_MAX_RESOLUTION уменьшаются с сохранением пропорций)
+     */
+    async readImage(file) {
+        const img = new Image();
+        const url = URL.createObjectURL(file);
+
+        try {
+            await new Promise((resolve, reject) => {
+                img.onload = () => resolve();
+                img.onerror = () => {
+                    reject(new Error('Ошибка загрузки изображения'));
+                };
+                img.src = url;
+            });
+        } finally {
+            URL.revokeObjectURL(url);
+        }
+
+        if (!img.naturalWidth || !img.naturalHeight) {
+            throw new Error('Изображение не содержит пикселей');
+        }
+
+        const ratio = Math.min(1, IMAGE_MAX_RESOLUTION / Math.max(img.naturalWidth, img.naturalHeight));
+        const width = Math.max(1, Math.round(img.naturalWidth * ratio));
+        const height = Math.max(1, Math.round(img.naturalHeight * ratio));
+
+        const tempCanvas = document.createElement('canvas');
+        const tempCtx = tempCanvas.getContext('2d');
+        tempCanvas.width = width;
+        tempCanvas.height = height;
+
+        // Пиксель-арт переносится без сглаживания, уменьшаемые фотографии - со сглаживанием
+        tempCtx.imageSmoothingEnabled = ratio < 1;
+        tempCtx.drawImage(img, 0, 0, width, height);
+
+        return {
+            width,
+            height,
+            data: tempCtx.getImageData(0, 0, width, height).data
+        };
+    }
+
+    /**
+     * Создаёт рисунок по пикселям изображения и его настройкам
+     * @param {{width: number, height: number, data: Uint8ClampedArray}} source - пиксели из readImage
+     * @param {{widthMM: number, mode: string, brightness: number, contrast: number, threshold: number}} settings
+     *     - настройки изображения
+     * @returns {{contour: Array, drawingFunction: Function, width: number, height: number}}
+     *     width и height - размеры в мм (высота по пропорциям изображения)
+     */
+    createImage(source, settings) {
+        const colors = this.processPixels(source, settings);
+
+        const drawingFunction = (normalizedX, normalizedY) => {
+            const x = Math.floor(normalizedX * source.width);
+            const y = Math.floor(normalizedY * source.height);
+
+            if (x < 0 || x >= source.width || y < 0 || y >= source.height) {
+                return null;
+            }
+
+            const color = colors[y * source.width + x];
+            return color < 0 ? null : ColorUtils.rgbToHex((color >> 16) & 255, (color >> 8) & 255, color & 255);
+        };
+
+        return {
+            // Контур - рамка изображения
+            contour: [
+                { x: 0, y: 0 },
+                { x: 1, y: 0 },
+                { x: 1, y: 1 },
+                { x: 0, y: 1 }
+            ],
+            drawingFunction,
+            width: settings.widthMM,
+            height: settings.widthMM * source.height / source.width
+        };
+    }
+
+    /**
+     * Применяет яркость, контраст и режим к пикселям изображения
+     * @param {{width: number, height: number, data: Uint8ClampedArray}} source - пиксели из readImage
+     * @param {Object} settings - настройки изображения
+     * @returns {Int32Array} цвет 0xRRGGBB каждого пикселя или -1 для фона
+     */
+    processPixels(source, settings) {
+        // Контраст растягивает значения от середины диапазона, яркость сдвигает их
+        const contrast = settings.contrast * 2.55;
+        const factor = (259 * (contrast + 255)) / (255 * (259 - contrast));
+        const brightness = settings.brightness * 2.55;
+        const levels = new Uint8ClampedArray(256);
+        for (let value = 0; value < 256; value++) {
+            levels[value] = factor * (value - 128) + 128 + brightness;
+        }
+
+        const { data } = source;
+        const colors = new Int32Array(source.width * source.height);
+        const beadColor = parseInt(DEFAULT_BEAD_COLOR.slice(1), 16);
+
+        for (let i = 0; i < colors.length; i++) {
+            const r = levels[data[i * 4]];
+            const g = levels[data[i * 4 + 1]];
+            const b = levels[data[i * 4 + 2]];
+            const a = data[i * 4 + 3];
+
+            if (settings.mode === 'threshold') {
+                // Тёмные пиксели дают бисеринки цвета по умолчанию, светлые и прозрачные - фон
+                const luminance = 0.299 * r + 0.587 * g + 0.114 * b;
+                colors[i] = a >= BACKGROUND_ALPHA_THRESHOLD && luminance < settings.threshold
+                    ? beadColor
+                    : -1;
+            } else {
+                // Фоном считаются только прозрачные пиксели: белые и светлые области
+                // фотографий и пиксель-арта - часть рисунка
+                colors[i] = a < BACKGROUND_ALPHA_THRESHOLD ? -1 : (r << 16) | (g << 8) | b;
+            }
+        }
+
+        return colors;
+    }
+}
@@ -18,8 +18,24 @@ class BeadingStudio {
         this.pixelWidthMM = DEFAULT_PIXEL_WIDTH_MM;
         this.pixelHeightMM = DEFAULT_PIXEL_HEIGHT_MM;
 
-        // Тип сетки ('peyote', 'brick')
-        this.gridType = 'peyote';
+        // Профиль бисера, по которому заданы размеры (null - свой размер),
+        // и форма бисеринки (null - форма по типу сетки)
+        this.beadProfile = null;
+        this.beadShape = null;
+
+        // Тип сетки ('square', 'peyote', 'tubular', 'brick', 'herringbone', 'raw', 'radial')
+        this.gridType = DEFAULT_GRID_TYPE;
+
+        // Количество бисеринок в стежке peyote (1 - обычный, 2 и 3 - two-drop и three-drop)
+        this.peyoteDrops = DEFAULT_PEYOTE_DROPS;
+
+        // Чётный или нечётный счёт peyote и сторона, с которой начинаются верхние бисеринки
+        this.peyoteCount = DEFAULT_PEYOTE_COUNT;
+        this.peyoteStartSide = DEFAULT_PEYOTE_START_SIDE;
+
+        // Предпросмотр трубчатого peyote на цилиндре
+        this.cylinderCanvas = document.getElementById('cylinderPreview');
+        this.cylinderRotation = DEFAULT_CYLINDER_ROTATION_DEG;
 
         // Смещение сетки в мм
         this.gridOffsetX = 0;
@@ -28,11 +44,23 @@ class BeadingStudio {
         // Масштаб для SVG файлов
         this.scale = 1.0;
 
+        // Ограничение палитры: количество цветов (0 - без ограничения) и способ дизеринга
+        this.paletteSize = DEFAULT_PALETTE_SIZE;
+        this.ditherMode = DEFAULT_DITHER_MODE;
+
+        // Подбор бисера по каталогу производителя ('' - без подбора, 'all' - все каталоги)
+        // и покрытие, которым ограничивается подбор ('all' - любое)
+        this.beadCatalog = DEFAULT_BEAD_CATALOG;
+        this.beadFinish = DEFAULT_BEAD_FINISH;
+
+        // Добавлять ли запас к количеству бисера в легенде и списке покупок
+        this.legendSpare = false;
+
         // Порог заполнения бисеринки (0.0 - 1.0)
         // При инвертированной UI логике: 0.25 внутри = 75% в UI
         this.fillThreshold = DEFAULT_FILL_THRESHOLD;
 
-        this.fileType = null; // 'svg' или 'dxf'
+        this.fileType = null; // 'svg', 'dxf' или 'image' (растровое изображение)
         this.hasLoadedFile = false;
 
         // Размеры загруженного файла в мм (с учётом масштаба для SVG)
@@ -46,14 +74,54 @@ class BeadingStudio {
         // Имя загруженного файла
         this.loadedFileName = null;
 
-        // Исходные данные
+        // Исходные данные (контур - массив точек, у DXF - массив контуров)
         this.originalContour = null;
         this.originalDrawingFunction = null;
         this.contour = null;
         this.originalDrawing = null;
 
+        // Слои DXF: список слоёв файла, их растры и настройки (видимость и цвет бисеринок слоя)
+        this.dxfLayers = [];
+        this.dxfRaster = null;
+        this.dxfLayerSettings = {};
+        // Единицы чертежа DXF: выбранные пользователем и определённые по файлу (ключи DXF_UNITS),
+        // а также размеры чертежа в его единицах
+        this.dxfUnits = null;
+        this.dxfFileUnits = null;
+        this.dxfDrawingSize = null;
+
+        // Растровое изображение: пиксели файла и настройки (ширина, режим, яркость, контраст, порог)
+        this.imageSource = null;
+        this.imageSettings = null;
+
+        // Ручные правки бисеринок поверх рисунка: цвет '#rrggbb' или null (очищенная бисеринка)
+        // по ключу GridGeometry.key(row, col). Применяются заново при любых изменениях настроек
+        this.beadOverrides = new Map();
+
+        // Инструмент редактирования, цвет кисти и признак рисования с зажатой кнопкой мыши
+        this.editTool = DEFAULT_EDIT_TOOL;
+        this.paintColor = DEFAULT_BEAD_COLOR;
+        this.isPainting = false;
+
+        // Выделение: ключи выделенных бисеринок, рамка или лассо, которые сейчас тянутся,
+        // скопированный блок бисеринок и бисеринка под курсором (место вставки)
+        this.selection = new Set();
+        this.selectionPath = null;
+        this.clipboard = null;
+        this.pointerBead = null;
+
+        // Геометрия сетки и цвета бисеринок последней отрисовки
+        // (общие для отрисовки, наведения и статистики)
+        this.geometry = null;
+        this.pattern = null;
+
+        // Цвета бисеринок после сведения палитры (до ручных правок) и параметры, по которым
+        // они вычислены: сэмплирование и сведение палитры повторяются только при их изменении
+        this.baseColors = null;
+        this.baseColorsInputs = null;
+
         // Состояние для оверлея рядов
-        this.hoveredRow = null; // Для peyote - номер столбца, для brick - номер строки
+        this.hoveredRow = null; // Для peyote - номер столбца стежков, для brick и square - номер строки, для herringbone - номер пары столбцов, для raw - номер ряда звеньев
         this.hoveredBead = null; // Конкретная бисеринка { row, col, isFilled }
         this.mouseX = null;
         this.mouseY = null;
@@ -63,12 +131,16 @@ class BeadingStudio {
 
         // Данные загруженного файла для сохранения проекта
         this.loadedFileData = null; // base64 строка файла
-        this.loadedFileExtension = null; // 'svg' или 'dxf'
+        this.loadedFileExtension = null; // 'svg', 'dxf' или расширение изображения
 
         // Инициализация модулей
         this.renderer = new CanvasRenderer(this.ctx);
         this.svgLoader = new SVGLoader();
+        this.imageLoader = new ImageLoader();
         this.dxfLoader = new DXFLoader();
+        this.beadProfiles = new BeadProfileLibrary();
+        this.beadCatalogs = new BeadCatalogLibrary();
+        this.history = new EditHistory();
 
         // Создание исходного рисунка (инвариантное хранение)
         this.createOriginalDrawing();
@@ -77,18 +149,45 @@ class BeadingStudio {
         this.uiController = new UIController({
             onPixelWidthChange: (value) => this.handlePixelWidthChange(value),
             onPixelHeightChange: (value) => this.handlePixelHeightChange(value),
+            onBeadProfileChange: (name) => this.handleBeadProfileChange(name),
+            onBeadShapeChange: (shape) => this.handleBeadShapeChange(shape),
+            onSaveBeadProfile: (name) => this.handleSaveBeadProfile(name),
+            onDeleteBeadProfile: (name) => this.handleDeleteBeadProfile(name),
             onWorkspaceWidthChange: (value) => this.handleWorkspaceWidthChange(value),
             onWorkspaceHeightChange: (value) => this.handleWorkspaceHeightChange(value),
             onScaleChange: (value) => this.handleScaleChange(value),
             onFileUpload: (file, extension) => this.handleFileUpload(file, extension),
+            onDxfLayerChange: (name, changes) => this.handleDxfLayerChange(name, changes),
+            onDxfUnitsChange: (units) => this.handleDxfUnitsChange(units),
+            onImageSettingsChange: (changes) => this.handleImageSettingsChange(changes),
             onGridTypeChange: (type) => this.handleGridTypeChange(type),
+            onPeyoteDropsChange: (drops) => this.handlePeyoteDropsChange(drops),
+            onPeyoteCountChange: (count) => this.handlePeyoteCountChange(count),
+            onPeyoteStartSideChange: (side) => this.handlePeyoteStartSideChange(side),
+            onCylinderRotationChange: (value) => this.handleCylinderRotationChange(value),
             onGridOffsetXChange: (value) => this.handleGridOffsetXChange(value),
             onGridOffsetYChange: (value) => this.handleGridOffsetYChange(value),
             onFillThresholdChange: (value) => this.handleFillThresholdChange(value),
+            onPaletteSizeChange: (value) => this.handlePaletteSizeChange(value),
+            onDitherModeChange: (mode) => this.handleDitherModeChange(mode),
+            onBeadCatalogChange: (catalogId) => this.handleBeadCatalogChange(catalogId),
+            onBeadFinishChange: (finish) => this.handleBeadFinishChange(finish),
+            onLegendSpareChange: (enabled) => this.handleLegendSpareChange(enabled),
+            onExportShoppingList: () => this.handleExportShoppingList(),
+            onEditToolChange: (tool) => this.handleEditToolChange(tool),
+            onPaintColorChange: (color) => this.handlePaintColorChange(color),
+            onNewPattern: () => this.handleNewPattern(),
+            onClearOverrides: () => this.handleClearOverrides(),
+            onSelectionAction: (action) => this.handleSelectionAction(action),
+            onUndo: () => this.handleUndo(),
+            onRedo: () => this.handleRedo(),
+            onHistoryJump: (index) => this.handleHistoryJump(index),
             onSaveProject: () => this.saveProject(),
             onLoadProject: (file) => this.loadProject(file),
             onUpdateUI: () => this.updateUI()
         });
+        this.uiController.setBeadProfiles(this.beadProfiles.getAll(), this.beadProfile);
+        this.loadBeadCatalogs();
 
         // Настройка canvas
         this.setupCanvas();
@@ -106,18 +205,36 @@ class BeadingStudio {
         this.canvas.addEventListener('mousemove', (e) => this.handleMouseMove(e));
         this.canvas.addEventListener('mouseleave', () => this.handleMouseLeave());
 
+        // Рисование по бисеринкам: начинается на canvas, заканчивается при отпускании кнопки где угодно
+        this.canvas.addEventListener('mousedown', (e) => this.handleMouseDown(e));
+        window.addEventListener('mouseup', () => this.handleMouseUp());
+
         // Обработчики горячих клавиш
         document.addEventListener('keydown', (e) => this.handleKeyDown(e));
 
         // Первая отрисовка
         this.render();
 
+        // Начальное состояние - первый шаг истории
+        this.resetHistory('Начало');
+
         // Автозагрузка файла по умолчанию (с небольшой задержкой для полной инициализации)
         setTimeout(() => {
             this.loadDefaultFile();
         }, 100);
     }
 
+    /**
+     * Загружает каталоги бисера и перестраивает схему, если подбор по каталогу уже выбран
+     */
+    async loadBeadCatalogs() {
+        const catalogs = await this.beadCatalogs.load();
+        this.uiController.setBeadCatalogs(catalogs, this.beadCatalog);
+        if (this.beadCatalog) {
+            this.render();
+        }
+    }
+
     /**
      * Загружает файл по умолчанию при старте приложения
      */
@@ -141,6 +258,8 @@ class BeadingStudio {
 
             const file = new File([blob], 'Sketch_base.dxf', { type: 'application/dxf' });
             await this.handleFileUpload(file, 'dxf');
+            // Файл по умолчанию не отменяется: с него история начинается
+            this.resetHistory('Начало');
             this.isAutoLoading = false;
         } catch (error) {
             console.error('Ошибка при загрузке файла по умолчанию:', error);
@@ -156,68 +275,33 @@ class BeadingStudio {
         this.mouseX = x;
         this.mouseY = y;
 
-        // Определяем, в какой ряд попала мышь
-        const gridWidth = Math.max(1, Math.floor(this.workspaceWidthMM / this.pixelWidthMM));
-        const gridHeight = Math.max(1, Math.floor(this.workspaceHeightMM / this.pixelHeightMM));
-
-        const canvasWidth = this.currentCanvasWidth || this.canvas.width;
-        const canvasHeight = this.currentCanvasHeight || this.canvas.height;
-
-        const pixelWidthPx = canvasWidth / gridWidth;
-        const pixelHeightPx = canvasHeight / gridHeight;
-
-        // Преобразуем смещение из мм в пиксели
-        const gridOffsetPxX = (this.gridOffsetX / this.workspaceWidthMM) * canvasWidth;
-        const gridOffsetPxY = (this.gridOffsetY / this.workspaceHeightMM) * canvasHeight;
-
-        let rowIndex = null;
-        let beadRow = null;
-        let beadCol = null;
-
-        if (this.gridType === 'peyote') {
-            // Для peyote определяем столбец (вертикальный ряд)
-            const adjustedX = x - gridOffsetPxX;
-            const col = Math.floor(adjustedX / pixelWidthPx);
-
-            // Учитываем смещение peyote для определения строки
-            const offsetPxY = (col % 2 === 1) ? pixelHeightPx / 2 : 0;
-            const adjustedY = y - gridOffsetPxY - offsetPxY;
-            const row = Math.floor(adjustedY / pixelHeightPx);
-
-            if (col >= 0 && col < gridWidth) {
-                rowIndex = col;
-                beadCol = col;
-                if (row >= 0 && row < gridHeight) {
-                    beadRow = row;
-                }
-            }
-        } else if (this.gridType === 'brick') {
-            // Для brick определяем строку (горизонтальный ряд)
-            const adjustedY = y - gridOffsetPxY;
-            const row = Math.floor(adjustedY / pixelHeightPx);
-
-            // Учитываем смещение brick для определения столбца
-            const offsetPxX = (row % 2 === 1) ? pixelWidthPx / 2 : 0;
-            const adjustedX = x - gridOffsetPxX - offsetPxX;
-            const col = Math.floor(adjustedX / pixelWidthPx);
-
-            if (row >= 0 && row < gridHeight) {
-                rowIndex = row;
-                beadRow = row;
-                if (col >= 0 && col < gridWidth) {
-                    beadCol = col;
-                }
+        if (this.isPainting) {
+            this.paintAt(x, y);
+        }
+        if (this.selectionPath) {
+            // Рамка задаётся двумя углами, лассо - всеми точками пути
+            if (this.selectionPath.shape === 'rect') {
+                this.selectionPath.points = [this.selectionPath.points[0], { x, y }];
+            } else {
+                this.selectionPath.points.push({ x, y });
             }
+            this.renderHighlights();
         }
 
+        // Ряд и бисеринку под курсором определяет геометрия сетки - та же, по которой идёт отрисовка
+        const geometry = this.getGeometry();
+        const rowIndex = geometry.getRowAt(x, y);
+        const bead = geometry.hitTest(x, y);
+        this.pointerBead = bead;
+
         // Определяем, заполнена ли бисеринка
         // Показываем выделение только для заполненных бисеринок
         let newHoveredBead = null;
-        if (beadRow !== null && beadCol !== null) {
-            const isFilled = this.isBeadFilled(beadRow, beadCol);
+        if (bead) {
+            const isFilled = this.isBeadFilled(bead.row, bead.col);
             // Устанавливаем hoveredBead только если бисеринка заполнена
             if (isFilled) {
-                newHoveredBead = { row: beadRow, col: beadCol, isFilled: true };
+                newHoveredBead = { row: bead.row, col: bead.col, isFilled: true };
             }
         }
 
@@ -230,29 +314,285 @@ class BeadingStudio {
         if (this.hoveredRow !== rowIndex || beadChanged) {
             this.hoveredRow = rowIndex;
             this.hoveredBead = newHoveredBead;
-            this.render();
+            this.renderHighlights();
         }
         this.updateRowOverlayInfo();
     }
 
+    handleMouseDown(e) {
+        if (this.editTool === 'view' || e.button !== 0) return;
+
+        e.preventDefault();
+        const rect = this.canvas.getBoundingClientRect();
+        const x = e.clientX - rect.left;
+        const y = e.clientY - rect.top;
+
+        if (this.editTool === 'select' || this.editTool === 'lasso') {
+            this.selectionPath = { shape: this.editTool === 'select' ? 'rect' : 'lasso', points: [{ x, y }] };
+            this.setSelection(new Set());
+            return;
+        }
+        if (this.editTool === 'fill') {
+            this.fillAt(x, y);
+            return;
+        }
+
+        this.isPainting = true;
+        this.paintAt(x, y);
+    }
+
+    handleMouseUp() {
+        if (this.isPainting) {
+            // Весь мазок с зажатой кнопкой мыши - один шаг истории
+            this.isPainting = false;
+            const labels = { paint: 'Кисть', erase: 'Ластик', restore: 'Возврат цвета' };
+            this.recordHistory(labels[this.editTool]);
+        }
+
+        if (this.selectionPath) {
+            const { shape, points } = this.selectionPath;
+            this.selectionPath = null;
+            const geometry = this.getGeometry();
+            this.setSelection(shape === 'rect'
+                ? BeadEditor.selectRect(geometry, points[0], points[points.length - 1])
+                : BeadEditor.selectLasso(geometry, points));
+        }
+    }
+
     /**
-     * Проверяет, заполнена ли бисеринка по её координатам в сетке
+     * Применяет текущий инструмент к бисеринке под точкой canvas
+     * @param {number} x - координата X на canvas
+     * @param {number} y - координата Y на canvas
      */
-    isBeadFilled(row, col) {
-        if (!this.originalDrawing) return false;
+    paintAt(x, y) {
+        const bead = this.getGeometry().hitTest(x, y);
+        if (bead && this.applyBeadEdit(bead.row, bead.col)) {
+            this.render();
+        }
+    }
+
+    /**
+     * Заливает цветом кисти связную область одного цвета, начиная с бисеринки под точкой canvas
+     * @param {number} x - координата X на canvas
+     * @param {number} y - координата Y на canvas
+     */
+    fillAt(x, y) {
+        const bead = this.getGeometry().hitTest(x, y);
+        if (!bead) return;
+
+        const region = BeadEditor.floodFill(this.getPattern(), this.getGeometry(), bead);
+        region.forEach(({ row, col }) => this.beadOverrides.set(GridGeometry.key(row, col), this.paintColor));
+        this.render();
+        this.recordHistory('Заливка');
+    }
+
+    /**
+     * Записывает изменения цветов бисеринок в ручные правки
+     * @param {Map<string, string|null>} changes - цвет или null по ключу бисеринки
+     */
+    applyBeadChanges(changes) {
+        changes.forEach((color, key) => this.beadOverrides.set(key, color));
+    }
+
+    /**
+     * Устанавливает выделение и обновляет доступность действий с ним
+     * @param {Set<string>} selection - ключи выделенных бисеринок
+     */
+    setSelection(selection) {
+        this.selection = selection;
+        this.uiController.setSelectionActionsEnabled(this.selection.size > 0, Boolean(this.clipboard));
+        this.renderHighlights();
+    }
+
+    /**
+     * Применяет текущий инструмент к бисеринке
+     * @param {number} row - строка бисеринки
+     * @param {number} col - столбец бисеринки
+     * @returns {boolean} true если правки изменились
+     */
+    applyBeadEdit(row, col) {
+        const key = GridGeometry.key(row, col);
+        const hadOverride = this.beadOverrides.has(key);
+        const previous = this.beadOverrides.get(key);
+
+        switch (this.editTool) {
+            case 'paint':
+                this.beadOverrides.set(key, this.paintColor);
+                return !hadOverride || previous !== this.paintColor;
+            case 'erase':
+                this.beadOverrides.set(key, null);
+                return !hadOverride || previous !== null;
+            case 'restore':
+                return this.beadOverrides.delete(key);
+            default:
+                return false;
+        }
+    }
+
+    /**
+     * Накладывает ручные правки на цвета бисеринок (правки для бисеринок,
+     * которых нет в текущей сетке, сохраняются, но не применяются)
+     * @param {Map<string, string|null>} pattern - цвета бисеринок
+     * @returns {Map<string, string|null>}
+     */
+    applyBeadOverrides(pattern) {
+        if (this.beadOverrides.size === 0) return pattern;
+
+        const result = new Map(pattern);
+        this.beadOverrides.forEach((color, key) => {
+            if (result.has(key)) {
+                result.set(key, color);
+            }
+        });
+        return result;
+    }
+
+    /**
+     * Подсчитывает ручные правки, попадающие в текущую сетку
+     * @returns {number} количество изменённых бисеринок
+     */
+    countEditedBeads() {
+        let count = 0;
+        const pattern = this.getPattern();
+        this.beadOverrides.forEach((color, key) => {
+            if (pattern.has(key)) {
+                count++;
+            }
+        });
+        return count;
+    }
+
+    /**
+     * Создаёт геометрию сетки для текущих настроек
+     * @returns {GridGeometry}
+     */
+    createGeometry() {
+        return GridGeometry.create(this.gridType, this.getGeometryOptions());
+    }
+
+    /**
+     * Возвращает параметры геометрии сетки по текущим настройкам
+     * @returns {Object} параметры для GridGeometry.create
+     */
+    getGeometryOptions() {
+        return {
+            canvasWidth: this.currentCanvasWidth || this.canvas.width,
+            canvasHeight: this.currentCanvasHeight || this.canvas.height,
+            workspaceWidthMM: this.workspaceWidthMM,
+            workspaceHeightMM: this.workspaceHeightMM,
+            pixelWidthMM: this.pixelWidthMM,
+            pixelHeightMM: this.pixelHeightMM,
+            gridOffsetX: this.gridOffsetX,
+            gridOffsetY: this.gridOffsetY,
+            peyoteDrops: this.peyoteDrops,
+            peyoteCount: this.peyoteCount,
+            peyoteStartSide: this.peyoteStartSide
+        };
+    }
+
+    /**
+     * Возвращает геометрию сетки, по которой была выполнена последняя отрисовка
+     * @returns {GridGeometry}
+     */
+    getGeometry() {
+        if (!this.geometry) {
+            this.geometry = this.createGeometry();
+        }
+        return this.geometry;
+    }
+
+    /**
+     * Возвращает цвета бисеринок, по которым была выполнена последняя отрисовка
+     * @returns {Map<string, string|null>} цвет '#rrggbb' или null для пустой бисеринки по ключу GridGeometry.key(row, col)
+     */
+    getPattern() {
+        if (!this.pattern) {
+            this.pattern = this.computePattern(this.getGeometry());
+        }
+        return this.pattern;
+    }
+
+    /**
+     * Вычисляет цвета всех бисеринок сетки по исходному рисунку
+     * @param {GridGeometry} geometry - геометрия сетки
+     * @returns {Map<string, string|null>} цвет '#rrggbb' или null для пустой бисеринки по ключу GridGeometry.key(row, col)
+     */
+    computePattern(geometry) {
+        if (!this.originalDrawing) return new Map();
+
+        // Ручные правки накладываются поверх вычисленных цветов, после чего
+        // все цвета заменяются ближайшим бисером каталога
+        const edited = this.applyBeadOverrides(this.getBaseColors(geometry));
+        return this.beadCatalog
+            ? this.beadCatalogs.matchPattern(edited, this.getCatalogFilter())
+            : edited;
+    }
 
-        const gridWidth = Math.max(1, Math.floor(this.workspaceWidthMM / this.pixelWidthMM));
-        const gridHeight = Math.max(1, Math.floor(this.workspaceHeightMM / this.pixelHeightMM));
+    /**
+     * Возвращает цвета бисеринок по исходному рисунку после сведения палитры.
+     * Пересчитываются, только если изменились рисунок, сетка, размеры файла, порог заполнения или палитра
+     * @param {GridGeometry} geometry - геометрия сетки
+     * @returns {Map<string, string|null>} цвет '#rrggbb' или null для пустой бисеринки по ключу GridGeometry.key(row, col)
+     */
+    getBaseColors(geometry) {
+        const inputs = [
+            this.originalDrawing, this.gridType, ...Object.values(this.getGeometryOptions()),
+            this.hasLoadedFile, this.fileWidthMM, this.fileHeightMM,
+            this.fillThreshold, this.paletteSize, this.ditherMode
+        ];
+        const isCached = this.baseColors && inputs.every((value, i) => value === this.baseColorsInputs[i]);
+        if (!isCached) {
+            this.baseColors = this.computeBaseColors(geometry);
+            this.baseColorsInputs = inputs;
+            // Подбор бисера по каталогу запоминается только для цветов текущей схемы
+            this.beadCatalogs.clearMatchCache();
+        }
+        return this.baseColors;
+    }
 
-        const canvasWidth = this.currentCanvasWidth || this.canvas.width;
-        const canvasHeight = this.currentCanvasHeight || this.canvas.height;
+    /**
+     * Вычисляет цвета бисеринок по исходному рисунку и сводит их к палитре
+     * @param {GridGeometry} geometry - геометрия сетки
+     * @returns {Map<string, string|null>} цвет '#rrggbb' или null для пустой бисеринки по ключу GridGeometry.key(row, col)
+     */
+    computeBaseColors(geometry) {
+        const mapping = this.getFileMapping(geometry);
+
+        const pattern = geometry.computeColors(region => {
+            const { fillPercentage, color } = this.calculateBeadFillPercentage(region, mapping);
+
+            // Бисеринка считается заполненной, если процент заполнения >= порога
+            // Для порога 0 требуется fillPercentage > 0 (хотя бы частичное заполнение)
+            const isFilled = this.fillThreshold === 0
+                ? fillPercentage > 0
+                : fillPercentage >= this.fillThreshold;
+            return isFilled ? color : null;
+        });
 
-        const pixelWidthPx = canvasWidth / gridWidth;
-        const pixelHeightPx = canvasHeight / gridHeight;
+        // Палитра сводится к заданному количеству цветов уже по цветам бисеринок
+        return this.paletteSize > 0
+            ? PaletteReducer.reduce(pattern, geometry, {
+                paletteSize: this.paletteSize,
+                ditherMode: this.ditherMode
+            })
+            : pattern;
+    }
 
-        const gridOffsetPxX = (this.gridOffsetX / this.workspaceWidthMM) * canvasWidth;
-        const gridOffsetPxY = (this.gridOffsetY / this.workspaceHeightMM) * canvasHeight;
+    /**
+     * Возвращает фильтр подбора бисера по каталогу
+     * @returns {{catalogId: string, finish: string}}
+     */
+    getCatalogFilter() {
+        return { catalogId: this.beadCatalog, finish: this.beadFinish };
+    }
 
+    /**
+     * Вычисляет преобразование координат canvas в координаты файла
+     * @param {GridGeometry} geometry - геометрия сетки
+     * @returns {{canvasWidth: number, canvasHeight: number, scaleX: number, scaleY: number,
+     *     offsetX: number, offsetY: number, wrapX: boolean}}
+     */
+    getFileMapping(geometry) {
         // Вычисляем масштаб для файла
         let scaleX = 1.0;
         let scaleY = 1.0;
@@ -260,37 +600,62 @@ class BeadingStudio {
         let offsetY = 0.0;
 
         if (this.hasLoadedFile && this.fileWidthMM && this.fileHeightMM) {
+            // Масштаб: размер файла относительно рабочей области
             scaleX = this.fileWidthMM / this.workspaceWidthMM;
             scaleY = this.fileHeightMM / this.workspaceHeightMM;
+            // Центрируем файл в рабочей области
             offsetX = (1.0 - scaleX) / 2.0;
             offsetY = (1.0 - scaleY) / 2.0;
         }
 
-        // Вычисляем позицию бисеринки с учётом смещения сетки
-        let x, y;
-        if (this.gridType === 'peyote') {
-            const offsetPxY = (col % 2 === 1) ? pixelHeightPx / 2 : 0;
-            x = col * pixelWidthPx + gridOffsetPxX;
-            y = row * pixelHeightPx + offsetPxY + gridOffsetPxY;
-        } else {
-            const offsetPxX = (row % 2 === 1) ? pixelWidthPx / 2 : 0;
-            x = col * pixelWidthPx + offsetPxX + gridOffsetPxX;
-            y = row * pixelHeightPx + gridOffsetPxY;
-        }
+        return {
+            canvasWidth: geometry.canvasWidth,
+            canvasHeight: geometry.canvasHeight,
+            scaleX,
+            scaleY,
+            offsetX,
+            offsetY,
+            wrapX: geometry.wrapsX
+        };
+    }
 
-        const fillPercentage = this.calculateBeadFillPercentage(
-            x, y, pixelWidthPx, pixelHeightPx, canvasWidth, canvasHeight, scaleX, scaleY, offsetX, offsetY
-        );
+    /**
+     * Возвращает цвет бисеринки по её координатам в сетке
+     * @param {number} row - строка бисеринки
+     * @param {number} col - столбец бисеринки
+     * @returns {string|null} цвет '#rrggbb' или null для пустой бисеринки
+     */
+    getBeadColor(row, col) {
+        if (!this.originalDrawing) return null;
+        return this.getPattern().get(GridGeometry.key(row, col)) || null;
+    }
+
+    /**
+     * Возвращает бисер каталога, подобранный для бисеринки
+     * @param {number} row - строка бисеринки
+     * @param {number} col - столбец бисеринки
+     * @returns {Object|null} цвет каталога { code, name, finish, hex, catalogName } или null
+     */
+    getBeadCatalogEntry(row, col) {
+        const color = this.getBeadColor(row, col);
+        if (!color || !this.beadCatalog) return null;
+        return this.beadCatalogs.findByColor(color, this.getCatalogFilter());
+    }
 
-        return this.fillThreshold === 0 ? fillPercentage > 0 : fillPercentage >= this.fillThreshold;
+    /**
+     * Проверяет, заполнена ли бисеринка по её координатам в сетке
+     */
+    isBeadFilled(row, col) {
+        return this.getBeadColor(row, col) !== null;
     }
 
     handleMouseLeave() {
         this.hoveredRow = null;
         this.hoveredBead = null;
+        this.pointerBead = null;
         this.mouseX = null;
         this.mouseY = null;
-        this.render();
+        this.renderHighlights();
         this.hideRowOverlayInfo();
     }
 
@@ -318,36 +683,95 @@ class BeadingStudio {
             }
             return;
         }
+
+        // Ctrl+Z - отменить, Ctrl+Shift+Z / Ctrl+Y - повторить. В текстовых полях
+        // работает отмена ввода браузера, но не после ползунков и переключателей
+        const isTextField = e.target.tagName === 'TEXTAREA' ||
+            (e.target.tagName === 'INPUT' && ['text', 'number'].includes(e.target.type));
+        if (ctrlKey && !isTextField && (e.code === 'KeyZ' || e.code === 'KeyY')) {
+            e.preventDefault();
+            if (e.code === 'KeyY' || e.shiftKey) {
+                this.handleRedo();
+            } else {
+                this.handleUndo();
+            }
+            return;
+        }
+
+        // Остальные клавиши не перехватываются при вводе в полях формы.
+        // Проверяем код клавиши, чтобы сочетания работали и в русской раскладке
+        if (['INPUT', 'SELECT', 'TEXTAREA'].includes(e.target.tagName)) {
+            return;
+        }
+
+        // Ctrl+C / Ctrl+X / Ctrl+V - копировать, вырезать и вставить выделение
+        const selectionActions = { KeyC: 'copy', KeyX: 'cut', KeyV: 'paste' };
+        if (ctrlKey && selectionActions[e.code]) {
+            e.preventDefault();
+            this.handleSelectionAction(selectionActions[e.code]);
+            return;
+        }
+        if (ctrlKey) {
+            return;
+        }
+
+        // Delete / Backspace - очистить выделенные бисеринки
+        if (e.code === 'Delete' || e.code === 'Backspace') {
+            e.preventDefault();
+            this.handleSelectionAction('delete');
+            return;
+        }
+
+        // Escape - снять выделение и вернуться к просмотру
+        if (e.code === 'Escape') {
+            this.setSelection(new Set());
+        }
+
+        // Инструменты: B - кисть, E - ластик, G - заливка, M - рамка, L - лассо, Escape - просмотр
+        const tools = { KeyB: 'paint', KeyE: 'erase', KeyG: 'fill', KeyM: 'select', KeyL: 'lasso', Escape: 'view' };
+        const tool = tools[e.code];
+        if (tool) {
+            this.handleEditToolChange(tool);
+            this.uiController.setActiveEditTool(this.editTool);
+        }
     }
 
     /**
-     * Вычисляет процент заполнения бисеринки фигурой
-     * @param {number} x - координата X бисеринки в пикселях
-     * @param {number} y - координата Y бисеринки в пикселях
-     * @param {number} pixelWidthPx - ширина бисеринки в пикселях
-     * @param {number} pixelHeightPx - высота бисеринки в пикселях
-     * @param {number} canvasWidth - ширина canvas
-     * @param {number} canvasHeight - высота canvas
-     * @param {number} scaleX - масштаб по X
-     * @param {number} scaleY - масштаб по Y
-     * @param {number} offsetX - смещение по X
-     * @param {number} offsetY - смещение по Y
-     * @returns {number} процент заполнения от 0 до 1
+     * Вычисляет процент заполнения бисеринки фигурой и её цвет - преобладающий цвет
+     * среди точек сэмплирования
+     * @param {{x: number, y: number, width: number, height: number, angle: number}} region - тело бисеринки
+     *     (центр, размеры и угол наклона вокруг центра в пикселях canvas)
+     * @param {Object} mapping - преобразование координат canvas в координаты файла (см. getFileMapping)
+     * @returns {{fillPercentage: number, color: string|null}} процент заполнения от 0 до 1 и цвет '#rrggbb'
      */
-    calculateBeadFillPercentage(x, y, pixelWidthPx, pixelHeightPx, canvasWidth, canvasHeight, scaleX, scaleY, offsetX, offsetY) {
+    calculateBeadFillPercentage(region, mapping) {
+        const { canvasWidth, canvasHeight, scaleX, scaleY, offsetX, offsetY, wrapX } = mapping;
         const sampleGridSize = SAMPLE_GRID_SIZE;
+        const sampleColors = [];
         let filledPoints = 0;
         let totalPoints = 0;
 
+        const cos = Math.cos(region.angle);
+        const sin = Math.sin(region.angle);
+
         for (let sy = 0; sy < sampleGridSize; sy++) {
             for (let sx = 0; sx < sampleGridSize; sx++) {
                 // Координаты точки внутри бисеринки (от 0.05 до 0.95, чтобы не попадать на границы)
                 const offsetX_local = 0.05 + (sx / (sampleGridSize - 1)) * 0.9;
                 const offsetY_local = 0.05 + (sy / (sampleGridSize - 1)) * 0.9;
 
+                // Точка относительно центра бисеринки с учётом наклона
+                const localX = region.width * (offsetX_local - 0.5);
+                const localY = region.height * (offsetY_local - 0.5);
+
                 // Нормализованные координаты точки относительно рабочей области
-                const workspaceX = (x + pixelWidthPx * offsetX_local) / canvasWidth;
-                const workspaceY = (y + pixelHeightPx * offsetY_local) / canvasHeight;
+                let workspaceX = (region.x + localX * cos - localY * sin) / canvasWidth;
+                const workspaceY = (region.y + localX * sin + localY * cos) / canvasHeight;
+
+                // На трубке бисеринка у шва захватывает рисунок с противоположного края
+                if (wrapX) {
+                    workspaceX = ((workspaceX % 1) + 1) % 1;
+                }
 
                 // Преобразуем координаты рабочей области в координаты файла
                 let fileX = workspaceX;
@@ -365,17 +789,21 @@ class BeadingStudio {
 
                 totalPoints++;
 
-                // Проверяем, заполнена ли точка (используем координаты файла)
-                // originalDrawing сам обработает масштабирование и вернет false для точек вне исходной формы
-                const isFilled = this.originalDrawing(fileX, fileY);
+                // Берём цвет точки (используем координаты файла)
+                // originalDrawing сам обработает масштабирование и вернет null для точек вне исходной формы
+                const color = this.originalDrawing(fileX, fileY);
 
-                if (isFilled) {
+                if (color) {
                     filledPoints++;
+                    sampleColors.push(color);
                 }
             }
         }
 
-        return totalPoints > 0 ? filledPoints / totalPoints : 0;
+        return {
+            fillPercentage: totalPoints > 0 ? filledPoints / totalPoints : 0,
+            color: ColorUtils.dominant(sampleColors)
+        };
     }
 
     /**
@@ -384,84 +812,47 @@ class BeadingStudio {
     countBeadsInRow(rowIndex) {
         if (rowIndex === null || !this.originalDrawing) return 0;
 
-        const gridWidth = Math.max(1, Math.floor(this.workspaceWidthMM / this.pixelWidthMM));
-        const gridHeight = Math.max(1, Math.floor(this.workspaceHeightMM / this.pixelHeightMM));
-
-        const canvasWidth = this.currentCanvasWidth || this.canvas.width;
-        const canvasHeight = this.currentCanvasHeight || this.canvas.height;
-
-        const pixelWidthPx = canvasWidth / gridWidth;
-        const pixelHeightPx = canvasHeight / gridHeight;
-
-        const gridOffsetPxX = (this.gridOffsetX / this.workspaceWidthMM) * canvasWidth;
-        const gridOffsetPxY = (this.gridOffsetY / this.workspaceHeightMM) * canvasHeight;
-
-        // Вычисляем масштаб для файла
-        let scaleX = 1.0;
-        let scaleY = 1.0;
-        let offsetX = 0.0;
-        let offsetY = 0.0;
-
-        if (this.hasLoadedFile && this.fileWidthMM && this.fileHeightMM) {
-            scaleX = this.fileWidthMM / this.workspaceWidthMM;
-            scaleY = this.fileHeightMM / this.workspaceHeightMM;
-            offsetX = (1.0 - scaleX) / 2.0;
-            offsetY = (1.0 - scaleY) / 2.0;
-        }
-
-        let count = 0;
-
-        if (this.gridType === 'peyote') {
-            // Для peyote проверяем все строки в столбце rowIndex
-            // В peyote нечётные столбцы смещаются вниз на половину высоты
-            const col = rowIndex;
-            const offsetPxY = (col % 2 === 1) ? pixelHeightPx / 2 : 0;
-
-            for (let row = 0; row < gridHeight; row++) {
-                const x = col * pixelWidthPx + gridOffsetPxX;
-                const y = row * pixelHeightPx + offsetPxY + gridOffsetPxY;
+        // Состав ряда определяет геометрия сетки (столбец стежков, раунд, пара столбцов, кольцо...)
+        return this.getGeometry().getRowBeads(rowIndex)
+            .filter(bead => this.isBeadFilled(bead.row, bead.col))
+            .length;
+    }
 
-                if (x < 0 || x >= canvasWidth || y < 0 || y >= canvasHeight) continue;
+    /**
+     * Подсчитывает бисеринки и стежки в столбце стежков peyote
+     * При N-drop стежок состоит из N соседних бисеринок, а столбец стежков - из N столбцов бисеринок
+     * @param {number} group - номер столбца стежков
+     * @returns {{beads: number, stitches: number}} количество заполненных бисеринок и стежков
+     */
+    countPeyoteRow(group) {
+        const result = { beads: 0, stitches: 0 };
+        if (group === null || !this.originalDrawing) return result;
+
+        // Заполнение считается для каждой физической бисеринки стежка отдельно,
+        // стежок заполнен, если заполнена хотя бы одна его бисеринка
+        const filledStitchRows = new Set();
+        this.getGeometry().getRowBeads(group).forEach(bead => {
+            if (this.isBeadFilled(bead.row, bead.col)) {
+                result.beads++;
+                filledStitchRows.add(bead.row);
+            }
+        });
+        result.stitches = filledStitchRows.size;
 
-                const fillPercentage = this.calculateBeadFillPercentage(
-                    x, y, pixelWidthPx, pixelHeightPx, canvasWidth, canvasHeight, scaleX, scaleY, offsetX, offsetY
-                );
+        return result;
+    }
 
-                // Для порога 0 требуется fillPercentage > 0
-                const isFilled = this.fillThreshold === 0
-                    ? fillPercentage > 0
-                    : fillPercentage >= this.fillThreshold;
-                if (isFilled) {
-                    count++;
-                }
-            }
-        } else if (this.gridType === 'brick') {
-            // Для brick проверяем все столбцы в строке rowIndex
-            // В brick нечётные строки смещаются вправо на половину ширины
-            const row = rowIndex;
-            const offsetPxX = (row % 2 === 1) ? pixelWidthPx / 2 : 0;
-
-            for (let col = 0; col < gridWidth; col++) {
-                const x = col * pixelWidthPx + offsetPxX + gridOffsetPxX;
-                const y = row * pixelHeightPx + gridOffsetPxY;
-
-                if (x < 0 || x >= canvasWidth || y < 0 || y >= canvasHeight) continue;
-
-                const fillPercentage = this.calculateBeadFillPercentage(
-                    x, y, pixelWidthPx, pixelHeightPx, canvasWidth, canvasHeight, scaleX, scaleY, offsetX, offsetY
-                );
-
-                // Для порога 0 требуется fillPercentage > 0
-                const isFilled = this.fillThreshold === 0
-                    ? fillPercentage > 0
-                    : fillPercentage >= this.fillThreshold;
-                if (isFilled) {
-                    count++;
-                }
-            }
+    /**
+     * Подсчитывает количество стежков peyote, в которых есть хотя бы одна заполненная бисеринка
+     * @returns {number} количество стежков
+     */
+    countFilledStitches() {
+        const groups = this.getGeometry().getRowCount();
+        let stitches = 0;
+        for (let group = 0; group < groups; group++) {
+            stitches += this.countPeyoteRow(group).stitches;
         }
-
-        return count;
+        return stitches;
     }
 
     updateRowOverlayInfo() {
@@ -471,7 +862,16 @@ class BeadingStudio {
         }
 
         const count = this.hoveredRow !== null ? this.countBeadsInRow(this.hoveredRow) : 0;
-        const rowType = this.gridType === 'peyote' ? 'столбец' : 'строка';
+        const rowTypes = {
+            peyote: 'столбец',
+            tubular: 'раунд',
+            brick: 'строка',
+            square: 'ряд',
+            herringbone: 'пара столбцов',
+            raw: 'ряд звеньев',
+            radial: 'кольцо'
+        };
+        const rowType = rowTypes[this.gridType] || 'строка';
         const rowNumber = this.hoveredRow !== null ? this.hoveredRow + 1 : 0;
 
         const overlay = document.getElementById('rowOverlayInfo');
@@ -491,16 +891,99 @@ class BeadingStudio {
             countEl.className = 'row-overlay-count';
             countEl.textContent = `${count} бисеринок`;
 
+            // Для N-drop peyote стежки и бисеринки считаются отдельно
+            if (this.gridType === 'peyote' && this.peyoteDrops > 1 && this.hoveredRow !== null) {
+                const peyoteRow = this.countPeyoteRow(this.hoveredRow);
+                title.textContent = `СТОЛБЕЦ СТЕЖКОВ ${rowNumber} (${this.peyoteDrops}-DROP)`;
+                countEl.textContent = `${peyoteRow.stitches} стежков · ${peyoteRow.beads} бисеринок`;
+            }
+
             content.appendChild(title);
             content.appendChild(countEl);
 
+            // Для трубчатого peyote показываем размер раунда и как он замыкается
+            if (this.gridType === 'tubular' && this.hoveredRow !== null) {
+                const geometry = this.getGeometry();
+                const roundSize = geometry.getRowBeads(this.hoveredRow).length;
+                countEl.textContent = `${count} из ${roundSize} бисеринок по окружности`;
+
+                const seamEl = document.createElement('div');
+                seamEl.className = 'row-overlay-count';
+                seamEl.textContent = geometry.isEvenCount
+                    ? 'Step-up в конце раунда'
+                    : 'Нечётная окружность: спираль без step-up';
+                content.appendChild(seamEl);
+            }
+
+            // Для радиальной сетки показываем размер кольца и прибавку относительно предыдущего
+            if (this.gridType === 'radial' && this.hoveredRow !== null) {
+                const geometry = this.getGeometry();
+                if (this.hoveredRow < geometry.getRowCount()) {
+                    const ringSize = geometry.getRowBeads(this.hoveredRow).length;
+                    countEl.textContent = `${count} из ${ringSize} бисеринок`;
+
+                    const increaseEl = document.createElement('div');
+                    increaseEl.className = 'row-overlay-count';
+                    if (this.hoveredRow === 0) {
+                        increaseEl.textContent = `Начальное кольцо: ${ringSize} бисеринок`;
+                    } else {
+                        const previousCount = geometry.getRowBeads(this.hoveredRow - 1).length;
+                        const increase = ringSize - previousCount;
+                        if (increase <= 0) {
+                            increaseEl.textContent = 'Без прибавок';
+                        } else if (increase < previousCount) {
+                            const interval = Math.floor(previousCount / increase);
+                            increaseEl.textContent = `Прибавка +${increase}: через каждые ${interval} бисеринок`;
+                        } else {
+                            const perBead = (ringSize / previousCount).toFixed(1);
+                            increaseEl.textContent = `Прибавка +${increase}: ≈${perBead} на каждую бисеринку`;
+                        }
+                    }
+                    content.appendChild(increaseEl);
+                }
+            }
+
+            // Для станочного плетения показываем количество нитей основы
+            if (this.gridType === 'square') {
+                const warpEl = document.createElement('div');
+                warpEl.className = 'row-overlay-count';
+                warpEl.textContent = `${this.getGeometry().gridWidth + 1} нитей основы`;
+                content.appendChild(warpEl);
+            }
+
             // Информация о бисеринке (показываем только для заполненных)
             if (this.hoveredBead) {
                 const beadRow = this.hoveredBead.row + 1;
                 const beadCol = this.hoveredBead.col + 1;
                 const beadInfo = document.createElement('div');
                 beadInfo.className = 'row-overlay-bead';
-                beadInfo.textContent = `● Бисеринка [${beadCol}, ${beadRow}]`;
+                // Ряды станочного плетения читаются слева направо: показываем позицию в ряду
+                if (this.gridType === 'square') {
+                    beadInfo.textContent = `● Бисеринка ${beadCol} в ряду ${beadRow}`;
+                } else if (this.gridType === 'radial') {
+                    beadInfo.textContent = `● Бисеринка ${beadCol} в кольце ${beadRow}`;
+                } else if (this.gridType === 'raw') {
+                    const orientation = this.hoveredBead.row % 2 === 0 ? 'горизонтальная' : 'вертикальная';
+                    const unitRow = Math.floor(this.hoveredBead.row / 2) + 1;
+                    beadInfo.textContent = `● Бисеринка ${beadCol}, ${orientation}, звенья ряда ${unitRow}`;
+                } else if (this.gridType === 'peyote') {
+                    const stitchRow = this.getGeometry().getStitchRowLabel(this.hoveredBead.row, this.hoveredBead.col);
+                    beadInfo.textContent = `● Бисеринка [${beadCol}, ${beadRow}], ряд плетения ${stitchRow}`;
+                    if (this.peyoteDrops > 1) {
+                        const drop = this.hoveredBead.col % this.peyoteDrops + 1;
+                        beadInfo.textContent += `, ${drop} из ${this.peyoteDrops} в стежке`;
+                    }
+                } else {
+                    beadInfo.textContent = `● Бисеринка [${beadCol}, ${beadRow}]`;
+                }
+                beadInfo.textContent += `, цвет ${this.getBeadColor(this.hoveredBead.row, this.hoveredBead.col)}`;
+                if (this.beadOverrides.has(GridGeometry.key(this.hoveredBead.row, this.hoveredBead.col))) {
+                    beadInfo.textContent += ' (изменена вручную)';
+                }
+                const catalogEntry = this.getBeadCatalogEntry(this.hoveredBead.row, this.hoveredBead.col);
+                if (catalogEntry) {
+                    beadInfo.textContent += `, ${catalogEntry.code} ${catalogEntry.name}`;
+                }
                 content.appendChild(beadInfo);
             }
 
@@ -564,10 +1047,46 @@ class BeadingStudio {
         this.scale = 1.0;
 
         // Пустая функция рисунка (ничего не заполнено)
-        this.originalDrawingFunction = () => false;
+        this.originalDrawingFunction = () => null;
+        this.originalDrawing = this.originalDrawingFunction;
+        this.dxfLayers = [];
+        this.dxfRaster = null;
+        this.dxfLayerSettings = {};
+        this.dxfUnits = null;
+        this.dxfFileUnits = null;
+        this.dxfDrawingSize = null;
+        this.imageSource = null;
+        this.imageSettings = null;
+    }
+
+    /**
+     * Пересоздаёт функцию рисунка DXF по настройкам слоёв (растры слоёв не пересчитываются)
+     */
+    applyDxfLayerSettings() {
+        this.originalDrawingFunction = this.dxfLoader.createDrawingFunction(this.dxfRaster, this.dxfLayerSettings);
         this.originalDrawing = this.originalDrawingFunction;
     }
 
+    /**
+     * Пересчитывает размеры файла DXF в мм по выбранным единицам чертежа
+     */
+    applyDxfUnits() {
+        const unitMM = DXF_UNITS[this.dxfUnits].mm;
+        this.fileWidthMM = this.dxfDrawingSize.width * unitMM;
+        this.fileHeightMM = this.dxfDrawingSize.height * unitMM;
+    }
+
+    /**
+     * Пересоздаёт рисунок растрового изображения по его настройкам и обновляет размеры файла
+     */
+    applyImageSettings() {
+        const image = this.imageLoader.createImage(this.imageSource, this.imageSettings);
+        this.originalDrawingFunction = image.drawingFunction;
+        this.originalDrawing = image.drawingFunction;
+        this.fileWidthMM = image.width;
+        this.fileHeightMM = image.height;
+    }
+
     /**
      * Применяет масштаб к SVG файлу (для DXF не используется)
      */
@@ -613,9 +1132,9 @@ class BeadingStudio {
                 const origY = centerY + dy / currentScale;
 
                 // Проверяем границы исходного файла [0, 1]
-                // Если координаты вне границ, возвращаем false (точка вне исходной формы)
+                // Если координаты вне границ, возвращаем null (точка вне исходной формы)
                 if (origX < 0 || origX > 1 || origY < 0 || origY > 1) {
-                    return false;
+                    return null;
                 }
 
                 return originalFunc(origX, origY);
@@ -641,12 +1160,14 @@ class BeadingStudio {
                 result = await this.svgLoader.loadSVG(file);
             } else if (extension === 'dxf') {
                 result = await this.dxfLoader.loadDXF(file);
+            } else if (IMAGE_EXTENSIONS.includes(extension)) {
+                result = await this.imageLoader.loadImage(file, this.workspaceWidthMM, this.workspaceHeightMM);
             } else {
                 throw new Error('Неподдерживаемый формат файла');
             }
 
             // Сохраняем тип файла
-            this.fileType = extension;
+            this.fileType = IMAGE_EXTENSIONS.includes(extension) ? 'image' : extension;
 
             // Сохраняем контур и функцию отрисовки
             if (result.contour && result.contour.length > 0) {
@@ -656,18 +1177,36 @@ class BeadingStudio {
             this.originalDrawingFunction = result.drawingFunction;
             this.originalDrawing = result.drawingFunction;
 
+            // Слои есть только у DXF
+            this.dxfLayers = result.layers || [];
+            this.dxfRaster = result.raster || null;
+            this.dxfLayerSettings = this.dxfLoader.getDefaultLayerSettings(this.dxfLayers);
+            this.dxfUnits = result.units || null;
+            this.dxfFileUnits = this.dxfUnits;
+            this.dxfDrawingSize = result.units ? { width: result.drawingWidth, height: result.drawingHeight } : null;
+
+            // Пиксели и настройки есть только у растровых изображений
+            this.imageSource = result.source || null;
+            this.imageSettings = result.settings || null;
+
             this.loadedFileName = file.name;
             this.hasLoadedFile = true;
 
-            // Сохраняем файл как base64 для сохранения проекта
+            // Ручные правки относились к предыдущему рисунку
+            this.beadOverrides.clear();
+
+            // Сохраняем файл как base64 для сохранения проекта. Дожидаемся чтения,
+            // чтобы данные файла попали в снимок истории
             this.loadedFileExtension = extension;
-            const reader = new FileReader();
-            reader.onload = (e) => {
-                // Убираем префикс data:...;base64,
-                const base64String = e.target.result.split(',')[1];
-                this.loadedFileData = base64String;
-            };
-            reader.readAsDataURL(file);
+            this.loadedFileData = await new Promise((resolve, reject) => {
+                const reader = new FileReader();
+                reader.onload = (e) => {
+                    // Убираем префикс data:...;base64,
+                    resolve(e.target.result.split(',')[1]);
+                };
+                reader.onerror = () => reject(reader.error);
+                reader.readAsDataURL(file);
+            });
 
             if (extension === 'svg') {
                 // Для SVG сохраняем исходные размеры и применяем масштаб
@@ -677,8 +1216,9 @@ class BeadingStudio {
                 this.applyScale();
                 this.uiController.showScaleSection(true);
                 this.uiController.updateScale(1.0);
-            } else if (extension === 'dxf') {
-                // Для DXF используем размеры напрямую, без масштабирования
+            } else {
+                // Для DXF и изображений используем размеры напрямую, без масштабирования
+                // (ширина изображения задаётся в его настройках)
                 this.fileWidthMM = result.width;
                 this.fileHeightMM = result.height;
                 this.originalFileWidthMM = null;
@@ -688,8 +1228,12 @@ class BeadingStudio {
 
             // Обновляем UI
             this.uiController.updateFileInfo(this.loadedFileName, this.fileWidthMM, this.fileHeightMM);
+            this.uiController.setDxfLayers(this.dxfLayers, this.dxfLayerSettings);
+            this.uiController.setDxfUnits(this.dxfUnits, this.dxfFileUnits);
+            this.uiController.setImageSettings(this.imageSettings, this.fileHeightMM);
             this.updateUI();
             this.render();
+            this.recordHistory(`Файл ${file.name}`);
 
             // Скрываем индикатор загрузки
             this.hideLoading();
@@ -773,42 +1317,355 @@ class BeadingStudio {
     }
 
     handlePixelWidthChange(value) {
+        if (value !== this.pixelWidthMM) {
+            this.detachBeadProfile();
+        }
         this.pixelWidthMM = value;
         this.uiController.updatePixelInputs(this.pixelWidthMM, this.pixelHeightMM);
         this.updateUI();
         this.render();
+        this.recordHistory('Ширина бисеринки', 'pixelWidth');
     }
 
     handlePixelHeightChange(value) {
+        if (value !== this.pixelHeightMM) {
+            this.detachBeadProfile();
+        }
         this.pixelHeightMM = value;
         this.uiController.updatePixelInputs(this.pixelWidthMM, this.pixelHeightMM);
         this.updateUI();
         this.render();
+        this.recordHistory('Высота бисеринки', 'pixelHeight');
     }
 
-    handleWorkspaceWidthChange(value) {
-        this.workspaceWidthMM = Validator.validateWorkspaceSize(value);
-        this.uiController.updateWorkspaceInputs(this.workspaceWidthMM, this.workspaceHeightMM);
-        this.setupCanvas();
-        this.updateUI();
+    handleBeadProfileChange(name) {
+        // При выборе своего размера текущие размеры и форма сохраняются
+        this.beadProfile = name ? this.beadProfiles.get(name) : null;
+        if (this.beadProfile) {
+            this.beadShape = this.beadProfile.shape;
+            this.applyBeadProfileSize();
+        }
+        this.uiController.setActiveBeadProfile(this.beadProfile);
+        this.hoveredRow = null;
+        this.hoveredBead = null;
         this.render();
+        this.recordHistory('Профиль бисера');
     }
 
-    handleWorkspaceHeightChange(value) {
-        this.workspaceHeightMM = Validator.validateWorkspaceSize(value);
-        this.uiController.updateWorkspaceInputs(this.workspaceWidthMM, this.workspaceHeightMM);
-        this.setupCanvas();
-        this.updateUI();
+    handleBeadShapeChange(shape) {
+        if (this.beadProfile && shape !== this.beadProfile.shape) {
+            this.detachBeadProfile();
+        }
+        this.beadShape = BEAD_SHAPES.includes(shape) ? shape : null;
         this.render();
+        this.recordHistory('Форма бисеринки');
     }
 
-    handleFillThresholdChange(value) {
-        // Инвертируем логику: 100% чувствительности = 0% порога (показать все)
+    handleSaveBeadProfile(name) {
+        try {
+            const profile = this.beadProfiles.save(BeadProfileLibrary.fromCellSize(
+                name,
+                this.beadShape || 'round',
+                this.pixelWidthMM,
+                this.pixelHeightMM,
+                this.gridType
+            ));
+            this.beadProfile = profile;
+            this.beadShape = profile.shape;
+            this.uiController.setBeadProfiles(this.beadProfiles.getAll(), this.beadProfile);
+            this.render();
+            this.recordHistory('Профиль бисера');
+            this.showNotification(`Профиль «${profile.name}» сохранён`, 'success');
+        } catch (error) {
+            this.showNotification(error.message, 'error');
+        }
+    }
+
+    handleDeleteBeadProfile(name) {
+        if (!name || !this.beadProfiles.remove(name)) {
+            return;
+        }
+
+        // Для изменённого встроенного профиля возвращаются его исходные размеры
+        if (this.beadProfile && this.beadProfile.name === name) {
+            this.beadProfile = this.beadProfiles.get(name);
+            if (this.beadProfile) {
+                this.beadShape = this.beadProfile.shape;
+                this.applyBeadProfileSize();
+            }
+        }
+        this.uiController.setBeadProfiles(this.beadProfiles.getAll(), this.beadProfile);
+        this.hoveredRow = null;
+        this.hoveredBead = null;
+        this.render();
+        this.recordHistory('Профиль бисера');
+        this.showNotification(`Профиль «${name}» удалён`);
+    }
+
+    /**
+     * Выставляет размер бисеринки по выбранному профилю: вдоль нити бисеринка занимает
+     * свою длину, поперёк - диаметр, поэтому размер зависит от типа сетки
+     */
+    applyBeadProfileSize() {
+        const { widthMM, heightMM } = BeadProfileLibrary.getCellSize(this.beadProfile, this.gridType);
+        this.pixelWidthMM = widthMM;
+        this.pixelHeightMM = heightMM;
+        this.uiController.updatePixelInputs(this.pixelWidthMM, this.pixelHeightMM);
+    }
+
+    /**
+     * Отвязывает размеры от профиля бисера после ручного изменения
+     */
+    detachBeadProfile() {
+        if (this.beadProfile) {
+            this.beadProfile = null;
+            this.uiController.setActiveBeadProfile(null);
+        }
+    }
+
+    handleWorkspaceWidthChange(value) {
+        this.workspaceWidthMM = Validator.validateWorkspaceSize(value);
+        this.uiController.updateWorkspaceInputs(this.workspaceWidthMM, this.workspaceHeightMM);
+        this.setupCanvas();
+        this.updateUI();
+        this.render();
+        // Ширина и высота могут меняться вместе (синхронизация размеров) - это один шаг
+        this.recordHistory('Рабочая область', 'workspace');
+    }
+
+    handleWorkspaceHeightChange(value) {
+        this.workspaceHeightMM = Validator.validateWorkspaceSize(value);
+        this.uiController.updateWorkspaceInputs(this.workspaceWidthMM, this.workspaceHeightMM);
+        this.setupCanvas();
+        this.updateUI();
+        this.render();
+        this.recordHistory('Рабочая область', 'workspace');
+    }
+
+    handleFillThresholdChange(value) {
+        // Инвертируем логику: 100% чувствительности = 0% порога (показать все)
         // 0% чувствительности = 100% порога (только полные)
         const invertedValue = 1 - value;
         this.fillThreshold = Validator.validateFillThreshold(invertedValue);
         this.updateUI();
         this.render();
+        this.recordHistory('Порог заполнения', 'fillThreshold');
+    }
+
+    handlePaletteSizeChange(value) {
+        this.paletteSize = Validator.validatePaletteSize(value);
+        this.uiController.updatePaletteSize(this.paletteSize);
+        this.render();
+        this.recordHistory('Количество цветов', 'paletteSize');
+    }
+
+    handleDitherModeChange(mode) {
+        this.ditherMode = Validator.validateDitherMode(mode);
+        this.render();
+        this.recordHistory('Дизеринг');
+    }
+
+    handleBeadCatalogChange(catalogId) {
+        this.beadCatalog = Validator.validateBeadCatalog(catalogId);
+        this.notifyEmptyCatalogFilter();
+        this.render();
+        this.recordHistory('Каталог бисера');
+    }
+
+    handleBeadFinishChange(finish) {
+        this.beadFinish = Validator.validateBeadFinish(finish);
+        this.notifyEmptyCatalogFilter();
+        this.render();
+        this.recordHistory('Покрытие бисера');
+    }
+
+    handleLegendSpareChange(enabled) {
+        this.legendSpare = Boolean(enabled);
+        this.updateUI();
+    }
+
+    handleExportShoppingList() {
+        const legend = this.buildLegend();
+        if (legend.items.length === 0) {
+            this.showNotification('В схеме нет бисеринок', 'error');
+            return;
+        }
+
+        const title = this.loadedFileName ? this.loadedFileName.replace(/\.[^/.]+$/, '') : 'project';
+        const text = BeadLegend.toShoppingList(legend, {
+            title,
+            beadName: this.beadProfile
+                ? this.beadProfile.name
+                : `${this.pixelWidthMM.toFixed(1)} × ${this.pixelHeightMM.toFixed(1)} мм`,
+            weight: this.getBeadWeightData(),
+            addSpare: this.legendSpare
+        });
+
+        // Список скачивается текстовым файлом
+        const blob = new Blob([text], { type: 'text/plain;charset=utf-8' });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = `${Validator.sanitizeFileName(title)}-shopping-list.txt`;
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        URL.revokeObjectURL(url);
+        this.showNotification('Список покупок сохранён', 'success');
+    }
+
+    handleEditToolChange(tool) {
+        this.editTool = Validator.validateEditTool(tool);
+        this.isPainting = false;
+        this.selectionPath = null;
+        this.canvas.style.cursor = this.editTool === 'view' ? '' : 'crosshair';
+    }
+
+    handlePaintColorChange(color) {
+        this.paintColor = ColorUtils.normalize(color) || DEFAULT_BEAD_COLOR;
+    }
+
+    handleNewPattern() {
+        // Пустая сетка без исходного файла: бисеринки заполняются только вручную
+        this.createOriginalDrawing();
+        this.loadedFileData = null;
+        this.loadedFileExtension = null;
+        this.beadOverrides.clear();
+        this.selection = new Set();
+        this.hoveredRow = null;
+        this.hoveredBead = null;
+        this.uiController.setSelectionActionsEnabled(false, Boolean(this.clipboard));
+        this.uiController.showScaleSection(false);
+        this.uiController.setDxfLayers([], {});
+        this.uiController.setImageSettings(null);
+        this.uiController.clearFileInfo();
+
+        // Сразу включаем кисть, чтобы можно было начать рисовать
+        this.handleEditToolChange('paint');
+        this.uiController.setActiveEditTool(this.editTool);
+        this.render();
+        this.recordHistory('Новая схема');
+        this.showNotification('Создана пустая схема');
+    }
+
+    handleSelectionAction(action) {
+        switch (action) {
+            case 'copy':
+                this.copySelection();
+                break;
+            case 'cut':
+                this.cutSelection();
+                break;
+            case 'paste':
+                this.pasteClipboard();
+                break;
+            case 'delete':
+                this.deleteSelection();
+                break;
+            case 'mirror-x':
+            case 'mirror-y':
+            case 'rotate':
+                this.transformSelection(action);
+                break;
+        }
+
+        // Копирование не меняет схему и в историю не попадает
+        const labels = {
+            cut: 'Вырезание',
+            paste: 'Вставка',
+            delete: 'Очистка выделения',
+            'mirror-x': 'Отражение ↔',
+            'mirror-y': 'Отражение ↕',
+            rotate: 'Поворот'
+        };
+        if (labels[action]) {
+            this.recordHistory(labels[action]);
+        }
+    }
+
+    /**
+     * Копирует выделенные бисеринки в буфер
+     * @returns {boolean} true если было что копировать
+     */
+    copySelection() {
+        if (this.selection.size === 0) return false;
+
+        this.clipboard = BeadEditor.copy(this.getPattern(), this.selection);
+        this.uiController.setSelectionActionsEnabled(true, true);
+        this.showNotification(`Скопировано бисеринок: ${this.clipboard.length}`);
+        return true;
+    }
+
+    /**
+     * Копирует выделенные бисеринки в буфер и очищает их
+     */
+    cutSelection() {
+        if (this.copySelection()) {
+            this.deleteSelection();
+        }
+    }
+
+    /**
+     * Очищает выделенные бисеринки
+     */
+    deleteSelection() {
+        if (this.selection.size === 0) return;
+
+        this.selection.forEach(key => this.beadOverrides.set(key, null));
+        this.render();
+    }
+
+    /**
+     * Вставляет блок из буфера: левым верхним углом к бисеринке под курсором,
+     * а если курсор не над сеткой - на место, откуда блок был скопирован
+     */
+    pasteClipboard() {
+        if (!this.clipboard) return;
+
+        const target = this.pointerBead || {
+            row: Math.min(...this.clipboard.map(bead => bead.row)),
+            col: Math.min(...this.clipboard.map(bead => bead.col))
+        };
+        const changes = BeadEditor.paste(this.clipboard, this.getGeometry(), target);
+        this.applyBeadChanges(changes);
+        this.render();
+        // Вставленный блок становится выделением, чтобы его можно было сразу отразить или повернуть
+        this.setSelection(new Set(changes.keys()));
+    }
+
+    /**
+     * Отражает или поворачивает выделенные бисеринки
+     * @param {string} mode - 'mirror-x', 'mirror-y' или 'rotate'
+     */
+    transformSelection(mode) {
+        if (this.selection.size === 0) return;
+
+        const { changes, selection, error } = BeadEditor.transform(this.getPattern(), this.getGeometry(), this.selection, mode);
+        if (error) {
+            this.showNotification(error, 'error');
+            return;
+        }
+        this.applyBeadChanges(changes);
+        this.render();
+        this.setSelection(selection);
+    }
+
+    handleClearOverrides() {
+        if (this.beadOverrides.size === 0) return;
+
+        this.beadOverrides.clear();
+        this.hoveredBead = null;
+        this.render();
+        this.recordHistory('Сброс правок');
+    }
+
+    /**
+     * Предупреждает, если под выбранный каталог и покрытие не подходит ни один бисер
+     */
+    notifyEmptyCatalogFilter() {
+        if (this.beadCatalog && this.beadCatalogs.getColors(this.getCatalogFilter()).length === 0) {
+            this.showNotification('В каталоге нет бисера с таким покрытием, цвета оставлены без подбора');
+        }
     }
 
     handleScaleChange(value) {
@@ -828,51 +1685,305 @@ class BeadingStudio {
 
         this.updateUI();
         this.render();
+        this.recordHistory('Масштаб', 'scale');
+    }
+
+    handleDxfLayerChange(name, changes) {
+        if (!this.dxfRaster) {
+            return;
+        }
+
+        // Настройки заменяются целиком, чтобы снимки истории хранили их по ссылке
+        const layer = { visible: true, color: null, ...this.dxfLayerSettings[name], ...changes };
+        layer.color = ColorUtils.normalize(layer.color);
+        this.dxfLayerSettings = { ...this.dxfLayerSettings, [name]: layer };
+        this.applyDxfLayerSettings();
+        this.render();
+
+        if (changes.visible !== undefined) {
+            this.recordHistory(`${changes.visible ? 'Показан' : 'Скрыт'} слой ${name}`);
+        } else {
+            this.recordHistory(`Цвет слоя ${name}`, `dxfLayerColor:${name}`);
+        }
+    }
+
+    handleDxfUnitsChange(units) {
+        if (!this.dxfDrawingSize) {
+            return;
+        }
+
+        // Рисунок нормализован, поэтому единицы меняют только размеры файла
+        this.dxfUnits = Validator.validateDxfUnits(units);
+        this.applyDxfUnits();
+        this.uiController.updateFileInfo(this.loadedFileName, this.fileWidthMM, this.fileHeightMM);
+        this.updateUI();
+        this.render();
+        this.recordHistory(`Единицы DXF: ${DXF_UNITS[this.dxfUnits].label}`);
+    }
+
+    handleImageSettingsChange(changes) {
+        if (!this.imageSource) {
+            return;
+        }
+
+        this.imageSettings = Validator.validateImageSettings({ ...this.imageSettings, ...changes });
+        this.applyImageSettings();
+        this.uiController.updateFileInfo(this.loadedFileName, this.fileWidthMM, this.fileHeightMM);
+        this.uiController.setImageSettings(this.imageSettings, this.fileHeightMM);
+        this.render();
+
+        const labels = {
+            widthMM: 'Ширина изображения',
+            mode: 'Режим изображения',
+            brightness: 'Яркость изображения',
+            contrast: 'Контраст изображения',
+            threshold: 'Порог яркости'
+        };
+        const name = Object.keys(changes)[0];
+        this.recordHistory(labels[name], name === 'mode' ? null : `image:${name}`);
     }
 
     handleGridTypeChange(type) {
-        this.gridType = type;
+        this.gridType = Validator.validateGridType(type);
+        if (this.beadProfile) {
+            this.applyBeadProfileSize();
+        }
+        this.hoveredRow = null;
+        this.hoveredBead = null;
         this.render();
+        this.recordHistory('Тип сетки');
+    }
+
+    handlePeyoteDropsChange(drops) {
+        this.peyoteDrops = Validator.validatePeyoteDrops(drops);
+        this.hoveredRow = null;
+        this.hoveredBead = null;
+        this.render();
+        this.recordHistory('Peyote: бисеринок в стежке');
+    }
+
+    handlePeyoteCountChange(count) {
+        this.peyoteCount = Validator.validatePeyoteCount(count);
+        this.hoveredRow = null;
+        this.hoveredBead = null;
+        this.render();
+        this.recordHistory('Peyote: счёт');
+    }
+
+    handlePeyoteStartSideChange(side) {
+        this.peyoteStartSide = Validator.validatePeyoteStartSide(side);
+        this.hoveredRow = null;
+        this.hoveredBead = null;
+        this.render();
+        this.recordHistory('Peyote: начало ряда');
+    }
+
+    handleCylinderRotationChange(value) {
+        this.cylinderRotation = value;
+        this.renderCylinderPreview();
     }
 
     handleGridOffsetXChange(value) {
         this.gridOffsetX = Validator.validateGridOffset(value);
         this.uiController.updateGridOffsetInputs(this.gridOffsetX, this.gridOffsetY);
         this.render();
+        this.recordHistory('Смещение сетки по X', 'gridOffsetX');
     }
 
     handleGridOffsetYChange(value) {
         this.gridOffsetY = Validator.validateGridOffset(value);
         this.uiController.updateGridOffsetInputs(this.gridOffsetX, this.gridOffsetY);
         this.render();
+        this.recordHistory('Смещение сетки по Y', 'gridOffsetY');
     }
 
-    isPointInContour(x, y) {
-        // Проверка методом ray casting
-        let inside = false;
-        const points = this.contour;
+    handleUndo() {
+        const state = this.history.undo();
+        if (state) {
+            this.restoreHistoryState(state);
+        }
+    }
+
+    handleRedo() {
+        const state = this.history.redo();
+        if (state) {
+            this.restoreHistoryState(state);
+        }
+    }
+
+    handleHistoryJump(index) {
+        const state = this.history.jumpTo(index);
+        if (state) {
+            this.restoreHistoryState(state);
+        }
+    }
+
+    /**
+     * Снимает состояние проекта для истории: настройки, исходный рисунок и ручные правки
+     * (инструмент, цвет кисти, выделение и поворот трубки в историю не входят)
+     * @returns {Object} снимок состояния
+     */
+    captureHistoryState() {
+        return {
+            workspaceWidthMM: this.workspaceWidthMM,
+            workspaceHeightMM: this.workspaceHeightMM,
+            pixelWidthMM: this.pixelWidthMM,
+            pixelHeightMM: this.pixelHeightMM,
+            beadProfile: this.beadProfile,
+            beadShape: this.beadShape,
+            gridType: this.gridType,
+            peyoteDrops: this.peyoteDrops,
+            peyoteCount: this.peyoteCount,
+            peyoteStartSide: this.peyoteStartSide,
+            gridOffsetX: this.gridOffsetX,
+            gridOffsetY: this.gridOffsetY,
+            scale: this.scale,
+            fillThreshold: this.fillThreshold,
+            paletteSize: this.paletteSize,
+            ditherMode: this.ditherMode,
+            beadCatalog: this.beadCatalog,
+            beadFinish: this.beadFinish,
+            // Рисунок не меняется после загрузки, поэтому снимок хранит ссылки на него
+            fileType: this.fileType,
+            hasLoadedFile: this.hasLoadedFile,
+            fileWidthMM: this.fileWidthMM,
+            fileHeightMM: this.fileHeightMM,
+            originalFileWidthMM: this.originalFileWidthMM,
+            originalFileHeightMM: this.originalFileHeightMM,
+            loadedFileName: this.loadedFileName,
+            loadedFileData: this.loadedFileData,
+            loadedFileExtension: this.loadedFileExtension,
+            originalContour: this.originalContour,
+            contour: this.contour,
+            originalDrawingFunction: this.originalDrawingFunction,
+            originalDrawing: this.originalDrawing,
+            dxfLayers: this.dxfLayers,
+            dxfRaster: this.dxfRaster,
+            dxfLayerSettings: this.dxfLayerSettings,
+            dxfUnits: this.dxfUnits,
+            dxfFileUnits: this.dxfFileUnits,
+            dxfDrawingSize: this.dxfDrawingSize,
+            imageSource: this.imageSource,
+            imageSettings: this.imageSettings,
+            beadOverrides: new Map(this.beadOverrides)
+        };
+    }
 
-        for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
-            const xi = points[i].x;
-            const yi = points[i].y;
-            const xj = points[j].x;
-            const yj = points[j].y;
+    /**
+     * Восстанавливает состояние проекта из снимка истории
+     * @param {Object} state - снимок из captureHistoryState
+     */
+    restoreHistoryState(state) {
+        Object.assign(this, state);
+        // Снимок остаётся в истории, поэтому правки копируются
+        this.beadOverrides = new Map(state.beadOverrides);
+
+        this.isPainting = false;
+        this.selectionPath = null;
+        this.hoveredRow = null;
+        this.hoveredBead = null;
 
-            const intersect = ((yi > y) !== (yj > y))
-                && (x < (xj - xi) * (y - yi) / (yj - yi) + xi);
-            if (intersect) inside = !inside;
+        this.syncControls();
+        if (this.hasLoadedFile && this.fileWidthMM && this.fileHeightMM && this.loadedFileName) {
+            this.uiController.updateFileInfo(this.loadedFileName, this.fileWidthMM, this.fileHeightMM);
+        } else {
+            this.uiController.clearFileInfo();
         }
 
+        this.setupCanvas();
+        this.render();
+        this.updateHistoryUI();
+    }
+
+    /**
+     * Записывает текущее состояние проекта шагом истории
+     * @param {string} label - название шага в списке истории
+     * @param {string|null} key - ключ объединения для изменений, идущих подряд (ползунки)
+     */
+    recordHistory(label, key = null) {
+        if (this.history.record(label, this.captureHistoryState(), key)) {
+            this.updateHistoryUI();
+        }
+    }
+
+    /**
+     * Начинает историю заново с текущего состояния проекта
+     * @param {string} label - название первого шага
+     */
+    resetHistory(label) {
+        this.history.reset(label, this.captureHistoryState());
+        this.updateHistoryUI();
+    }
+
+    /**
+     * Обновляет список шагов истории и кнопки отмены и повтора
+     */
+    updateHistoryUI() {
+        this.uiController.setHistory(this.history.getEntries(), this.history.index);
+    }
+
+    /**
+     * Выставляет элементы управления по текущим настройкам (после загрузки проекта
+     * или перехода по истории)
+     */
+    syncControls() {
+        this.uiController.updatePixelInputs(this.pixelWidthMM, this.pixelHeightMM);
+        this.uiController.setBeadProfiles(this.beadProfiles.getAll(), this.beadProfile);
+        this.uiController.setActiveBeadShape(this.beadShape);
+        this.uiController.updateWorkspaceInputs(this.workspaceWidthMM, this.workspaceHeightMM);
+        this.uiController.setActiveGridType(this.gridType);
+        this.uiController.setActivePeyoteDrops(this.peyoteDrops);
+        this.uiController.setActivePeyoteCount(this.peyoteCount);
+        this.uiController.setActivePeyoteStartSide(this.peyoteStartSide);
+        this.uiController.updateGridOffsetInputs(this.gridOffsetX, this.gridOffsetY);
+        this.uiController.updateFillThreshold(this.fillThreshold);
+        this.uiController.updatePaletteSize(this.paletteSize);
+        this.uiController.setActiveDitherMode(this.ditherMode);
+        this.uiController.setActiveBeadCatalog(this.beadCatalog);
+        this.uiController.setActiveBeadFinish(this.beadFinish);
+        if (this.fileType === 'svg') {
+            this.uiController.showScaleSection(true);
+            this.uiController.updateScale(this.scale);
+        } else {
+            this.uiController.showScaleSection(false);
+        }
+        this.uiController.setDxfLayers(this.dxfLayers, this.dxfLayerSettings);
+        this.uiController.setDxfUnits(this.dxfUnits, this.dxfFileUnits);
+        this.uiController.setImageSettings(this.imageSettings, this.fileHeightMM);
+    }
+
+    isPointInContour(x, y) {
+        // Проверка методом ray casting по всем контурам: внутри отверстия точка снаружи
+        let inside = false;
+        const loops = Array.isArray(this.contour[0]) ? this.contour : [this.contour];
+
+        loops.forEach(points => {
+            for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+                const xi = points[i].x;
+                const yi = points[i].y;
+                const xj = points[j].x;
+                const yj = points[j].y;
+
+                const intersect = ((yi > y) !== (yj > y))
+                    && (x < (xj - xi) * (y - yi) / (yj - yi) + xi);
+                if (intersect) inside = !inside;
+            }
+        });
+
         return inside;
     }
 
     updateUI() {
-        // Вычисляем количество пикселей по каждой оси
-        const gridWidth = Math.max(1, Math.floor(this.workspaceWidthMM / this.pixelWidthMM));
-        const gridHeight = Math.max(1, Math.floor(this.workspaceHeightMM / this.pixelHeightMM));
+        // Количество бисеринок по каждой оси берём из геометрии сетки
+        const { gridWidth, gridHeight } = this.getGeometry();
 
         // Подсчитываем количество заполненных бисеринок
-        const filledBeads = this.countFilledBeads(gridWidth, gridHeight);
+        const filledBeads = this.countFilledBeads();
+
+        // Для N-drop peyote отдельно считаем стежки
+        const filledStitches = this.gridType === 'peyote' && this.peyoteDrops > 1
+            ? this.countFilledStitches()
+            : null;
 
         this.uiController.updateUI({
             pixelWidthMM: this.pixelWidthMM,
@@ -881,105 +1992,187 @@ class BeadingStudio {
             workspaceHeightMM: this.workspaceHeightMM,
             gridWidth,
             gridHeight,
-            filledBeads
+            gridType: this.gridType,
+            filledBeads,
+            colorCount: this.countColors(),
+            filledStitches,
+            ringCount: this.gridType === 'radial' ? this.getGeometry().getRowCount() : null,
+            beadProfileName: this.beadProfile ? this.beadProfile.name : null,
+            catalogBeads: this.countCatalogBeads(),
+            editedBeads: this.countEditedBeads(),
+            legend: this.buildLegend(),
+            legendWeight: this.getBeadWeightData()
+        });
+    }
+
+    /**
+     * Возвращает данные для расчёта веса бисера: по выбранному профилю,
+     * а для своего размера - по размеру ячейки и форме бисеринки
+     * @returns {{beadsPerGram: number, packGrams: number, isEstimated: boolean}}
+     */
+    getBeadWeightData() {
+        const profile = this.beadProfile || BeadProfileLibrary.fromCellSize(
+            '',
+            this.beadShape || 'round',
+            this.pixelWidthMM,
+            this.pixelHeightMM,
+            this.gridType
+        );
+        return BeadProfileLibrary.getWeightData(profile);
+    }
+
+    /**
+     * Составляет легенду цветов схемы
+     * @returns {Object} легенда (см. BeadLegend.build)
+     */
+    buildLegend() {
+        const filter = this.getCatalogFilter();
+        return BeadLegend.build(this.getPattern(), {
+            ...this.getBeadWeightData(),
+            addSpare: this.legendSpare,
+            getCatalogEntry: color => this.beadCatalog ? this.beadCatalogs.findByColor(color, filter) : null
         });
     }
 
     /**
      * Подсчитывает количество заполненных бисеринок в узоре
-     * @param {number} gridWidth - ширина сетки
-     * @param {number} gridHeight - высота сетки
      * @returns {number} количество заполненных бисеринок
      */
-    countFilledBeads(gridWidth, gridHeight) {
+    countFilledBeads() {
         if (!this.originalDrawing) return 0;
 
-        const canvasWidth = this.currentCanvasWidth || this.canvas.width;
-        const canvasHeight = this.currentCanvasHeight || this.canvas.height;
+        let count = 0;
+        this.getPattern().forEach(color => {
+            if (color) {
+                count++;
+            }
+        });
+        return count;
+    }
 
-        const pixelWidthPx = canvasWidth / gridWidth;
-        const pixelHeightPx = canvasHeight / gridHeight;
+    /**
+     * Подсчитывает количество разных цветов бисеринок в узоре
+     * @returns {number} количество цветов
+     */
+    countColors() {
+        if (!this.originalDrawing) return 0;
 
-        // Преобразуем смещение из мм в пиксели экрана
-        const gridOffsetPxX = (this.gridOffsetX / this.workspaceWidthMM) * canvasWidth;
-        const gridOffsetPxY = (this.gridOffsetY / this.workspaceHeightMM) * canvasHeight;
+        const colors = new Set();
+        this.getPattern().forEach(color => {
+            if (color) {
+                colors.add(color);
+            }
+        });
+        return colors.size;
+    }
 
-        // Вычисляем масштаб для файла
-        let scaleX = 1.0;
-        let scaleY = 1.0;
-        let offsetX = 0.0;
-        let offsetY = 0.0;
+    /**
+     * Подсчитывает бисеринки каждого подобранного бисера каталога
+     * @returns {Array<{entry: Object, count: number}>} бисер каталога по убыванию количества
+     */
+    countCatalogBeads() {
+        if (!this.originalDrawing || !this.beadCatalog) return [];
 
-        if (this.hasLoadedFile && this.fileWidthMM && this.fileHeightMM) {
-            scaleX = this.fileWidthMM / this.workspaceWidthMM;
-            scaleY = this.fileHeightMM / this.workspaceHeightMM;
-            offsetX = (1.0 - scaleX) / 2.0;
-            offsetY = (1.0 - scaleY) / 2.0;
-        }
+        const counts = new Map();
+        this.getPattern().forEach(color => {
+            if (color) {
+                counts.set(color, (counts.get(color) || 0) + 1);
+            }
+        });
 
-        let count = 0;
+        const filter = this.getCatalogFilter();
+        return [...counts]
+            .map(([color, count]) => ({ entry: this.beadCatalogs.findByColor(color, filter), count }))
+            .filter(({ entry }) => entry)
+            .sort((a, b) => b.count - a.count);
+    }
 
-        for (let row = 0; row < gridHeight; row++) {
-            for (let col = 0; col < gridWidth; col++) {
-                // Смещение для разных типов сеток
-                let offsetPxX = 0;
-                let offsetPxY = 0;
+    render() {
+        // Геометрия и цвета бисеринок пересчитываются один раз и используются
+        // отрисовкой, наведением и статистикой
+        this.geometry = this.createGeometry();
+        this.pattern = this.computePattern(this.geometry);
 
-                if (this.gridType === 'peyote') {
-                    offsetPxY = (col % 2 === 1) ? pixelHeightPx / 2 : 0;
-                } else if (this.gridType === 'brick') {
-                    offsetPxX = (row % 2 === 1) ? pixelWidthPx / 2 : 0;
-                }
+        this.renderer.render(this.getRenderData());
 
-                // Экранные координаты с учётом смещения сетки
-                const x = col * pixelWidthPx + offsetPxX + gridOffsetPxX;
-                const y = row * pixelHeightPx + offsetPxY + gridOffsetPxY;
-
-                // Вычисляем процент заполнения бисеринки
-                const fillPercentage = this.calculateBeadFillPercentage(
-                    x, y, pixelWidthPx, pixelHeightPx, canvasWidth, canvasHeight, scaleX, scaleY, offsetX, offsetY
-                );
-
-                // Бисеринка считается заполненной, если процент заполнения >= порога
-                // Для порога 0 требуется fillPercentage > 0 (хотя бы частичное заполнение)
-                const isFilled = this.fillThreshold === 0
-                    ? fillPercentage > 0
-                    : fillPercentage >= this.fillThreshold;
-                if (isFilled) {
-                    count++;
-                }
-            }
+        if (this.gridType === 'tubular') {
+            this.renderCylinderPreview();
         }
 
-        return count;
+        // Обновляем статистику после рендеринга
+        this.updateUI();
     }
 
-    render() {
-        const canvasWidth = this.currentCanvasWidth || this.canvas.width;
-        const canvasHeight = this.currentCanvasHeight || this.canvas.height;
+    /**
+     * Перерисовывает только подсветку ряда и бисеринки под курсором и выделение:
+     * сетка, цвета бисеринок и статистика остаются от последней отрисовки
+     */
+    renderHighlights() {
+        if (!this.geometry) {
+            this.render();
+            return;
+        }
 
-        this.renderer.render({
-            canvasWidth,
-            canvasHeight,
+        this.renderer.renderHighlights(this.getRenderData());
+    }
+
+    /**
+     * Собирает данные для отрисовки canvas по геометрии и цветам последней отрисовки
+     * @returns {Object} данные для CanvasRenderer.render
+     */
+    getRenderData() {
+        return {
+            canvasWidth: this.currentCanvasWidth || this.canvas.width,
+            canvasHeight: this.currentCanvasHeight || this.canvas.height,
             workspaceWidthMM: this.workspaceWidthMM,
             workspaceHeightMM: this.workspaceHeightMM,
-            pixelWidthMM: this.pixelWidthMM,
-            pixelHeightMM: this.pixelHeightMM,
-            originalDrawing: this.originalDrawing,
+            geometry: this.geometry,
+            pattern: this.pattern,
             contour: this.contour,
             hasLoadedFile: this.hasLoadedFile,
             fileWidthMM: this.fileWidthMM,
             fileHeightMM: this.fileHeightMM,
             gridType: this.gridType,
-            gridOffsetX: this.gridOffsetX,
-            gridOffsetY: this.gridOffsetY,
+            beadShape: this.beadShape,
             hoveredRow: this.hoveredRow,
             hoveredBead: this.hoveredBead,
-            fillThreshold: this.fillThreshold
+            selection: this.selection,
+            selectionPath: this.selectionPath
+        };
+    }
+
+    /**
+     * Отрисовывает вид трубчатого peyote сбоку на отдельном canvas
+     */
+    renderCylinderPreview() {
+        if (!this.cylinderCanvas) return;
+
+        this.renderer.renderCylinderPreview(this.cylinderCanvas.getContext('2d'), {
+            width: this.cylinderCanvas.width,
+            height: this.cylinderCanvas.height,
+            geometry: this.getGeometry(),
+            beadAspect: this.pixelHeightMM / this.pixelWidthMM,
+            rotationDeg: this.cylinderRotation,
+            getBeadColor: (row, col) => this.getBeadColor(row, col)
         });
+    }
 
-        // Обновляем статистику после рендеринга
-        this.updateUI();
+    /**
+     * Возвращает коды подобранного бисера каталога для заполненных бисеринок
+     * @returns {Object<string, string>} код бисера по ключу GridGeometry.key(row, col)
+     */
+    getBeadCodes() {
+        if (!this.beadCatalog) return {};
+
+        const filter = this.getCatalogFilter();
+        const codes = {};
+        this.getPattern().forEach((color, key) => {
+            const entry = color ? this.beadCatalogs.findByColor(color, filter) : null;
+            if (entry) {
+                codes[key] = entry.code;
+            }
+        });
+        return codes;
     }
 
     /**
@@ -1045,11 +2238,22 @@ class BeadingStudio {
                 workspaceHeightMM: this.workspaceHeightMM,
                 pixelWidthMM: this.pixelWidthMM,
                 pixelHeightMM: this.pixelHeightMM,
+                beadProfile: this.beadProfile ? this.beadProfile.name : null,
+                beadProfileData: Validator.validateBeadProfile(this.beadProfile),
+                beadShape: this.beadShape,
                 gridType: this.gridType,
+                peyoteDrops: this.peyoteDrops,
+                peyoteCount: this.peyoteCount,
+                peyoteStartSide: this.peyoteStartSide,
                 gridOffsetX: this.gridOffsetX,
                 gridOffsetY: this.gridOffsetY,
                 scale: this.scale,
                 fillThreshold: this.fillThreshold,
+                paletteSize: this.paletteSize,
+                ditherMode: this.ditherMode,
+                beadCatalog: this.beadCatalog,
+                beadFinish: this.beadFinish,
+                legendSpare: this.legendSpare,
                 fileType: this.fileType,
                 hasLoadedFile: this.hasLoadedFile,
                 fileWidthMM: this.fileWidthMM,
@@ -1059,8 +2263,30 @@ class BeadingStudio {
                 loadedFileName: this.loadedFileName,
                 loadedFileData: this.loadedFileData, // base64
                 loadedFileExtension: this.loadedFileExtension,
+                // Видимость и цвет слоёв DXF по имени слоя (color: null - цвета объектов из файла)
+                dxfLayerSettings: this.dxfLayerSettings,
+                // Единицы чертежа DXF (ключ DXF_UNITS): определённые по файлу или выбранные пользователем
+                dxfUnits: this.dxfUnits,
+                // Ширина, режим, яркость, контраст и порог растрового изображения
+                // (само изображение хранится в loadedFileData)
+                imageSettings: this.imageSettings,
                 originalContour: this.originalContour,
-                contour: this.contour
+                contour: this.contour,
+                // Ручные правки бисеринок: цвет или null (очищенная бисеринка) по ключу "строка:столбец"
+                beadOverrides: Object.fromEntries(this.beadOverrides),
+                // Итоговые цвета заполненных бисеринок по ключу "строка:столбец", чтобы схему
+                // можно было прочитать без пересчёта из исходного файла
+                beadColors: Object.fromEntries([...this.getPattern()].filter(([, color]) => color)),
+                // Подобранный бисер каталога: код для каждой бисеринки и список для покупки
+                beadCodes: this.getBeadCodes(),
+                catalogBeads: this.countCatalogBeads().map(({ entry, count }) => ({
+                    catalog: entry.catalogName,
+                    code: entry.code,
+                    name: entry.name,
+                    finish: entry.finish,
+                    hex: entry.hex,
+                    count
+                }))
             };
 
             const jsonString = JSON.stringify(projectData, null, 2);
@@ -1244,11 +2470,40 @@ class BeadingStudio {
             this.workspaceHeightMM = projectData.workspaceHeightMM || 150;
             this.pixelWidthMM = projectData.pixelWidthMM || 3.1;
             this.pixelHeightMM = projectData.pixelHeightMM || 3.1;
-            this.gridType = projectData.gridType || 'peyote';
+            // Профиль хранится по названию вместе с размерами, чтобы проект
+            // открывался и там, где такого профиля нет в библиотеке
+            const savedProfile = Validator.validateBeadProfile(projectData.beadProfileData);
+            this.beadProfile = projectData.beadProfile
+                ? (savedProfile && savedProfile.name === projectData.beadProfile
+                    ? savedProfile
+                    : this.beadProfiles.get(projectData.beadProfile))
+                : null;
+            this.beadShape = BEAD_SHAPES.includes(projectData.beadShape)
+                ? projectData.beadShape
+                : (this.beadProfile ? this.beadProfile.shape : null);
+            this.gridType = Validator.validateGridType(projectData.gridType);
+            this.peyoteDrops = Validator.validatePeyoteDrops(
+                projectData.peyoteDrops !== undefined ? projectData.peyoteDrops : DEFAULT_PEYOTE_DROPS
+            );
+            if (projectData.peyoteCount !== undefined) {
+                this.peyoteCount = Validator.validatePeyoteCount(projectData.peyoteCount);
+            } else {
+                // В старых проектах счёта нет - берём его по ширине сетки, чтобы не обрезать столбцы
+                const gridWidth = Math.max(1, Math.floor(this.workspaceWidthMM / this.pixelWidthMM));
+                this.peyoteCount = Math.ceil(gridWidth / this.peyoteDrops) % 2 === 1 ? 'odd' : 'even';
+            }
+            this.peyoteStartSide = Validator.validatePeyoteStartSide(projectData.peyoteStartSide);
             this.gridOffsetX = projectData.gridOffsetX || 0;
             this.gridOffsetY = projectData.gridOffsetY || 0;
             this.scale = projectData.scale || 1.0;
             this.fillThreshold = projectData.fillThreshold !== undefined ? projectData.fillThreshold : DEFAULT_FILL_THRESHOLD;
+            this.paletteSize = Validator.validatePaletteSize(
+                projectData.paletteSize !== undefined ? projectData.paletteSize : DEFAULT_PALETTE_SIZE
+            );
+            this.ditherMode = Validator.validateDitherMode(projectData.ditherMode);
+            this.beadCatalog = Validator.validateBeadCatalog(projectData.beadCatalog);
+            this.beadFinish = Validator.validateBeadFinish(projectData.beadFinish);
+            this.legendSpare = Boolean(projectData.legendSpare);
 
             // Восстанавливаем данные файла
             this.fileType = projectData.fileType;
@@ -1275,7 +2530,8 @@ class BeadingStudio {
 
                 // Создаем File объект
                 const fileObj = new File([blob], projectData.loadedFileName || 'file.' + projectData.loadedFileExtension, {
-                    type: projectData.loadedFileExtension === 'svg' ? 'image/svg+xml' : 'application/dxf'
+                    type: IMAGE_MIME_TYPES[projectData.loadedFileExtension] ||
+                        (projectData.loadedFileExtension === 'svg' ? 'image/svg+xml' : 'application/dxf')
                 });
 
                 // Загружаем файл
@@ -1287,29 +2543,50 @@ class BeadingStudio {
                     this.applyScale();
                     this.uiController.updateScale(this.scale);
                 }
+
+                // Восстанавливаем настройки слоёв для DXF (после загрузки файла)
+                if (projectData.loadedFileExtension === 'dxf' && projectData.dxfLayerSettings) {
+                    this.dxfLayerSettings = {
+                        ...this.dxfLayerSettings,
+                        ...Validator.validateDxfLayerSettings(projectData.dxfLayerSettings)
+                    };
+                    this.applyDxfLayerSettings();
+                }
+
+                // Восстанавливаем единицы чертежа DXF (после загрузки файла)
+                if (projectData.loadedFileExtension === 'dxf' && this.dxfDrawingSize && projectData.dxfUnits) {
+                    this.dxfUnits = Validator.validateDxfUnits(projectData.dxfUnits);
+                    this.applyDxfUnits();
+                    this.uiController.updateFileInfo(this.loadedFileName, this.fileWidthMM, this.fileHeightMM);
+                }
+
+                // Восстанавливаем настройки изображения (после загрузки файла)
+                if (this.fileType === 'image' && projectData.imageSettings) {
+                    this.imageSettings = Validator.validateImageSettings(projectData.imageSettings);
+                    this.applyImageSettings();
+                    this.uiController.updateFileInfo(this.loadedFileName, this.fileWidthMM, this.fileHeightMM);
+                }
             } else {
                 // Если файла не было, восстанавливаем пустое состояние
                 this.createOriginalDrawing();
+                this.uiController.clearFileInfo();
             }
 
+            // Ручные правки восстанавливаются после загрузки файла, который их сбрасывает
+            this.beadOverrides = Validator.validateBeadOverrides(projectData.beadOverrides);
+
             // Обновляем UI
-            this.uiController.updatePixelInputs(this.pixelWidthMM, this.pixelHeightMM);
-            this.uiController.updateWorkspaceInputs(this.workspaceWidthMM, this.workspaceHeightMM);
-            this.uiController.setActiveGridType(this.gridType);
-            this.uiController.updateGridOffsetInputs(this.gridOffsetX, this.gridOffsetY);
-            this.uiController.updateFillThreshold(this.fillThreshold);
-            if (this.fileType === 'svg') {
-                this.uiController.showScaleSection(true);
-                this.uiController.updateScale(this.scale);
-            } else {
-                this.uiController.showScaleSection(false);
-            }
+            this.syncControls();
+            this.uiController.setLegendSpare(this.legendSpare);
 
             // Настраиваем canvas и перерисовываем
             this.setupCanvas();
             this.updateUI();
             this.render();
 
+            // Открытый проект не отменяется: с него история начинается заново
+            this.resetHistory(`Проект ${file.name}`);
+
             // Проект успешно загружен
             this.hideLoading();
             this.showNotification('Проект успешно загружен', 'success');
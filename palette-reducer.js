@@ -0,0 +1,228 @@
+/**
+ * Модуль ограничения палитры схемы
+ *
+ * Сводит цвета бисеринок к заданному количеству цветов: палитра строится
+ * медианным сечением (median cut) по цветам бисеринок с учётом их количества,
+ * после чего каждая бисеринка получает ближайший цвет палитры - напрямую,
+ * с диффузией ошибки по соседям сетки (Флойд–Стейнберг) или с упорядоченным
+ * дизерингом по матрице Байера.
+ */
+class PaletteReducer {
+    /**
+     * Ограничивает палитру схемы
+     * @param {Map<string, string|null>} pattern - цвета бисеринок по ключу GridGeometry.key(row, col)
+     * @param {GridGeometry} geometry - геометрия сетки (порядок обхода и соседи для дизеринга)
+     * @param {Object} options - параметры
+     * @param {number} options.paletteSize - количество цветов в палитре
+     * @param {string} options.ditherMode - способ дизеринга ('none', 'floyd-steinberg', 'ordered')
+     * @returns {Map<string, string|null>} цвета бисеринок из палитры
+     */
+    static reduce(pattern, geometry, options) {
+        const { paletteSize, ditherMode } = options;
+
+        // Количество бисеринок каждого цвета
+        const counts = new Map();
+        pattern.forEach(color => {
+            if (color) {
+                counts.set(color, (counts.get(color) || 0) + 1);
+            }
+        });
+        if (counts.size <= paletteSize) {
+            return pattern;
+        }
+
+        const palette = this.medianCut(
+            [...counts].map(([color, count]) => ({ ...ColorUtils.hexToRgb(color), count })),
+            paletteSize
+        );
+
+        switch (ditherMode) {
+            case 'floyd-steinberg':
+                return this.ditherFloydSteinberg(pattern, geometry, palette);
+            case 'ordered':
+                return this.ditherOrdered(pattern, geometry, palette);
+            default:
+                return this.mapToPalette(pattern, palette);
+        }
+    }
+
+    /**
+     * Строит палитру медианным сечением
+     * @param {Array<{r: number, g: number, b: number, count: number}>} colors - цвета с количеством бисеринок
+     * @param {number} size - количество цветов палитры
+     * @returns {Array<{r: number, g: number, b: number}>} палитра
+     */
+    static medianCut(colors, size) {
+        const channels = ['r', 'g', 'b'];
+        const getRange = (box, channel) => {
+            const values = box.map(color => color[channel]);
+            return Math.max(...values) - Math.min(...values);
+        };
+
+        const boxes = [colors];
+        while (boxes.length < size) {
+            // Делим коробку с наибольшим разбросом по одному из каналов
+            let bestIndex = -1;
+            let bestChannel = null;
+            let bestRange = 0;
+            boxes.forEach((box, index) => {
+                if (box.length < 2) return;
+                channels.forEach(channel => {
+                    const range = getRange(box, channel);
+                    if (range > bestRange) {
+                        bestIndex = index;
+                        bestChannel = channel;
+                        bestRange = range;
+                    }
+                });
+            });
+            if (bestIndex === -1) break;
+
+            // Граница - взвешенная медиана по количеству бисеринок
+            const box = boxes[bestIndex].slice().sort((a, b) => a[bestChannel] - b[bestChannel]);
+            const total = box.reduce((sum, color) => sum + color.count, 0);
+            let accumulated = 0;
+            let splitIndex = 1;
+            for (let i = 0; i < box.length - 1; i++) {
+                accumulated += box[i].count;
+                splitIndex = i + 1;
+                if (accumulated >= total / 2) break;
+            }
+            boxes.splice(bestIndex, 1, box.slice(0, splitIndex), box.slice(splitIndex));
+        }
+
+        // Цвет палитры - среднее цветов коробки с учётом количества бисеринок
+        return boxes.map(box => {
+            const total = box.reduce((sum, color) => sum + color.count, 0);
+            const average = channel => box.reduce((sum, color) => sum + color[channel] * color.count, 0) / total;
+            return { r: Math.round(average('r')), g: Math.round(average('g')), b: Math.round(average('b')) };
+        });
+    }
+
+    /**
+     * Находит ближайший цвет палитры
+     * @param {{r: number, g: number, b: number}} rgb - цвет
+     * @param {Array<{r: number, g: number, b: number}>} palette - палитра
+     * @returns {{r: number, g: number, b: number}} цвет палитры
+     */
+    static nearest(rgb, palette) {
+        let best = palette[0];
+        let bestDistance = Infinity;
+        palette.forEach(color => {
+            const distance = (rgb.r - color.r) ** 2 + (rgb.g - color.g) ** 2 + (rgb.b - color.b) ** 2;
+            if (distance < bestDistance) {
+                best = color;
+                bestDistance = distance;
+            }
+        });
+        return best;
+    }
+
+    /**
+     * Заменяет каждый цвет ближайшим цветом палитры без дизеринга
+     * @param {Map<string, string|null>} pattern - цвета бисеринок
+     * @param {Array<{r: number, g: number, b: number}>} palette - палитра
+     * @returns {Map<string, string|null>}
+     */
+    static mapToPalette(pattern, palette) {
+        const mapped = new Map();
+        const result = new Map();
+        pattern.forEach((color, key) => {
+            if (!color) {
+                result.set(key, null);
+                return;
+            }
+            if (!mapped.has(color)) {
+                const { r, g, b } = this.nearest(ColorUtils.hexToRgb(color), palette);
+                mapped.set(color, ColorUtils.rgbToHex(r, g, b));
+            }
+            result.set(key, mapped.get(color));
+        });
+        return result;
+    }
+
+    /**
+     * Дизеринг Флойда–Стейнберга: ошибка округления до палитры передаётся соседям
+     * по сетке, пустые бисеринки ошибку не получают
+     * @param {Map<string, string|null>} pattern - цвета бисеринок
+     * @param {GridGeometry} geometry - геометрия сетки
+     * @param {Array<{r: number, g: number, b: number}>} palette - палитра
+     * @returns {Map<string, string|null>}
+     */
+    static ditherFloydSteinberg(pattern, geometry, palette) {
+        const { order, targets } = geometry.getErrorDiffusion();
+        const values = new Map();
+        pattern.forEach((color, key) => {
+            if (color) {
+                values.set(key, ColorUtils.hexToRgb(color));
+            }
+        });
+
+        const result = new Map(pattern);
+        order.forEach(({ row, col }) => {
+            const key = GridGeometry.key(row, col);
+            const value = values.get(key);
+            if (!value) return;
+
+            const chosen = this.nearest(value, palette);
+            result.set(key, ColorUtils.rgbToHex(chosen.r, chosen.g, chosen.b));
+
+            const error = { r: value.r - chosen.r, g: value.g - chosen.g, b: value.b - chosen.b };
+            const filledTargets = targets.get(key).filter(t => values.has(GridGeometry.key(t.row, t.col)));
+            const total = filledTargets.reduce((sum, t) => sum + t.weight, 0);
+            filledTargets.forEach(t => {
+                const target = values.get(GridGeometry.key(t.row, t.col));
+                const share = t.weight / total;
+                target.r += error.r * share;
+                target.g += error.g * share;
+                target.b += error.b * share;
+            });
+        });
+        return result;
+    }
+
+    /**
+     * Упорядоченный дизеринг по матрице Байера: к цвету добавляется порог,
+     * зависящий от положения бисеринки, с амплитудой в среднее расстояние между цветами палитры
+     * @param {Map<string, string|null>} pattern - цвета бисеринок
+     * @param {GridGeometry} geometry - геометрия сетки
+     * @param {Array<{r: number, g: number, b: number}>} palette - палитра
+     * @returns {Map<string, string|null>}
+     */
+    static ditherOrdered(pattern, geometry, palette) {
+        const spread = this.getPaletteSpread(palette);
+        const matrixSize = BAYER_MATRIX_4.length;
+        const result = new Map(pattern);
+        geometry.getBeads().forEach(({ row, col }) => {
+            const key = GridGeometry.key(row, col);
+            const color = pattern.get(key);
+            if (!color) return;
+
+            const threshold = (BAYER_MATRIX_4[row % matrixSize][col % matrixSize] + 0.5) / (matrixSize * matrixSize) - 0.5;
+            const rgb = ColorUtils.hexToRgb(color);
+            const chosen = this.nearest({
+                r: rgb.r + threshold * spread,
+                g: rgb.g + threshold * spread,
+                b: rgb.b + threshold * spread
+            }, palette);
+            result.set(key, ColorUtils.rgbToHex(chosen.r, chosen.g, chosen.b));
+        });
+        return result;
+    }
+
+    /**
+     * Среднее расстояние от цвета палитры до ближайшего другого цвета палитры
+     * @param {Array<{r: number, g: number, b: number}>} palette - палитра
+     * @returns {number} расстояние в единицах RGB
+     */
+    static getPaletteSpread(palette) {
+        if (palette.length < 2) return 0;
+
+        const total = palette.reduce((sum, color) => {
+            const others = palette.filter(other => other !== color);
+            const closest = this.nearest(color, others);
+            return sum + Math.sqrt((color.r - closest.r) ** 2 + (color.g - closest.g) ** 2 + (color.b - closest.b) ** 2);
+        }, 0);
+        return total / palette.length;
+    }
+}
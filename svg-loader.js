@@ -6,6 +6,7 @@ class SVGLoader {
      * Загружает и обрабатывает SVG файл
      * @param {File} file - SVG файл
      * @returns {Promise<{contour: Array, drawingFunction: Function, width: number, height: number}>}
+     *     drawingFunction(x, y) возвращает цвет рисунка '#rrggbb' в нормализованной точке или null для фона
      */
     async loadSVG(file) {
         const text = await file.text();
@@ -85,14 +86,14 @@ class SVGLoader {
         const firstPath = paths[0];
         const contourPoints = this.extractContourFromPath(firstPath, svgWidth, svgHeight, svgMinX, svgMinY);
 
-        // Создаём функцию проверки заполнения на основе растра
+        // Создаём функцию цвета рисунка на основе растра
         const imageData = tempCtx.getImageData(0, 0, resolution, resolution);
         const drawingFunction = (normalizedX, normalizedY) => {
             const x = Math.floor(normalizedX * resolution);
             const y = Math.floor(normalizedY * resolution);
 
             if (x < 0 || x >= resolution || y < 0 || y >= resolution) {
-                return false;
+                return null;
             }
 
             const index = (y * resolution + x) * 4;
@@ -100,8 +101,8 @@ class SVGLoader {
             const g = imageData.data[index + 1];
             const b = imageData.data[index + 2];
 
-            // Считаем заполненным, если не белый (учитываем чёрный цвет)
-            return r < 200 && g < 200 && b < 200;
+            // Белый и светлый фон не заполняет бисеринку, остальные пиксели дают её цвет
+            return ColorUtils.isBackground(r, g, b) ? null : ColorUtils.rgbToHex(r, g, b);
         };
 
         return {
@@ -6,11 +6,37 @@ class UIController {
      * @param {Object} callbacks - колбэки для обновления состояния
      * @param {Function} callbacks.onPixelWidthChange - вызывается при изменении ширины пикселя
      * @param {Function} callbacks.onPixelHeightChange - вызывается при изменении высоты пикселя
+     * @param {Function} callbacks.onBeadProfileChange - вызывается при выборе профиля бисера
+     * @param {Function} callbacks.onBeadShapeChange - вызывается при выборе формы бисеринки
+     * @param {Function} callbacks.onSaveBeadProfile - вызывается при сохранении профиля бисера
+     * @param {Function} callbacks.onDeleteBeadProfile - вызывается при удалении профиля бисера
      * @param {Function} callbacks.onWorkspaceWidthChange - вызывается при изменении ширины рабочей области
      * @param {Function} callbacks.onWorkspaceHeightChange - вызывается при изменении высоты рабочей области
      * @param {Function} callbacks.onScaleChange - вызывается при изменении масштаба (только для SVG)
      * @param {Function} callbacks.onFileUpload - вызывается при загрузке файла
+     * @param {Function} callbacks.onDxfLayerChange - вызывается при скрытии слоя DXF или выборе его цвета
+     * @param {Function} callbacks.onDxfUnitsChange - вызывается при выборе единиц чертежа DXF
+     * @param {Function} callbacks.onImageSettingsChange - вызывается при изменении ширины, режима, яркости,
+     *     контраста или порога растрового изображения
      * @param {Function} callbacks.onGridTypeChange - вызывается при изменении типа сетки
+     * @param {Function} callbacks.onPeyoteDropsChange - вызывается при изменении количества бисеринок в стежке peyote
+     * @param {Function} callbacks.onPeyoteCountChange - вызывается при выборе чётного или нечётного счёта peyote
+     * @param {Function} callbacks.onPeyoteStartSideChange - вызывается при выборе стороны начала peyote
+     * @param {Function} callbacks.onCylinderRotationChange - вызывается при повороте трубки в предпросмотре
+     * @param {Function} callbacks.onPaletteSizeChange - вызывается при изменении количества цветов палитры
+     * @param {Function} callbacks.onDitherModeChange - вызывается при выборе способа дизеринга
+     * @param {Function} callbacks.onBeadCatalogChange - вызывается при выборе каталога для подбора бисера
+     * @param {Function} callbacks.onBeadFinishChange - вызывается при выборе покрытия бисера
+     * @param {Function} callbacks.onLegendSpareChange - вызывается при включении запаса в легенде
+     * @param {Function} callbacks.onExportShoppingList - вызывается при скачивании списка покупок
+     * @param {Function} callbacks.onEditToolChange - вызывается при выборе инструмента редактирования
+     * @param {Function} callbacks.onPaintColorChange - вызывается при выборе цвета кисти
+     * @param {Function} callbacks.onNewPattern - вызывается при создании пустой схемы
+     * @param {Function} callbacks.onClearOverrides - вызывается при сбросе ручных правок
+     * @param {Function} callbacks.onSelectionAction - вызывается для действий с выделением (копирование, вставка, отражение, поворот)
+     * @param {Function} callbacks.onUndo - вызывается при отмене шага истории
+     * @param {Function} callbacks.onRedo - вызывается при повторе отменённого шага
+     * @param {Function} callbacks.onHistoryJump - вызывается при выборе шага в списке истории
      * @param {Function} callbacks.onUpdateUI - вызывается для обновления UI
      */
     constructor(callbacks) {
@@ -19,8 +45,24 @@ class UIController {
         this.heightInput = document.getElementById('pixelHeightInput');
         this.widthSlider = document.getElementById('pixelWidthSlider');
         this.heightSlider = document.getElementById('pixelHeightSlider');
+        this.beadProfileSelect = document.getElementById('beadProfileSelect');
+        this.beadProfileNameInput = document.getElementById('beadProfileNameInput');
+        this.beadShapeButtons = document.querySelectorAll('.bead-shape-btn');
+        this.saveBeadProfileBtn = document.getElementById('saveBeadProfileBtn');
+        this.deleteBeadProfileBtn = document.getElementById('deleteBeadProfileBtn');
+        this.beadProfiles = [];
         this.scaleSlider = document.getElementById('scaleSlider');
         this.fileUpload = document.getElementById('fileUpload');
+        this.dxfLayerSection = document.getElementById('dxfLayerSection');
+        this.dxfLayerList = document.getElementById('dxfLayerList');
+        this.dxfUnitsSelect = document.getElementById('dxfUnitsSelect');
+        this.imageSection = document.getElementById('imageSection');
+        this.imageWidthInput = document.getElementById('imageWidthInput');
+        this.imageWidthSlider = document.getElementById('imageWidthSlider');
+        this.imageModeButtons = document.querySelectorAll('.image-mode-btn');
+        this.imageBrightnessSlider = document.getElementById('imageBrightnessSlider');
+        this.imageContrastSlider = document.getElementById('imageContrastSlider');
+        this.imageThresholdSlider = document.getElementById('imageThresholdSlider');
         this.saveProjectBtn = document.getElementById('saveProjectBtn');
         this.loadProjectBtn = document.getElementById('loadProjectBtn');
         this.workspaceWidthInput = document.getElementById('workspaceWidthInput');
@@ -28,12 +70,33 @@ class UIController {
         this.workspaceWidthSlider = document.getElementById('workspaceWidthSlider');
         this.workspaceHeightSlider = document.getElementById('workspaceHeightSlider');
         this.gridTypeButtons = document.querySelectorAll('.grid-type-btn');
+        this.peyoteOptions = document.getElementById('peyoteOptions');
+        this.peyoteDropButtons = document.querySelectorAll('.peyote-drop-btn');
+        this.peyoteCountButtons = document.querySelectorAll('.peyote-count-btn');
+        this.peyoteSideButtons = document.querySelectorAll('.peyote-side-btn');
+        this.cylinderPreviewSection = document.getElementById('cylinderPreviewSection');
+        this.cylinderRotationSlider = document.getElementById('cylinderRotationSlider');
         this.gridOffsetXInput = document.getElementById('gridOffsetX');
         this.gridOffsetYInput = document.getElementById('gridOffsetY');
         this.gridOffsetXSlider = document.getElementById('gridOffsetXSlider');
         this.gridOffsetYSlider = document.getElementById('gridOffsetYSlider');
         this.fillThresholdInput = document.getElementById('fillThresholdInput');
         this.fillThresholdSlider = document.getElementById('fillThresholdSlider');
+        this.paletteSizeInput = document.getElementById('paletteSizeInput');
+        this.paletteSizeSlider = document.getElementById('paletteSizeSlider');
+        this.ditherButtons = document.querySelectorAll('.dither-btn');
+        this.beadCatalogSelect = document.getElementById('beadCatalogSelect');
+        this.beadFinishSelect = document.getElementById('beadFinishSelect');
+        this.legendSpareCheckbox = document.getElementById('legendSpareCheckbox');
+        this.exportShoppingListBtn = document.getElementById('exportShoppingListBtn');
+        this.editToolButtons = document.querySelectorAll('.edit-tool-btn');
+        this.paintColorInput = document.getElementById('paintColorInput');
+        this.newPatternBtn = document.getElementById('newPatternBtn');
+        this.clearOverridesBtn = document.getElementById('clearOverridesBtn');
+        this.selectionActionButtons = document.querySelectorAll('.selection-action-btn');
+        this.undoBtn = document.getElementById('undoBtn');
+        this.redoBtn = document.getElementById('redoBtn');
+        this.historyList = document.getElementById('historyList');
         this.syncWorkspaceSizeCheckbox = document.getElementById('syncWorkspaceSize');
 
         this.initialize();
@@ -85,6 +148,35 @@ class UIController {
             this.callbacks.onPixelHeightChange(value);
         });
 
+        // Обработчики для профиля бисера
+        this.beadProfileSelect.addEventListener('change', (e) => {
+            if (this.callbacks.onBeadProfileChange) {
+                this.callbacks.onBeadProfileChange(e.target.value || null);
+            }
+        });
+
+        this.beadShapeButtons.forEach(btn => {
+            btn.addEventListener('click', () => {
+                const shape = btn.dataset.shape;
+                this.setActiveBeadShape(shape);
+                if (this.callbacks.onBeadShapeChange) {
+                    this.callbacks.onBeadShapeChange(shape);
+                }
+            });
+        });
+
+        this.saveBeadProfileBtn.addEventListener('click', () => {
+            if (this.callbacks.onSaveBeadProfile) {
+                this.callbacks.onSaveBeadProfile(this.beadProfileNameInput.value);
+            }
+        });
+
+        this.deleteBeadProfileBtn.addEventListener('click', () => {
+            if (this.callbacks.onDeleteBeadProfile) {
+                this.callbacks.onDeleteBeadProfile(this.beadProfileSelect.value);
+            }
+        });
+
         // Обработчики для размеров рабочей области
         this.workspaceWidthInput.addEventListener('blur', () => {
             const value = this.clampWorkspaceSize(parseFloat(this.workspaceWidthInput.value));
@@ -136,13 +228,59 @@ class UIController {
 
             const extension = file.name.split('.').pop().toLowerCase();
 
-            if (extension === 'svg' || extension === 'dxf') {
+            if (extension === 'svg' || extension === 'dxf' || IMAGE_EXTENSIONS.includes(extension)) {
                 this.callbacks.onFileUpload(file, extension);
             } else {
-                alert('Пожалуйста, выберите SVG или DXF файл');
+                alert('Пожалуйста, выберите SVG, DXF или изображение PNG, JPEG, WebP, BMP');
             }
         });
 
+        // Обработчик для единиц чертежа DXF
+        this.dxfUnitsSelect.addEventListener('change', (e) => {
+            if (this.callbacks.onDxfUnitsChange) {
+                this.callbacks.onDxfUnitsChange(e.target.value);
+            }
+        });
+
+        // Обработчики для настроек растрового изображения
+        const notifyImageChange = (changes) => {
+            if (this.callbacks.onImageSettingsChange) {
+                this.callbacks.onImageSettingsChange(changes);
+            }
+        };
+
+        this.imageWidthInput.addEventListener('blur', () => {
+            notifyImageChange({ widthMM: this.clampWorkspaceSize(parseFloat(this.imageWidthInput.value)) });
+        });
+
+        this.imageWidthInput.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') {
+                this.imageWidthInput.blur();
+            }
+        });
+
+        this.imageWidthSlider.addEventListener('input', (e) => {
+            notifyImageChange({ widthMM: parseFloat(e.target.value) });
+        });
+
+        this.imageModeButtons.forEach(btn => {
+            btn.addEventListener('click', () => {
+                notifyImageChange({ mode: btn.dataset.imageMode });
+            });
+        });
+
+        this.imageBrightnessSlider.addEventListener('input', (e) => {
+            notifyImageChange({ brightness: parseInt(e.target.value, 10) });
+        });
+
+        this.imageContrastSlider.addEventListener('input', (e) => {
+            notifyImageChange({ contrast: parseInt(e.target.value, 10) });
+        });
+
+        this.imageThresholdSlider.addEventListener('input', (e) => {
+            notifyImageChange({ threshold: parseInt(e.target.value, 10) });
+        });
+
         // Обработчик для сохранения проекта
         if (this.saveProjectBtn) {
             this.saveProjectBtn.addEventListener('click', () => {
@@ -184,6 +322,51 @@ class UIController {
             });
         });
 
+        // Обработчики для кнопок N-drop peyote
+        this.peyoteDropButtons.forEach(btn => {
+            btn.addEventListener('click', () => {
+                const drops = parseInt(btn.dataset.drops, 10);
+                this.setActivePeyoteDrops(drops);
+                if (this.callbacks.onPeyoteDropsChange) {
+                    this.callbacks.onPeyoteDropsChange(drops);
+                }
+            });
+        });
+
+        // Обработчики для счёта peyote
+        this.peyoteCountButtons.forEach(btn => {
+            btn.addEventListener('click', () => {
+                const count = btn.dataset.count;
+                this.setActivePeyoteCount(count);
+                if (this.callbacks.onPeyoteCountChange) {
+                    this.callbacks.onPeyoteCountChange(count);
+                }
+            });
+        });
+
+        // Обработчики для стороны начала peyote
+        this.peyoteSideButtons.forEach(btn => {
+            btn.addEventListener('click', () => {
+                const side = btn.dataset.side;
+                this.setActivePeyoteStartSide(side);
+                if (this.callbacks.onPeyoteStartSideChange) {
+                    this.callbacks.onPeyoteStartSideChange(side);
+                }
+            });
+        });
+
+        // Поворот трубки в предпросмотре трубчатого peyote
+        if (this.cylinderRotationSlider) {
+            this.cylinderRotationSlider.addEventListener('input', (e) => {
+                const value = parseFloat(e.target.value);
+                document.getElementById('cylinderRotationValue').textContent = `${Math.round(value)}°`;
+                updateSliderProgress(this.cylinderRotationSlider);
+                if (this.callbacks.onCylinderRotationChange) {
+                    this.callbacks.onCylinderRotationChange(value);
+                }
+            });
+        }
+
         // Обработчики для смещения сетки по X
         this.gridOffsetXInput.addEventListener('blur', () => {
             const value = this.clampOffset(parseFloat(this.gridOffsetXInput.value));
@@ -268,6 +451,114 @@ class UIController {
             });
         }
 
+        // Обработчики для количества цветов палитры
+        this.paletteSizeInput.addEventListener('blur', () => {
+            const value = Validator.validatePaletteSize(parseFloat(this.paletteSizeInput.value));
+            if (this.callbacks.onPaletteSizeChange) {
+                this.callbacks.onPaletteSizeChange(value);
+            }
+        });
+
+        this.paletteSizeInput.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') {
+                this.paletteSizeInput.blur();
+            }
+        });
+
+        this.paletteSizeSlider.addEventListener('input', (e) => {
+            const value = parseInt(e.target.value, 10);
+            if (this.callbacks.onPaletteSizeChange) {
+                this.callbacks.onPaletteSizeChange(value);
+            }
+        });
+
+        // Обработчики для способа дизеринга
+        this.ditherButtons.forEach(btn => {
+            btn.addEventListener('click', () => {
+                const mode = btn.dataset.dither;
+                this.setActiveDitherMode(mode);
+                if (this.callbacks.onDitherModeChange) {
+                    this.callbacks.onDitherModeChange(mode);
+                }
+            });
+        });
+
+        // Обработчики для подбора бисера по каталогу
+        this.beadCatalogSelect.addEventListener('change', (e) => {
+            if (this.callbacks.onBeadCatalogChange) {
+                this.callbacks.onBeadCatalogChange(e.target.value);
+            }
+        });
+
+        this.beadFinishSelect.addEventListener('change', (e) => {
+            if (this.callbacks.onBeadFinishChange) {
+                this.callbacks.onBeadFinishChange(e.target.value);
+            }
+        });
+
+        // Обработчики для легенды цветов
+        this.legendSpareCheckbox.addEventListener('change', (e) => {
+            if (this.callbacks.onLegendSpareChange) {
+                this.callbacks.onLegendSpareChange(e.target.checked);
+            }
+        });
+
+        this.exportShoppingListBtn.addEventListener('click', () => {
+            if (this.callbacks.onExportShoppingList) {
+                this.callbacks.onExportShoppingList();
+            }
+        });
+
+        // Обработчики для редактирования бисеринок
+        this.editToolButtons.forEach(btn => {
+            btn.addEventListener('click', () => {
+                const tool = btn.dataset.tool;
+                this.setActiveEditTool(tool);
+                if (this.callbacks.onEditToolChange) {
+                    this.callbacks.onEditToolChange(tool);
+                }
+            });
+        });
+
+        this.paintColorInput.addEventListener('input', (e) => {
+            if (this.callbacks.onPaintColorChange) {
+                this.callbacks.onPaintColorChange(e.target.value);
+            }
+        });
+
+        this.newPatternBtn.addEventListener('click', () => {
+            if (this.callbacks.onNewPattern) {
+                this.callbacks.onNewPattern();
+            }
+        });
+
+        this.clearOverridesBtn.addEventListener('click', () => {
+            if (this.callbacks.onClearOverrides) {
+                this.callbacks.onClearOverrides();
+            }
+        });
+
+        this.selectionActionButtons.forEach(btn => {
+            btn.addEventListener('click', () => {
+                if (this.callbacks.onSelectionAction) {
+                    this.callbacks.onSelectionAction(btn.dataset.action);
+                }
+            });
+        });
+
+        // Обработчики для истории изменений
+        this.undoBtn.addEventListener('click', () => {
+            if (this.callbacks.onUndo) {
+                this.callbacks.onUndo();
+            }
+        });
+
+        this.redoBtn.addEventListener('click', () => {
+            if (this.callbacks.onRedo) {
+                this.callbacks.onRedo();
+            }
+        });
+
         // Инициализация прогресса ползунков
         updateSliderProgress(this.widthSlider);
         updateSliderProgress(this.heightSlider);
@@ -279,11 +570,87 @@ class UIController {
         if (this.fillThresholdSlider) {
             updateSliderProgress(this.fillThresholdSlider);
         }
+        if (this.cylinderRotationSlider) {
+            updateSliderProgress(this.cylinderRotationSlider);
+        }
+        updateSliderProgress(this.paletteSizeSlider);
+    }
+
+    /**
+     * Заполняет список профилей бисера и выбирает активный
+     * @param {Array<Object>} profiles - профили из библиотеки (с флагами isBuiltIn и isCustom)
+     * @param {Object|null} activeProfile - выбранный профиль или null для своего размера
+     */
+    setBeadProfiles(profiles, activeProfile) {
+        this.beadProfileSelect.innerHTML = '';
+
+        const customOption = document.createElement('option');
+        customOption.value = '';
+        customOption.textContent = 'Свой размер';
+        this.beadProfileSelect.appendChild(customOption);
+
+        const groups = [
+            { label: 'Встроенные', profiles: profiles.filter(p => p.isBuiltIn) },
+            { label: 'Мои профили', profiles: profiles.filter(p => !p.isBuiltIn) }
+        ];
+
+        // Профиль из открытого проекта, которого нет в библиотеке, показываем отдельно
+        if (activeProfile && !profiles.some(p => p.name === activeProfile.name)) {
+            groups.push({ label: 'Из проекта', profiles: [activeProfile] });
+        }
+
+        groups.forEach(group => {
+            if (group.profiles.length === 0) return;
+            const optgroup = document.createElement('optgroup');
+            optgroup.label = group.label;
+            group.profiles.forEach(profile => {
+                const option = document.createElement('option');
+                option.value = profile.name;
+                option.textContent = profile.isBuiltIn && profile.isCustom
+                    ? `${profile.name} (изменён)`
+                    : profile.name;
+                optgroup.appendChild(option);
+            });
+            this.beadProfileSelect.appendChild(optgroup);
+        });
+
+        this.beadProfiles = profiles;
+        this.setActiveBeadProfile(activeProfile);
+    }
+
+    /**
+     * Выбирает профиль бисера в списке и заполняет поля редактора
+     * @param {Object|null} profile - профиль или null для своего размера
+     */
+    setActiveBeadProfile(profile) {
+        this.beadProfileSelect.value = profile ? profile.name : '';
+        if (profile) {
+            this.beadProfileNameInput.value = profile.name;
+            this.setActiveBeadShape(profile.shape);
+        }
+
+        // Удалить можно только профиль пользователя или изменения встроенного
+        const libraryProfile = profile && this.beadProfiles.find(p => p.name === profile.name);
+        this.deleteBeadProfileBtn.disabled = !(libraryProfile && libraryProfile.isCustom);
+    }
+
+    /**
+     * Устанавливает активную форму бисеринки
+     * @param {string|null} shape - форма ('cylinder', 'round', 'bugle') или null для формы по типу сетки
+     */
+    setActiveBeadShape(shape) {
+        this.beadShapeButtons.forEach(btn => {
+            if (btn.dataset.shape === shape) {
+                btn.classList.add('active');
+            } else {
+                btn.classList.remove('active');
+            }
+        });
     }
 
     /**
      * Устанавливает активный тип сетки
-     * @param {string} gridType - тип сетки ('square', 'peyote', 'brick')
+     * @param {string} gridType - тип сетки ('square', 'peyote', 'tubular', 'brick', 'herringbone', 'raw', 'radial')
      */
     setActiveGridType(gridType) {
         this.gridTypeButtons.forEach(btn => {
@@ -293,6 +660,58 @@ class UIController {
                 btn.classList.remove('active');
             }
         });
+
+        // Настройки N-drop имеют смысл только для peyote
+        if (this.peyoteOptions) {
+            this.peyoteOptions.style.display = gridType === 'peyote' ? '' : 'none';
+        }
+
+        // Вид трубки сбоку показываем только для трубчатого peyote
+        if (this.cylinderPreviewSection) {
+            this.cylinderPreviewSection.style.display = gridType === 'tubular' ? '' : 'none';
+        }
+    }
+
+    /**
+     * Устанавливает активное количество бисеринок в стежке peyote
+     * @param {number} drops - количество бисеринок в стежке (1, 2 или 3)
+     */
+    setActivePeyoteDrops(drops) {
+        this.peyoteDropButtons.forEach(btn => {
+            if (parseInt(btn.dataset.drops, 10) === drops) {
+                btn.classList.add('active');
+            } else {
+                btn.classList.remove('active');
+            }
+        });
+    }
+
+    /**
+     * Устанавливает активный счёт peyote
+     * @param {string} count - счёт ('even' или 'odd')
+     */
+    setActivePeyoteCount(count) {
+        this.peyoteCountButtons.forEach(btn => {
+            if (btn.dataset.count === count) {
+                btn.classList.add('active');
+            } else {
+                btn.classList.remove('active');
+            }
+        });
+    }
+
+    /**
+     * Устанавливает активную сторону начала peyote
+     * @param {string} side - сторона ('left' или 'right')
+     */
+    setActivePeyoteStartSide(side) {
+        this.peyoteSideButtons.forEach(btn => {
+            if (btn.dataset.side === side) {
+                btn.classList.add('active');
+            } else {
+                btn.classList.remove('active');
+            }
+        });
     }
 
     /**
@@ -307,17 +726,145 @@ class UIController {
             workspaceHeightMM,
             gridWidth,
             gridHeight,
-            filledBeads
+            gridType,
+            filledBeads,
+            colorCount,
+            filledStitches,
+            ringCount,
+            beadProfileName,
+            catalogBeads,
+            editedBeads,
+            legend,
+            legendWeight
         } = data;
 
         document.getElementById('pixelDimensionsDisplay').textContent =
             `${pixelWidthMM.toFixed(1)} × ${pixelHeightMM.toFixed(1)} мм`;
-        document.getElementById('gridSize').textContent = `${gridWidth}×${gridHeight}`;
+        const beadProfileRow = document.getElementById('beadProfileRow');
+        if (beadProfileRow) {
+            beadProfileRow.style.display = beadProfileName ? '' : 'none';
+            document.getElementById('beadProfileDisplay').textContent = beadProfileName || '';
+        }
+        // Радиальная сетка состоит из колец, а не из строк и столбцов
+        document.getElementById('gridSize').textContent = gridType === 'radial'
+            ? `${ringCount} колец`
+            : `${gridWidth}×${gridHeight}`;
+
+        // Для станочного плетения нитей основы на одну больше, чем бисеринок в ряду
+        const warpCountRow = document.getElementById('warpCountRow');
+        if (warpCountRow) {
+            warpCountRow.style.display = gridType === 'square' ? '' : 'none';
+            document.getElementById('warpCount').textContent = gridWidth + 1;
+        }
         document.getElementById('totalPixels').textContent = filledBeads.toLocaleString('ru-RU');
+        document.getElementById('colorCount').textContent = colorCount;
+
+        const editedBeadsRow = document.getElementById('editedBeadsRow');
+        if (editedBeadsRow) {
+            editedBeadsRow.style.display = editedBeads > 0 ? '' : 'none';
+            document.getElementById('editedBeadsCount').textContent = (editedBeads || 0).toLocaleString('ru-RU');
+        }
+
+        // Коды бисера каталога с количеством бисеринок
+        const catalogBeadsRow = document.getElementById('catalogBeadsRow');
+        if (catalogBeadsRow) {
+            const list = document.getElementById('catalogBeadsList');
+            list.innerHTML = '';
+            (catalogBeads || []).forEach(({ entry, count }) => {
+                const item = document.createElement('span');
+                item.className = 'catalog-bead-item';
+                const swatch = document.createElement('span');
+                swatch.className = 'catalog-bead-swatch';
+                swatch.style.background = entry.hex;
+                item.appendChild(swatch);
+                item.appendChild(document.createTextNode(`${entry.code} × ${count.toLocaleString('ru-RU')}`));
+                item.title = `${entry.catalogName}: ${entry.name}`;
+                list.appendChild(item);
+            });
+            catalogBeadsRow.style.display = catalogBeads && catalogBeads.length > 0 ? '' : 'none';
+        }
+
+        if (legend) {
+            this.updateLegend(legend, legendWeight);
+        }
+
+        // Для N-drop peyote стежков меньше, чем бисеринок
+        const stitchCountRow = document.getElementById('stitchCountRow');
+        if (stitchCountRow) {
+            const hasStitches = filledStitches !== null && filledStitches !== undefined;
+            stitchCountRow.style.display = hasStitches ? '' : 'none';
+            document.getElementById('stitchCount').textContent = hasStitches
+                ? filledStitches.toLocaleString('ru-RU')
+                : '0';
+        }
         document.getElementById('workspaceSize').textContent =
             `${workspaceWidthMM.toFixed(1)}×${workspaceHeightMM.toFixed(1)} мм`;
     }
 
+    /**
+     * Обновляет легенду цветов: символ на цвете бисеринки, количество, доля, вес и упаковки
+     * @param {Object} legend - легенда из BeadLegend.build
+     * @param {{beadsPerGram: number, packGrams: number, isEstimated: boolean}} weight - данные для расчёта веса
+     */
+    updateLegend(legend, weight) {
+        document.getElementById('legendWeightInfo').textContent =
+            `≈${Math.round(weight.beadsPerGram)} бис./г${weight.isEstimated ? ' (оценка по размеру)' : ''}, ` +
+            `упаковка ${weight.packGrams} г`;
+
+        const list = document.getElementById('legendList');
+        list.innerHTML = '';
+        legend.items.forEach(item => {
+            const row = document.createElement('tr');
+            row.title = BeadLegend.getColorName(item);
+
+            const symbolCell = document.createElement('td');
+            const symbol = document.createElement('span');
+            symbol.className = 'legend-symbol';
+            symbol.style.background = item.color;
+            symbol.style.color = ColorUtils.getContrastColor(item.color);
+            symbol.textContent = item.symbol;
+            symbolCell.appendChild(symbol);
+            row.appendChild(symbolCell);
+
+            [
+                item.catalogEntry ? item.catalogEntry.code : item.color,
+                item.beads.toLocaleString('ru-RU'),
+                item.percent.toFixed(1),
+                BeadLegend.formatGrams(item.grams),
+                item.packs
+            ].forEach(value => {
+                const cell = document.createElement('td');
+                cell.textContent = value;
+                row.appendChild(cell);
+            });
+            list.appendChild(row);
+        });
+
+        const totalRow = document.getElementById('legendTotal');
+        totalRow.innerHTML = '';
+        [
+            '',
+            `Итого: ${legend.items.length}`,
+            legend.total.beads.toLocaleString('ru-RU'),
+            legend.items.length > 0 ? '100' : '0',
+            BeadLegend.formatGrams(legend.total.grams),
+            legend.total.packs
+        ].forEach(value => {
+            const cell = document.createElement('td');
+            cell.textContent = value;
+            totalRow.appendChild(cell);
+        });
+        this.exportShoppingListBtn.disabled = legend.items.length === 0;
+    }
+
+    /**
+     * Устанавливает флажок запаса в легенде
+     * @param {boolean} enabled - добавлять ли запас
+     */
+    setLegendSpare(enabled) {
+        this.legendSpareCheckbox.checked = enabled;
+    }
+
     /**
      * Обновляет значения полей ввода пикселей
      * @param {number} width - ширина пикселя
@@ -440,6 +987,122 @@ class UIController {
         this.scaleSlider.style.setProperty('--slider-progress', `${progress}%`);
     }
 
+    /**
+     * Показывает таблицу слоёв DXF (секция скрыта, если слоёв нет)
+     * @param {Array<{name: string, color: string, entityCount: number}>} layers - слои файла
+     * @param {Object<string, {visible: boolean, color: string|null}>} settings - настройки по имени слоя
+     */
+    setDxfLayers(layers, settings) {
+        this.dxfLayerSection.style.display = layers.length > 0 ? 'block' : 'none';
+        this.dxfLayerList.innerHTML = '';
+        layers.forEach(layer => {
+            const layerSettings = settings[layer.name] || { visible: true, color: null };
+            const notifyChange = (changes) => {
+                if (this.callbacks.onDxfLayerChange) {
+                    this.callbacks.onDxfLayerChange(layer.name, changes);
+                }
+            };
+
+            const item = document.createElement('li');
+            item.className = 'layer-item';
+            item.classList.toggle('hidden-layer', !layerSettings.visible);
+
+            const visibleCheckbox = document.createElement('input');
+            visibleCheckbox.type = 'checkbox';
+            visibleCheckbox.checked = layerSettings.visible;
+            visibleCheckbox.title = 'Показывать слой';
+            item.appendChild(visibleCheckbox);
+
+            const colorInput = document.createElement('input');
+            colorInput.type = 'color';
+            colorInput.className = 'layer-color';
+            colorInput.value = layerSettings.color || layer.color;
+            colorInput.title = 'Цвет бисеринок слоя';
+            item.appendChild(colorInput);
+
+            const name = document.createElement('span');
+            name.className = 'layer-name';
+            name.textContent = `${layer.name} (${layer.entityCount})`;
+            item.appendChild(name);
+
+            const resetBtn = document.createElement('button');
+            resetBtn.className = 'edit-action-btn layer-reset-btn';
+            resetBtn.textContent = '↺';
+            resetBtn.title = 'Вернуть цвета из файла';
+            resetBtn.disabled = !layerSettings.color;
+            item.appendChild(resetBtn);
+
+            // Строка обновляется на месте, чтобы не закрывать выбор цвета во время перетаскивания
+            visibleCheckbox.addEventListener('change', (e) => {
+                item.classList.toggle('hidden-layer', !e.target.checked);
+                notifyChange({ visible: e.target.checked });
+            });
+            colorInput.addEventListener('input', (e) => {
+                resetBtn.disabled = false;
+                notifyChange({ color: e.target.value });
+            });
+            resetBtn.addEventListener('click', () => {
+                colorInput.value = layer.color;
+                resetBtn.disabled = true;
+                notifyChange({ color: null });
+            });
+
+            this.dxfLayerList.appendChild(item);
+        });
+    }
+
+    /**
+     * Выбирает единицы чертежа DXF в списке
+     * @param {string|null} units - выбранные единицы (ключ DXF_UNITS) или null, если DXF не загружен
+     * @param {string|null} fileUnits - единицы, определённые по файлу
+     */
+    setDxfUnits(units, fileUnits) {
+        if (!units) {
+            return;
+        }
+        this.dxfUnitsSelect.value = units;
+        document.getElementById('dxfUnitsInfo').textContent =
+            `По файлу: ${DXF_UNITS[fileUnits].label}. Другие единицы меняют размер рисунка`;
+    }
+
+    /**
+     * Показывает настройки растрового изображения (секция скрыта, если изображение не загружено)
+     * @param {{widthMM: number, mode: string, brightness: number, contrast: number, threshold: number}|null} settings
+     *     - настройки изображения или null
+     * @param {number} heightMM - высота изображения в мм (по пропорциям)
+     */
+    setImageSettings(settings, heightMM) {
+        this.imageSection.style.display = settings ? 'block' : 'none';
+        if (!settings) {
+            return;
+        }
+
+        const setSlider = (slider, value) => {
+            slider.value = value;
+            const min = parseFloat(slider.min);
+            const max = parseFloat(slider.max);
+            slider.style.setProperty('--slider-progress', `${((value - min) / (max - min)) * 100}%`);
+        };
+
+        this.imageWidthInput.value = Math.round(settings.widthMM);
+        setSlider(this.imageWidthSlider, settings.widthMM);
+        document.getElementById('imageSizeInfo').textContent =
+            `${settings.widthMM.toFixed(1)}×${heightMM.toFixed(1)} мм, пропорции сохраняются`;
+
+        this.imageModeButtons.forEach(btn => {
+            btn.classList.toggle('active', btn.dataset.imageMode === settings.mode);
+        });
+
+        setSlider(this.imageBrightnessSlider, settings.brightness);
+        document.getElementById('imageBrightnessValue').textContent = settings.brightness;
+        setSlider(this.imageContrastSlider, settings.contrast);
+        document.getElementById('imageContrastValue').textContent = settings.contrast;
+        setSlider(this.imageThresholdSlider, settings.threshold);
+        document.getElementById('imageThresholdValue').textContent = settings.threshold;
+        document.getElementById('imageThresholdOptions').style.display =
+            settings.mode === 'threshold' ? 'block' : 'none';
+    }
+
     /**
      * Обновляет значение порога заполнения
      * @param {number} threshold - порог заполнения (0.0 - 1.0)
@@ -458,6 +1121,139 @@ class UIController {
         }
     }
 
+    /**
+     * Обновляет поле и ползунок количества цветов палитры
+     * @param {number} size - количество цветов (0 - без ограничения)
+     */
+    updatePaletteSize(size) {
+        this.paletteSizeInput.value = size;
+        this.paletteSizeSlider.value = size;
+        const min = parseFloat(this.paletteSizeSlider.min);
+        const max = parseFloat(this.paletteSizeSlider.max);
+        const progress = ((size - min) / (max - min)) * 100;
+        this.paletteSizeSlider.style.setProperty('--slider-progress', `${progress}%`);
+    }
+
+    /**
+     * Устанавливает активный способ дизеринга
+     * @param {string} mode - способ дизеринга ('none', 'floyd-steinberg', 'ordered')
+     */
+    setActiveDitherMode(mode) {
+        this.ditherButtons.forEach(btn => {
+            if (btn.dataset.dither === mode) {
+                btn.classList.add('active');
+            } else {
+                btn.classList.remove('active');
+            }
+        });
+    }
+
+    /**
+     * Заполняет список каталогов бисера и выбирает активный
+     * @param {Array<{id: string, name: string}>} catalogs - загруженные каталоги
+     * @param {string} activeCatalog - id каталога, 'all' или '' (без подбора)
+     */
+    setBeadCatalogs(catalogs, activeCatalog) {
+        this.beadCatalogSelect.innerHTML = '';
+
+        const options = [
+            { value: '', label: 'Не подбирать' },
+            { value: 'all', label: 'Все каталоги' },
+            ...catalogs.map(catalog => ({ value: catalog.id, label: catalog.name }))
+        ];
+        options.forEach(({ value, label }) => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = label;
+            this.beadCatalogSelect.appendChild(option);
+        });
+
+        this.setActiveBeadCatalog(activeCatalog);
+    }
+
+    /**
+     * Выбирает каталог бисера в списке
+     * @param {string} catalogId - id каталога, 'all' или '' (без подбора)
+     */
+    setActiveBeadCatalog(catalogId) {
+        this.beadCatalogSelect.value = catalogId;
+    }
+
+    /**
+     * Выбирает покрытие бисера в списке
+     * @param {string} finish - покрытие или 'all'
+     */
+    setActiveBeadFinish(finish) {
+        this.beadFinishSelect.value = finish;
+    }
+
+    /**
+     * Устанавливает активный инструмент редактирования
+     * @param {string} tool - инструмент ('view', 'paint', 'erase', 'restore')
+     */
+    setActiveEditTool(tool) {
+        this.editToolButtons.forEach(btn => {
+            if (btn.dataset.tool === tool) {
+                btn.classList.add('active');
+            } else {
+                btn.classList.remove('active');
+            }
+        });
+    }
+
+    /**
+     * Включает действия с выделением: вставка доступна при непустом буфере,
+     * остальные действия - при непустом выделении
+     * @param {boolean} hasSelection - есть ли выделенные бисеринки
+     * @param {boolean} hasClipboard - есть ли скопированный блок
+     */
+    setSelectionActionsEnabled(hasSelection, hasClipboard) {
+        this.selectionActionButtons.forEach(btn => {
+            btn.disabled = btn.dataset.action === 'paste' ? !hasClipboard : !hasSelection;
+        });
+    }
+
+    /**
+     * Показывает список шагов истории и доступность отмены и повтора
+     * @param {Array<{label: string}>} entries - шаги от самого старого к последнему
+     * @param {number} currentIndex - номер текущего шага (шаги после него отменены)
+     */
+    setHistory(entries, currentIndex) {
+        this.undoBtn.disabled = currentIndex <= 0;
+        this.redoBtn.disabled = currentIndex >= entries.length - 1;
+
+        this.historyList.innerHTML = '';
+        entries.forEach((entry, index) => {
+            const item = document.createElement('li');
+            item.className = 'history-item';
+            if (index === currentIndex) {
+                item.classList.add('active');
+            } else if (index > currentIndex) {
+                item.classList.add('undone');
+            }
+            item.textContent = entry.label;
+            item.addEventListener('click', () => {
+                if (this.callbacks.onHistoryJump) {
+                    this.callbacks.onHistoryJump(index);
+                }
+            });
+            this.historyList.appendChild(item);
+        });
+
+        // Последний шаг всегда виден, если к более раннему не возвращались
+        if (currentIndex === entries.length - 1) {
+            this.historyList.scrollTop = this.historyList.scrollHeight;
+        }
+    }
+
+    /**
+     * Устанавливает цвет кисти
+     * @param {string} color - цвет '#rrggbb'
+     */
+    setPaintColor(color) {
+        this.paintColorInput.value = color;
+    }
+
     /**
      * Обновляет информацию о загруженном файле
      * @param {string} fileName - имя файла
@@ -469,6 +1265,13 @@ class UIController {
             `Загружен: ${fileName} (${width.toFixed(1)}×${height.toFixed(1)} мм)`;
     }
 
+    /**
+     * Сбрасывает информацию о загруженном файле (пустая схема)
+     */
+    clearFileInfo() {
+        document.getElementById('uploadInfo').textContent = 'SVG, DXF или изображение';
+    }
+
     /**
      * Валидация размера пикселя
      * @param {number} value - значение
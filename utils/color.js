@@ -0,0 +1,184 @@
+/**
+ * Утилиты для работы с цветами бисеринок
+ * Цвета хранятся строками '#rrggbb', пустая бисеринка - null
+ */
+class ColorUtils {
+    /**
+     * Переводит компоненты RGB в строку '#rrggbb'
+     * @param {number} r - красный (0-255)
+     * @param {number} g - зелёный (0-255)
+     * @param {number} b - синий (0-255)
+     * @returns {string} цвет в формате '#rrggbb'
+     */
+    static rgbToHex(r, g, b) {
+        return '#' + [r, g, b]
+            .map(value => Math.round(Validator.clamp(value, 0, 255)).toString(16).padStart(2, '0'))
+            .join('');
+    }
+    
+    /**
+     * Переводит строку '#rrggbb' в компоненты RGB
+     * @param {string} hex - цвет в формате '#rrggbb'
+     * @returns {{r: number, g: number, b: number}|null} компоненты или null для некорректной строки
+     */
+    static hexToRgb(hex) {
+        const match = /^#([0-9a-f]{6})$/i.exec(hex || '');
+        if (!match) {
+            return null;
+        }
+        const value = parseInt(match[1], 16);
+        return { r: (value >> 16) & 255, g: (value >> 8) & 255, b: value & 255 };
+    }
+    
+    /**
+     * Проверяет цвет и приводит его к виду '#rrggbb' в нижнем регистре
+     * @param {*} value - значение для проверки
+     * @returns {string|null} цвет или null, если значение не является цветом
+     */
+    static normalize(value) {
+        const rgb = this.hexToRgb(value);
+        return rgb ? this.rgbToHex(rgb.r, rgb.g, rgb.b) : null;
+    }
+    
+    /**
+     * Переводит цвет sRGB в CIELAB (D65)
+     * @param {{r: number, g: number, b: number}} rgb - цвет
+     * @returns {{L: number, a: number, b: number}} цвет в CIELAB
+     */
+    static rgbToLab(rgb) {
+        // Снимаем гамма-коррекцию sRGB
+        const linear = value => {
+            const c = value / 255;
+            return c <= 0.04045 ? c / 12.92 : ((c + 0.055) / 1.055) ** 2.4;
+        };
+        const r = linear(rgb.r);
+        const g = linear(rgb.g);
+        const b = linear(rgb.b);
+        
+        const x = (r * 0.4124564 + g * 0.3575761 + b * 0.1804375) / D65_WHITE.x;
+        const y = (r * 0.2126729 + g * 0.7151522 + b * 0.0721750) / D65_WHITE.y;
+        const z = (r * 0.0193339 + g * 0.1191920 + b * 0.9503041) / D65_WHITE.z;
+        
+        const f = t => t > 216 / 24389 ? Math.cbrt(t) : (24389 / 27 * t + 16) / 116;
+        const fx = f(x);
+        const fy = f(y);
+        const fz = f(z);
+        return { L: 116 * fy - 16, a: 500 * (fx - fy), b: 200 * (fy - fz) };
+    }
+    
+    /**
+     * Цветовое различие CIEDE2000 между двумя цветами CIELAB
+     * @param {{L: number, a: number, b: number}} lab1 - первый цвет
+     * @param {{L: number, a: number, b: number}} lab2 - второй цвет
+     * @returns {number} различие ΔE00 (около 1 - на границе заметности)
+     */
+    static deltaE2000(lab1, lab2) {
+        const toRadians = degrees => degrees * Math.PI / 180;
+        const pow25To7 = 25 ** 7;
+        
+        // Поправка оси a* для слабонасыщенных цветов
+        const chromaMean = (Math.hypot(lab1.a, lab1.b) + Math.hypot(lab2.a, lab2.b)) / 2;
+        const g = 0.5 * (1 - Math.sqrt(chromaMean ** 7 / (chromaMean ** 7 + pow25To7)));
+        const a1 = (1 + g) * lab1.a;
+        const a2 = (1 + g) * lab2.a;
+        const c1 = Math.hypot(a1, lab1.b);
+        const c2 = Math.hypot(a2, lab2.b);
+        const hue = (b, a) => (b === 0 && a === 0) ? 0 : (Math.atan2(b, a) * 180 / Math.PI + 360) % 360;
+        const h1 = hue(lab1.b, a1);
+        const h2 = hue(lab2.b, a2);
+        
+        // Разности светлоты, насыщенности и тона
+        const deltaL = lab2.L - lab1.L;
+        const deltaC = c2 - c1;
+        let deltah = 0;
+        if (c1 * c2 !== 0) {
+            deltah = h2 - h1;
+            if (deltah > 180) {
+                deltah -= 360;
+            } else if (deltah < -180) {
+                deltah += 360;
+            }
+        }
+        const deltaH = 2 * Math.sqrt(c1 * c2) * Math.sin(toRadians(deltah / 2));
+        
+        // Средние значения (средний тон - по кратчайшей дуге)
+        const lMean = (lab1.L + lab2.L) / 2;
+        const cMean = (c1 + c2) / 2;
+        let hMean = h1 + h2;
+        if (c1 * c2 !== 0) {
+            if (Math.abs(h1 - h2) <= 180) {
+                hMean = (h1 + h2) / 2;
+            } else {
+                hMean = h1 + h2 < 360 ? (h1 + h2 + 360) / 2 : (h1 + h2 - 360) / 2;
+            }
+        }
+        
+        const t = 1 -
+            0.17 * Math.cos(toRadians(hMean - 30)) +
+            0.24 * Math.cos(toRadians(2 * hMean)) +
+            0.32 * Math.cos(toRadians(3 * hMean + 6)) -
+            0.20 * Math.cos(toRadians(4 * hMean - 63));
+        const deltaTheta = 30 * Math.exp(-(((hMean - 275) / 25) ** 2));
+        const rc = 2 * Math.sqrt(cMean ** 7 / (cMean ** 7 + pow25To7));
+        const sl = 1 + 0.015 * (lMean - 50) ** 2 / Math.sqrt(20 + (lMean - 50) ** 2);
+        const sc = 1 + 0.045 * cMean;
+        const sh = 1 + 0.015 * cMean * t;
+        const rt = -Math.sin(toRadians(2 * deltaTheta)) * rc;
+        
+        return Math.sqrt(
+            (deltaL / sl) ** 2 +
+            (deltaC / sc) ** 2 +
+            (deltaH / sh) ** 2 +
+            rt * (deltaC / sc) * (deltaH / sh)
+        );
+    }
+    
+    /**
+     * Подбирает цвет символа, читаемого на фоне цвета бисеринки
+     * @param {string} hex - цвет бисеринки '#rrggbb'
+     * @returns {string} '#000000' для светлых цветов, '#ffffff' для тёмных
+     */
+    static getContrastColor(hex) {
+        const rgb = this.hexToRgb(hex);
+        return rgb && this.rgbToLab(rgb).L > CONTRAST_LIGHTNESS_THRESHOLD ? '#000000' : '#ffffff';
+    }
+    
+    /**
+     * Проверяет, относится ли пиксель растра к фону (белый, светлый или прозрачный)
+     * @param {number} r - красный (0-255)
+     * @param {number} g - зелёный (0-255)
+     * @param {number} b - синий (0-255)
+     * @param {number} a - прозрачность (0-255)
+     * @returns {boolean} true если пиксель - фон
+     */
+    static isBackground(r, g, b, a = 255) {
+        return a < BACKGROUND_ALPHA_THRESHOLD ||
+            (r >= BACKGROUND_LIGHTNESS_THRESHOLD &&
+                g >= BACKGROUND_LIGHTNESS_THRESHOLD &&
+                b >= BACKGROUND_LIGHTNESS_THRESHOLD);
+    }
+    
+    /**
+     * Находит преобладающий цвет (при равенстве побеждает встретившийся раньше)
+     * @param {Array<string|null>} colors - цвета, пустые значения не учитываются
+     * @returns {string|null} преобладающий цвет или null, если цветов нет
+     */
+    static dominant(colors) {
+        const counts = new Map();
+        colors.forEach(color => {
+            if (color) {
+                counts.set(color, (counts.get(color) || 0) + 1);
+            }
+        });
+        
+        let best = null;
+        let bestCount = 0;
+        counts.forEach((count, color) => {
+            if (count > bestCount) {
+                best = color;
+                bestCount = count;
+            }
+        });
+        return best;
+    }
+}
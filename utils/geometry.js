@@ -0,0 +1,41 @@
+/**
+ * Утилиты для работы с многоугольниками
+ * Точки - объекты {x, y}, многоугольник - массив вершин без повтора первой
+ */
+class GeometryUtils {
+    /**
+     * Проверяет попадание точки в многоугольник (правило чётности пересечений)
+     * @param {{x: number, y: number}} point - точка
+     * @param {Array<{x: number, y: number}>} polygon - вершины многоугольника
+     * @returns {boolean}
+     */
+    static isPointInPolygon(point, polygon) {
+        let inside = false;
+        for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+            const a = polygon[i];
+            const b = polygon[j];
+            if ((a.y > point.y) !== (b.y > point.y) &&
+                point.x < (b.x - a.x) * (point.y - a.y) / (b.y - a.y) + a.x) {
+                inside = !inside;
+            }
+        }
+        return inside;
+    }
+    
+    /**
+     * Вычисляет ограничивающий прямоугольник точек (обходом, без передачи всех точек аргументами,
+     * поэтому подходит для контуров с любым количеством вершин)
+     * @param {Array<{x: number, y: number}>} points - точки
+     * @returns {{minX: number, minY: number, maxX: number, maxY: number}} границы (Infinity для пустого массива)
+     */
+    static getBounds(points) {
+        let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+        points.forEach(p => {
+            minX = Math.min(minX, p.x);
+            minY = Math.min(minY, p.y);
+            maxX = Math.max(maxX, p.x);
+            maxY = Math.max(maxY, p.y);
+        });
+        return { minX, minY, maxX, maxY };
+    }
+}
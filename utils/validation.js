@@ -70,6 +70,195 @@ class Validator {
         return this.clamp(value, MIN_GRID_OFFSET_MM, MAX_GRID_OFFSET_MM);
     }
     
+    /**
+     * Валидирует тип сетки
+     * @param {string} value - тип сетки
+     * @returns {string} известный тип сетки или тип по умолчанию
+     */
+    static validateGridType(value) {
+        return GRID_TYPES.includes(value) ? value : DEFAULT_GRID_TYPE;
+    }
+    
+    /**
+     * Валидирует количество бисеринок в стежке peyote (N-drop)
+     * @param {number} value - значение для валидации
+     * @returns {number} целое значение в допустимом диапазоне
+     */
+    static validatePeyoteDrops(value) {
+        return Math.round(this.clamp(value, MIN_PEYOTE_DROPS, MAX_PEYOTE_DROPS));
+    }
+    
+    /**
+     * Валидирует счёт peyote (чётный или нечётный)
+     * @param {string} value - значение для валидации
+     * @returns {string} валидный счёт
+     */
+    static validatePeyoteCount(value) {
+        return PEYOTE_COUNTS.includes(value) ? value : DEFAULT_PEYOTE_COUNT;
+    }
+    
+    /**
+     * Валидирует сторону начала плетения peyote
+     * @param {string} value - значение для валидации
+     * @returns {string} валидная сторона ('left' или 'right')
+     */
+    static validatePeyoteStartSide(value) {
+        return PEYOTE_START_SIDES.includes(value) ? value : DEFAULT_PEYOTE_START_SIDE;
+    }
+    
+    /**
+     * Валидирует количество цветов палитры
+     * @param {number} value - значение для валидации
+     * @returns {number} целое значение в допустимом диапазоне (0 - без ограничения)
+     */
+    static validatePaletteSize(value) {
+        return Math.round(this.clamp(value, MIN_PALETTE_SIZE, MAX_PALETTE_SIZE));
+    }
+    
+    /**
+     * Валидирует способ дизеринга
+     * @param {string} value - значение для валидации
+     * @returns {string} валидный способ дизеринга
+     */
+    static validateDitherMode(value) {
+        return DITHER_MODES.includes(value) ? value : DEFAULT_DITHER_MODE;
+    }
+    
+    /**
+     * Валидирует каталог для сопоставления цветов
+     * @param {string} value - id каталога, 'all' или '' (без сопоставления)
+     * @returns {string} id каталога ('' для некорректного значения)
+     */
+    static validateBeadCatalog(value) {
+        return typeof value === 'string' ? value.trim() : DEFAULT_BEAD_CATALOG;
+    }
+    
+    /**
+     * Валидирует покрытие бисера для фильтра каталога
+     * @param {string} value - значение для валидации
+     * @returns {string} известное покрытие или 'all'
+     */
+    static validateBeadFinish(value) {
+        return BEAD_FINISHES.includes(value) ? value : DEFAULT_BEAD_FINISH;
+    }
+    
+    /**
+     * Валидирует инструмент редактирования бисеринок
+     * @param {string} value - значение для валидации
+     * @returns {string} известный инструмент или просмотр
+     */
+    static validateEditTool(value) {
+        return EDIT_TOOLS.includes(value) ? value : DEFAULT_EDIT_TOOL;
+    }
+    
+    /**
+     * Валидирует ручные правки бисеринок из проекта
+     * @param {Object} value - цвет '#rrggbb' или null (очищенная бисеринка) по ключу "строка:столбец"
+     * @returns {Map<string, string|null>} корректные правки
+     */
+    static validateBeadOverrides(value) {
+        const overrides = new Map();
+        if (!value || typeof value !== 'object') {
+            return overrides;
+        }
+        Object.entries(value).forEach(([key, color]) => {
+            if (!/^\d+:\d+$/.test(key)) return;
+            if (color === null) {
+                overrides.set(key, null);
+                return;
+            }
+            const normalized = ColorUtils.normalize(color);
+            if (normalized) {
+                overrides.set(key, normalized);
+            }
+        });
+        return overrides;
+    }
+    
+    /**
+     * Валидирует настройки слоёв DXF из проекта
+     * @param {*} value - объект { имя слоя: { visible, color } }
+     * @returns {Object<string, {visible: boolean, color: string|null}>} настройки
+     *     (некорректный цвет заменяется цветами объектов слоя)
+     */
+    static validateDxfLayerSettings(value) {
+        const settings = {};
+        if (!value || typeof value !== 'object') {
+            return settings;
+        }
+        Object.entries(value).forEach(([name, layer]) => {
+            if (!layer || typeof layer !== 'object') return;
+            settings[name] = {
+                visible: layer.visible !== false,
+                color: ColorUtils.normalize(layer.color)
+            };
+        });
+        return settings;
+    }
+    
+    /**
+     * Валидирует единицы чертежа DXF
+     * @param {string} value - значение для валидации
+     * @returns {string} известные единицы (ключ DXF_UNITS) или мм
+     */
+    static validateDxfUnits(value) {
+        return Object.keys(DXF_UNITS).includes(value) ? value : DEFAULT_DXF_UNITS;
+    }
+    
+    /**
+     * Валидирует настройки растрового изображения
+     * @param {*} value - объект { widthMM, mode, brightness, contrast, threshold }
+     * @returns {{widthMM: number, mode: string, brightness: number, contrast: number, threshold: number}}
+     *     настройки (отсутствующие значения заменяются значениями по умолчанию)
+     */
+    static validateImageSettings(value) {
+        const settings = value && typeof value === 'object' ? value : {};
+        const adjustment = number => this.isValidNumber(number)
+            ? Math.round(this.clamp(number, MIN_IMAGE_ADJUSTMENT, MAX_IMAGE_ADJUSTMENT))
+            : 0;
+        return {
+            widthMM: this.isValidNumber(settings.widthMM)
+                ? this.validateWorkspaceSize(settings.widthMM)
+                : DEFAULT_WORKSPACE_WIDTH_MM,
+            mode: IMAGE_MODES.includes(settings.mode) ? settings.mode : DEFAULT_IMAGE_MODE,
+            brightness: adjustment(settings.brightness),
+            contrast: adjustment(settings.contrast),
+            threshold: this.isValidNumber(settings.threshold)
+                ? Math.round(this.clamp(settings.threshold, 0, 255))
+                : DEFAULT_IMAGE_THRESHOLD
+        };
+    }
+    
+    /**
+     * Валидирует профиль бисера
+     * @param {Object} profile - профиль { name, diameterMM, lengthMM, shape, beadsPerGram?, packGrams? }
+     * @returns {{name: string, diameterMM: number, lengthMM: number, shape: string,
+     *     beadsPerGram?: number, packGrams?: number}|null} профиль или null, если у него нет названия
+     */
+    static validateBeadProfile(profile) {
+        if (!profile || typeof profile.name !== 'string') {
+            return null;
+        }
+        const name = profile.name.trim().slice(0, MAX_BEAD_PROFILE_NAME_LENGTH);
+        if (!name) {
+            return null;
+        }
+        const validated = {
+            name,
+            diameterMM: this.validatePixelSize(profile.diameterMM),
+            lengthMM: this.validatePixelSize(profile.lengthMM),
+            shape: BEAD_SHAPES.includes(profile.shape) ? profile.shape : 'round'
+        };
+        // Данные о весе необязательны: без них вес оценивается по размерам бисеринки
+        if (this.isValidNumber(profile.beadsPerGram) && profile.beadsPerGram > 0) {
+            validated.beadsPerGram = profile.beadsPerGram;
+        }
+        if (this.isValidNumber(profile.packGrams) && profile.packGrams > 0) {
+            validated.packGrams = profile.packGrams;
+        }
+        return validated;
+    }
+    
     /**
      * Очищает имя файла от опасных символов
      * @param {string} fileName - имя файла